@@ -0,0 +1,176 @@
+/**
+ * Authentication
+ * ==============
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * User accounts and signed access tokens for the gateway. Built on Node's
+ * crypto module only:
+ *
+ * - Passwords:  scrypt with a random salt per user ("scrypt$<salt>$<hash>")
+ * - Tokens:     JWT signed with HMAC-SHA256 (HS256) and a local secret,
+ *               payload { sub: userId, iat, exp }
+ *
+ * Clients send the token as "Authorization: Bearer <token>". Where a header
+ * cannot be set (WebSocket, <audio> elements) ?access_token=<token> is
+ * accepted instead.
+ *
+ * Usage:
+ *   const auth = createAuth({ secret, tokenTtlMs });
+ *   const { token, expiresAt } = auth.issueToken(userId);
+ *   app.get('/api/private', auth.requireAuth, (req, res) => res.json(req.user));
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+const SCRYPT_KEY_LENGTH = 64;
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64url = (data) => Buffer.from(data).toString('base64url');
+
+/**
+ * scrypt on the libuv thread pool, so hashing does not block other requests
+ */
+function scrypt(password, salt, keyLength) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+/**
+ * Hash a password for storage (resolves to "scrypt$<salt>$<hash>")
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, SCRYPT_KEY_LENGTH)).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time compare)
+ * Resolves to true or false.
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Sign a JWT (HS256) with the given payload
+ */
+function signToken(payload, secret) {
+  const unsigned = `${base64url(JSON.stringify(JWT_HEADER))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Verify a JWT signed by signToken()
+ * Returns the payload, or throws with a reason (malformed, bad signature, expired).
+ */
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  const [header, payload, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  // Only tokens signed the way signToken() signs them are accepted
+  if (decodedHeader.alg !== JWT_HEADER.alg) throw new Error('Unsupported token algorithm');
+  if (!claims.sub) throw new Error('Token has no subject');
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) throw new Error('Token expired');
+
+  return claims;
+}
+
+/**
+ * Create token helpers and Express middleware for one secret
+ *
+ * secret:     HMAC key (AUTH_SECRET)
+ * tokenTtlMs: how long an issued token is valid
+ */
+function createAuth({ secret, tokenTtlMs }) {
+  /**
+   * Token from the Authorization header, or ?access_token= when allowed
+   */
+  const readToken = (headers, url, allowQueryToken) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    if (match) return match[1];
+    if (!allowQueryToken) return null;
+    return new URL(url, 'http://localhost').searchParams.get('access_token');
+  };
+
+  /**
+   * Authenticated user for a request: { user } or { error, code }
+   */
+  const authenticate = (request, { allowQueryToken = false } = {}) => {
+    const token = readToken(request.headers, request.url, allowQueryToken);
+    if (!token) return { error: 'Authentication required', code: 'UNAUTHENTICATED' };
+
+    try {
+      const claims = verifyToken(token, secret);
+      return { user: { userId: claims.sub, expiresAt: new Date(claims.exp * 1000).toISOString() } };
+    } catch (error) {
+      return { error: 'Invalid or expired token', code: 'INVALID_TOKEN', details: error.message };
+    }
+  };
+
+  const middleware = (options) => (req, res, next) => {
+    const { user, error, code, details } = authenticate(req, options);
+
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, code, error, { details });
+    }
+
+    req.user = user;
+    req.log = req.log.child({ userId: user.userId });
+    next();
+  };
+
+  return {
+    /**
+     * Sign a token for a user: { token, expiresAt }
+     */
+    issueToken(userId) {
+      const now = Date.now();
+      const exp = Math.floor((now + tokenTtlMs) / 1000);
+      return {
+        token: signToken({ sub: userId, iat: Math.floor(now / 1000), exp }, secret),
+        expiresAt: new Date(exp * 1000).toISOString()
+      };
+    },
+
+    authenticate,
+
+    /**
+     * Express middleware: 401 unless the request has a valid token;
+     * sets req.user = { userId, expiresAt }
+     */
+    requireAuth: middleware(),
+
+    /**
+     * requireAuth that also accepts ?access_token= (for media URLs)
+     */
+    requireAuthOrQueryToken: middleware({ allowQueryToken: true })
+  };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword, signToken, verifyToken };
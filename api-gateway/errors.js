@@ -0,0 +1,121 @@
+/**
+ * Error Responses
+ * ===============
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Every failed gateway request answers with the same JSON envelope:
+ *
+ *   { "success": false, "error": "text is required", "code": "MISSING_FIELD",
+ *     "details": "...", "fields": [...] }
+ *
+ * - error:   message for people (may change wording)
+ * - code:    machine-readable, stable; decides the HTTP status (ERROR_STATUS)
+ * - details, fields, retryAfter, quota: optional extras
+ *
+ * Failed backend calls keep the name of their gRPC status code
+ * (UNAVAILABLE, DEADLINE_EXCEEDED, ...) and use the canonical gRPC → HTTP
+ * mapping, so a service's INVALID_ARGUMENT is a 400, not a 500.
+ *
+ * Usage:
+ *   sendError(res, 'ROOM_NOT_FOUND', 'Room not found');
+ *   sendError(res, backendErrorCode(error), 'Translation service failed', { details: error.details });
+ */
+
+const grpc = require('@grpc/grpc-js');
+
+// gRPC status name → HTTP status (grpc/doc/http-grpc-status-mapping.md)
+const HTTP_STATUS_FOR_GRPC_CODE = {
+  CANCELLED: 499,
+  UNKNOWN: 500,
+  INVALID_ARGUMENT: 400,
+  DEADLINE_EXCEEDED: 504,
+  NOT_FOUND: 404,
+  ALREADY_EXISTS: 409,
+  PERMISSION_DENIED: 403,
+  RESOURCE_EXHAUSTED: 429,
+  FAILED_PRECONDITION: 400,
+  ABORTED: 409,
+  OUT_OF_RANGE: 400,
+  UNIMPLEMENTED: 501,
+  INTERNAL: 500,
+  UNAVAILABLE: 503,
+  DATA_LOSS: 500,
+  UNAUTHENTICATED: 401
+};
+
+// Error code → HTTP status
+const ERROR_STATUS = {
+  ...HTTP_STATUS_FOR_GRPC_CODE,
+
+  // Request validation (see validation.js)
+  INVALID_JSON: 400,
+  MISSING_FIELD: 400,
+  INVALID_TYPE: 400,
+  INVALID_FORMAT: 400,
+  INVALID_VALUE: 400,
+  VALUE_TOO_SHORT: 400,
+  VALUE_TOO_LONG: 400,
+  TEXT_TOO_LONG: 400,
+  UNSUPPORTED_LANGUAGE: 400,
+  UNSUPPORTED_TRANSPORT: 400,
+  AUDIO_REQUIRED: 400,
+  PAYLOAD_TOO_LARGE: 413,
+
+  // Accounts and access
+  INVALID_TOKEN: 401,
+  INVALID_CREDENTIALS: 401,
+  FORBIDDEN: 403,
+  NOT_ROOM_MEMBER: 403,
+  INVALID_INVITE: 403,
+  USERNAME_TAKEN: 409,
+
+  // Missing resources
+  ROUTE_NOT_FOUND: 404,
+  ROOM_NOT_FOUND: 404,
+  AUDIO_NOT_FOUND: 404,
+
+  // Limits (see rate-limit.js)
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+
+  // The backend answered, but could not do the work
+  INVALID_AUDIO: 422,
+  PROCESSING_FAILED: 422,
+  CIRCUIT_OPEN: 503
+};
+
+// gRPC numeric status code → name (grpc.status.UNAVAILABLE === 14)
+const GRPC_CODE_NAMES = Object.fromEntries(
+  Object.entries(grpc.status)
+    .filter(([, value]) => typeof value === 'number')
+    .map(([name, value]) => [value, name])
+);
+
+/**
+ * HTTP status for an error code (500 for codes not in the table)
+ */
+function statusForCode(code) {
+  return ERROR_STATUS[code] || 500;
+}
+
+/**
+ * Error code for a failed backend call: CIRCUIT_OPEN, or its gRPC status name
+ */
+function backendErrorCode(error) {
+  if (error.circuitOpen) return 'CIRCUIT_OPEN';
+  return GRPC_CODE_NAMES[error.code] || 'INTERNAL';
+}
+
+/**
+ * Reply with the error envelope; the status comes from the code
+ */
+function sendError(res, code, message, extra = {}) {
+  return res.status(statusForCode(code)).json({
+    success: false,
+    error: message,
+    code,
+    ...extra
+  });
+}
+
+module.exports = { ERROR_STATUS, statusForCode, backendErrorCode, sendError };
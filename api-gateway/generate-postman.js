@@ -0,0 +1,225 @@
+/**
+ * Postman Collection Generator
+ * ============================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Rebuilds postman_collection.json from the gateway's OpenAPI document, so
+ * the collection always matches the routes and request schemas:
+ *
+ *   npm run postman                                    # from a gateway on localhost:3000
+ *   node generate-postman.js http://localhost:3111/api/openapi.json
+ *   node generate-postman.js openapi.json ../postman_collection.json
+ *
+ * - One folder per OpenAPI tag, one request per operation
+ * - Request bodies and query strings use the schema examples and defaults
+ * - Requests send {{token}} as a Bearer token; operations that return a
+ *   Session (register, log in) store it with a test script
+ * - URLs start with {{baseUrl}} (BASE_URL, default http://localhost:3000)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_SOURCE = `http://localhost:${process.env.API_PORT || 3000}/api/openapi.json`;
+const DEFAULT_OUTPUT = path.join(__dirname, '../postman_collection.json');
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+/**
+ * Read the OpenAPI document from a URL or a file
+ */
+function loadDocument(source, callback) {
+  if (!/^https?:/.test(source)) {
+    return callback(null, JSON.parse(fs.readFileSync(source, 'utf8')));
+  }
+
+  http.get(source, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (data) => { body += data; });
+    res.on('end', () => {
+      if (res.statusCode !== 200) return callback(new Error(`GET ${source} answered ${res.statusCode}`));
+      callback(null, JSON.parse(body));
+    });
+  }).on('error', callback);
+}
+
+/**
+ * Follow a "#/components/schemas/Name" reference
+ */
+function resolveSchema(schema, document) {
+  return schema.$ref ? document.components.schemas[schema.$ref.split('/').pop()] : schema;
+}
+
+/**
+ * Example value for a JSON Schema: example, default, first enum value or a placeholder
+ */
+function exampleValue(schema, document) {
+  const resolved = resolveSchema(schema, document);
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.enum) return resolved.enum[0];
+  if (resolved.type === 'array') return resolved.items ? [exampleValue(resolved.items, document)] : [];
+  if (resolved.type === 'object') return exampleBody(schema, document);
+  if (resolved.type === 'integer') return resolved.minimum !== undefined ? resolved.minimum : 1;
+  if (resolved.format === 'int64') return '0';
+  return '';
+}
+
+/**
+ * Example object: required fields, and optional ones that have an example
+ * Component schemas without a required list (proto messages, see
+ * ./transcoding) get every field the client may set.
+ */
+function exampleBody(schema, document) {
+  const everyField = Boolean(schema.$ref);
+  schema = resolveSchema(schema, document);
+  const body = {};
+  const required = schema.required || [];
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const listed = required.includes(name) || (everyField && !schema.required && !property.readOnly);
+    if (listed || property.example !== undefined) {
+      body[name] = exampleValue(property, document);
+    }
+  }
+  return body;
+}
+
+/**
+ * Postman request body for an OpenAPI requestBody
+ */
+function postmanBody(requestBody, document) {
+  const content = requestBody.content;
+
+  if (content['multipart/form-data']) {
+    const { properties } = content['multipart/form-data'].schema;
+    return {
+      mode: 'formdata',
+      formdata: Object.entries(properties).map(([key, property]) => (property.format === 'binary'
+        ? { key, type: 'file', src: [] }
+        : { key, type: 'text', value: String(exampleValue(property, document)), disabled: property.example === undefined }))
+    };
+  }
+  if (content['application/octet-stream']) {
+    return { mode: 'file', file: { src: '' } };
+  }
+  return {
+    mode: 'raw',
+    raw: JSON.stringify(exampleBody(content['application/json'].schema, document), null, 4),
+    options: { raw: { language: 'json' } }
+  };
+}
+
+/**
+ * Postman URL object; path parameters stay as :name variables
+ */
+function postmanUrl(apiPath, parameters, document) {
+  const pathSegments = apiPath.replace(/\{(\w+)\}/g, ':$1').split('/').filter(Boolean);
+  const query = parameters.filter(p => p.in === 'query').map(p => ({
+    key: p.name,
+    value: String(exampleValue(p.schema, document)),
+    description: p.schema.description,
+    // Optional parameters are listed but not sent
+    disabled: !p.required && p.schema.example === undefined
+  }));
+  const variable = parameters.filter(p => p.in === 'path').map(p => ({
+    key: p.name,
+    value: p.schema.example !== undefined ? String(p.schema.example) : ''
+  }));
+  const enabledQuery = query.filter(q => !q.disabled).map(q => `${q.key}=${q.value}`).join('&');
+
+  return {
+    raw: `{{baseUrl}}/${pathSegments.join('/')}${enabledQuery ? `?${enabledQuery}` : ''}`,
+    host: ['{{baseUrl}}'],
+    path: pathSegments,
+    query: query.length ? query : undefined,
+    variable: variable.length ? variable : undefined
+  };
+}
+
+/**
+ * One Postman item for an OpenAPI operation
+ */
+function postmanItem(method, apiPath, operation, document) {
+  const request = {
+    method: method.toUpperCase(),
+    header: [],
+    url: postmanUrl(apiPath, operation.parameters || [], document)
+  };
+  if (operation.security && operation.security.length === 0) {
+    request.auth = { type: 'noauth' };
+  }
+  if (operation.requestBody) {
+    request.body = postmanBody(operation.requestBody, document);
+    if (request.body.mode === 'raw') request.header.push({ key: 'Content-Type', value: 'application/json' });
+    if (request.body.mode === 'file') request.header.push({ key: 'Content-Type', value: 'application/octet-stream' });
+  }
+
+  const item = { name: operation.summary, request };
+  if (operation.description) request.description = operation.description;
+
+  // Register / log in: keep the token for the other requests
+  const returnsSession = Object.values(operation.responses).some(response =>
+    response.content && JSON.stringify(response.content).includes('#/components/schemas/Session'));
+  if (returnsSession) {
+    item.event = [{
+      listen: 'test',
+      script: {
+        type: 'text/javascript',
+        exec: [
+          '// Later requests send this token as Authorization: Bearer {{token}}',
+          "if (pm.response.code < 300) pm.collectionVariables.set('token', pm.response.json().token);"
+        ]
+      }
+    }];
+  }
+  return item;
+}
+
+/**
+ * Postman collection (v2.1) for an OpenAPI document
+ */
+function toPostmanCollection(document) {
+  const folders = new Map(document.tags.map(tag => [tag.name, { name: tag.name, description: tag.description, item: [] }]));
+
+  for (const [apiPath, methods] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const tag = operation.tags[0];
+      if (!folders.has(tag)) folders.set(tag, { name: tag, item: [] });
+      folders.get(tag).item.push(postmanItem(method, apiPath, operation, document));
+    }
+  }
+
+  return JSON.parse(JSON.stringify({
+    info: {
+      name: 'Distributed Chat System - PDC Lab Exam',
+      description: `${document.info.description}\n\nGenerated from GET /api/openapi.json (version ${document.info.version}) by api-gateway/generate-postman.js - do not edit by hand.`,
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] },
+    variable: [
+      { key: 'baseUrl', value: BASE_URL },
+      { key: 'token', value: '' }
+    ],
+    item: [...folders.values()].filter(folder => folder.item.length > 0)
+  }));
+}
+
+if (require.main === module) {
+  const [source = DEFAULT_SOURCE, output = DEFAULT_OUTPUT] = process.argv.slice(2);
+
+  loadDocument(source, (error, document) => {
+    if (error) {
+      console.error(`Could not load the OpenAPI document from ${source}: ${error.message}`);
+      console.error('Start the gateway (npm start) or pass a URL / file.');
+      process.exit(1);
+    }
+
+    const collection = toPostmanCollection(document);
+    fs.writeFileSync(output, `${JSON.stringify(collection, null, 2)}\n`);
+    const requests = collection.item.reduce((sum, folder) => sum + folder.item.length, 0);
+    console.log(`Wrote ${requests} requests in ${collection.item.length} folders to ${output}`);
+  });
+}
+
+module.exports = { toPostmanCollection };
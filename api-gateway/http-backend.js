@@ -0,0 +1,127 @@
+/**
+ * HTTP/JSON Backend Client
+ * ========================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Calls the HTTP/JSON twin of a microservice (see shared/http-twin.js) with
+ * the same callback signature as the generated gRPC client:
+ *
+ *   client.TranslateText(request, [options], (error, response) => { ... })
+ *
+ * Requests and responses use the proto message shapes (Buffers for bytes
+ * fields), so routes can switch transport without changing their handlers.
+ * Pass options.sizes to get the JSON body sizes in both directions,
+ * options.headers for extra request headers (e.g. x-request-id) and
+ * options.deadline (ms since epoch) to fail with DEADLINE_EXCEEDED like grpc-js.
+ */
+
+const http = require('http');
+const { createProtoJson } = require('../shared/proto-json');
+
+/**
+ * Error shaped like a gRPC ServiceError ({ code, details, message })
+ */
+function backendError(code, details) {
+  return Object.assign(new Error(`${code} ${details}`), { code, details });
+}
+
+// gRPC codes for transport failures
+const STATUS_DEADLINE_EXCEEDED = 4;
+const STATUS_INTERNAL = 13;
+const STATUS_UNAVAILABLE = 14;
+
+/**
+ * Create a client for one service's HTTP twin
+ *
+ * baseUrl:     e.g. 'http://localhost:8051'
+ * serviceName: fully-qualified service, e.g. 'translation.TranslationService'
+ */
+function createHttpBackendClient({ baseUrl, serviceName, packageDefinition }) {
+  const protoJson = createProtoJson(packageDefinition);
+  const methods = protoJson.methodTypes(serviceName);
+
+  // Persistent connections, so HTTP is not charged a TCP handshake per call
+  const agent = new http.Agent({ keepAlive: true });
+  const client = {};
+
+  const post = (methodName, body, options, done) => {
+    const method = methods[methodName];
+    const json = JSON.stringify(body);
+    const url = new URL(`/${methodName}`, baseUrl);
+    
+    // Exactly one callback, whichever of response, error or deadline comes first
+    let timer = null;
+    let called = false;
+    const callback = (error, response) => {
+      if (called) return;
+      called = true;
+      clearTimeout(timer);
+      done(error, response);
+    };
+
+    const req = http.request(url, {
+      method: 'POST',
+      agent,
+      headers: {
+        ...options.headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(json)
+      }
+    }, (res) => {
+      const parts = [];
+      res.on('data', (data) => parts.push(data));
+      res.on('end', () => {
+        const text = Buffer.concat(parts).toString('utf8');
+
+        if (options.sizes) {
+          options.sizes.requestBytes += Buffer.byteLength(json);
+          options.sizes.requestMessages++;
+          options.sizes.responseBytes += Buffer.byteLength(text);
+          options.sizes.responseMessages++;
+        }
+
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch (error) {
+          return callback(backendError(STATUS_INTERNAL, `Invalid JSON from ${url.href}`));
+        }
+
+        if (res.statusCode !== 200) {
+          return callback(backendError(parsed.code || STATUS_INTERNAL, parsed.error || `HTTP ${res.statusCode}`));
+        }
+        callback(null, protoJson.fromJson(method.responseType, parsed));
+      });
+    });
+
+    req.on('error', (error) => callback(backendError(STATUS_UNAVAILABLE, error.message)));
+    
+    if (options.deadline) {
+      timer = setTimeout(() => {
+        callback(backendError(STATUS_DEADLINE_EXCEEDED, 'Deadline exceeded'));
+        req.destroy();
+      }, Math.max(0, options.deadline - Date.now()));
+    }
+    req.end(json);
+  };
+
+  for (const [methodName, method] of Object.entries(methods)) {
+    client[methodName] = (request, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      // Client-streaming methods take the whole list of messages at once
+      const body = method.requestStream
+        ? { messages: request.map(message => protoJson.toJson(method.requestType, message)) }
+        : protoJson.toJson(method.requestType, request);
+
+      post(methodName, body, options, callback);
+    };
+  }
+
+  return client;
+}
+
+module.exports = { createHttpBackendClient };
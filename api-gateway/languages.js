@@ -0,0 +1,63 @@
+/**
+ * Supported Languages
+ * ===================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * The gateway's copy of the translation service's language list
+ * (GetSupportedLanguages), used to validate language codes before a request
+ * is forwarded. Refreshed periodically and whenever GET /api/languages
+ * fetches the list anyway.
+ *
+ * Until the first successful fetch the list is unknown: codes are then not
+ * checked by the gateway, and the translation service rejects unsupported
+ * ones itself (INVALID_ARGUMENT).
+ *
+ * Usage:
+ *   const languages = createLanguageCatalog({ fetchLanguages, logger });
+ *   languages.start(60000);
+ *   languages.codes();  // ['en', 'es', ...] or null
+ */
+
+/**
+ * fetchLanguages: (callback(error, languages)) => void, languages: [{ code, name }]
+ */
+function createLanguageCatalog({ fetchLanguages, logger }) {
+  let languages = null;
+
+  const update = (list) => {
+    const changed = !languages || languages.map(l => l.code).join() !== list.map(l => l.code).join();
+    languages = list;
+    if (changed) logger.info('Supported languages loaded', { languages: list.map(l => l.code).join(',') });
+  };
+
+  const refresh = () => {
+    fetchLanguages((error, list) => {
+      if (error) {
+        logger.warn('Could not load supported languages', { error, known: languages !== null });
+        return;
+      }
+      update(list);
+    });
+  };
+
+  return {
+    /**
+     * Fetch now and then every intervalMs
+     */
+    start(intervalMs) {
+      refresh();
+      setInterval(refresh, intervalMs).unref();
+    },
+
+    update,
+
+    /**
+     * Supported language codes, or null while the list is unknown
+     */
+    codes() {
+      return languages ? languages.map(language => language.code) : null;
+    }
+  };
+}
+
+module.exports = { createLanguageCatalog };
@@ -0,0 +1,210 @@
+/**
+ * Latency Statistics
+ * ==================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Bounded-memory latency recording for the REST vs gRPC metrics.
+ *
+ * Each recorder keeps:
+ * - a ring buffer of the most recent samples (time, payload size, timestamp)
+ *   → exact percentiles over time windows such as the last minute or hour
+ * - an all-time log-bucket histogram (≈2.5% relative error)
+ *   → approximate percentiles since start or the last reset
+ * - running count / mean / variance (Welford) / min / max
+ *   → exact all-time averages and standard deviation
+ *
+ * Memory is fixed by the ring buffer capacity, however long the gateway runs.
+ */
+
+// Histogram buckets grow by 5%: a bucket's midpoint is within ~2.5% of any value in it
+const BUCKET_GROWTH = 1.05;
+const LOG_GROWTH = Math.log(BUCKET_GROWTH);
+
+const UNITS_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a window like "30s", "5m", "1h" or "all" into milliseconds (all → null)
+ */
+function parseWindow(text) {
+  if (text === 'all') return null;
+  const match = /^(\d+)(ms|s|m|h|d)$/.exec(String(text).trim());
+  if (!match || parseInt(match[1]) === 0) {
+    throw new Error(`Invalid window "${text}" (expected e.g. 30s, 5m, 1h or all)`);
+  }
+  return parseInt(match[1]) * UNITS_MS[match[2]];
+}
+
+function bucketIndex(value) {
+  return value <= 1 ? 0 : Math.ceil(Math.log(value) / LOG_GROWTH);
+}
+
+function bucketValue(index) {
+  if (index === 0) return 1;
+  // Midpoint of (growth^(i-1), growth^i]
+  return (BUCKET_GROWTH ** (index - 1) + BUCKET_GROWTH ** index) / 2;
+}
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+const round = (value) => Number(value.toFixed(2));
+
+function emptySummary() {
+  return {
+    sampleCount: 0,
+    avgResponseTime: '0.00',
+    avgPayloadSize: '0',
+    minResponseTime: 0,
+    maxResponseTime: 0,
+    stddev: 0,
+    p50: 0,
+    p90: 0,
+    p99: 0,
+    throughputPerSec: 0
+  };
+}
+
+/**
+ * Create a latency recorder holding at most capacity recent samples
+ */
+function createLatencyRecorder({ capacity = 10000 } = {}) {
+  let ring;
+  let next;
+  let stored;
+  let histogram;
+  let count;
+  let mean;
+  let m2;
+  let min;
+  let max;
+  let sizeSum;
+  let startedAt;
+
+  const reset = () => {
+    ring = new Array(capacity);
+    next = 0;
+    stored = 0;
+    histogram = new Map();
+    count = 0;
+    mean = 0;
+    m2 = 0;
+    min = Infinity;
+    max = 0;
+    sizeSum = 0;
+    startedAt = Date.now();
+  };
+  reset();
+
+  // All-time summary from the running stats and the histogram
+  const summarizeAllTime = () => {
+    if (count === 0) return { window: 'all', ...emptySummary() };
+
+    const indexes = [...histogram.keys()].sort((a, b) => a - b);
+    const histogramPercentile = (p) => {
+      const rank = Math.max(1, Math.ceil(p / 100 * count));
+      let seen = 0;
+      for (const index of indexes) {
+        seen += histogram.get(index);
+        if (seen >= rank) {
+          // Never report outside the observed range
+          return round(Math.min(max, Math.max(min, bucketValue(index))));
+        }
+      }
+      return max;
+    };
+
+    const elapsedSeconds = Math.max(1, (Date.now() - startedAt) / 1000);
+    return {
+      window: 'all',
+      sampleCount: count,
+      avgResponseTime: mean.toFixed(2),
+      avgPayloadSize: (sizeSum / count).toFixed(0),
+      minResponseTime: min,
+      maxResponseTime: max,
+      stddev: round(count > 1 ? Math.sqrt(m2 / (count - 1)) : 0),
+      p50: histogramPercentile(50),
+      p90: histogramPercentile(90),
+      p99: histogramPercentile(99),
+      throughputPerSec: round(count / elapsedSeconds)
+    };
+  };
+
+  // Exact summary of the ring buffer samples inside the window
+  const summarizeWindow = (windowMs, label) => {
+    const since = Date.now() - windowMs;
+    const samples = [];
+    for (let i = 0; i < stored; i++) {
+      const sample = ring[i];
+      if (sample.at >= since) samples.push(sample);
+    }
+
+    // The oldest kept sample is newer than the window start: older ones were overwritten
+    const oldest = stored === capacity ? ring[next] : ring[0];
+    const truncated = stored === capacity && oldest.at > since;
+
+    if (samples.length === 0) return { window: label, ...emptySummary(), truncated };
+
+    const times = samples.map(sample => sample.time).sort((a, b) => a - b);
+    const avg = times.reduce((sum, time) => sum + time, 0) / times.length;
+    const variance = times.length > 1
+      ? times.reduce((sum, time) => sum + (time - avg) ** 2, 0) / (times.length - 1)
+      : 0;
+    const covered = Math.min(windowMs, Date.now() - startedAt);
+
+    return {
+      window: label,
+      sampleCount: times.length,
+      avgResponseTime: avg.toFixed(2),
+      avgPayloadSize: (samples.reduce((sum, sample) => sum + sample.size, 0) / samples.length).toFixed(0),
+      minResponseTime: times[0],
+      maxResponseTime: times[times.length - 1],
+      stddev: round(Math.sqrt(variance)),
+      p50: percentile(times, 50),
+      p90: percentile(times, 90),
+      p99: percentile(times, 99),
+      throughputPerSec: round(times.length / Math.max(1, covered / 1000)),
+      truncated
+    };
+  };
+
+  return {
+    /**
+     * Record one call: time in ms, payload size in bytes
+     */
+    record(time, size = 0) {
+      ring[next] = { time, size, at: Date.now() };
+      next = (next + 1) % capacity;
+      stored = Math.min(stored + 1, capacity);
+
+      const index = bucketIndex(time);
+      histogram.set(index, (histogram.get(index) || 0) + 1);
+
+      // Welford's online mean/variance
+      count++;
+      const delta = time - mean;
+      mean += delta / count;
+      m2 += delta * (time - mean);
+      min = Math.min(min, time);
+      max = Math.max(max, time);
+      sizeSum += size;
+    },
+
+    /**
+     * Summary for a window label ("1m", "1h", "all", ...)
+     */
+    summarize(window = 'all') {
+      const windowMs = parseWindow(window);
+      return windowMs === null ? summarizeAllTime() : summarizeWindow(windowMs, window);
+    },
+
+    reset
+  };
+}
+
+module.exports = { createLatencyRecorder, parseWindow };
@@ -0,0 +1,267 @@
+/**
+ * Backend Load Balancing
+ * ======================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Spreads gateway → service calls over several replicas of a service.
+ * A replica is one service process: its gRPC address and the address of its
+ * HTTP/JSON twin, so both transports see the same set of replicas.
+ *
+ * - Policy:  "round-robin" or "least-outstanding" (fewest calls in flight,
+ *            ties in round-robin order)
+ * - Health:  every replica is probed with grpc.health.v1.Health/Check; a
+ *            replica that is not SERVING is ejected until a probe passes again
+ *            (replicas start healthy, so calls go out before the first probe)
+ *
+ * Replicas come from comma-separated address lists, a static discovery file
+ * or the service registry (setReplicas() adds and removes them at runtime):
+ *
+ *   {
+ *     "translation": [{ "grpc": "localhost:50051", "http": "http://localhost:8051" }, ...],
+ *     "audio":       [{ "grpc": "localhost:50052", "http": "http://localhost:8052" }, ...]
+ *   }
+ *
+ * Usage:
+ *   const balancer = createLoadBalancer({ name: 'translation', serviceName, replicas, policy });
+ *   const client = balancer.client('grpc', serviceDefinition, { streaming: true });
+ *   client.TranslateText(request, options, callback); // as with a single client
+ */
+
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+
+const POLICIES = ['round-robin', 'least-outstanding'];
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Replica addresses for one service: [{ grpc, http }, ...]
+ *
+ * From the discovery file when given, else from the two address lists
+ * (paired by position, so both lists must have the same length).
+ */
+function resolveReplicas({ service, discoveryFile, grpcAddresses, httpAddresses }) {
+  if (discoveryFile) {
+    const discovery = JSON.parse(fs.readFileSync(discoveryFile, 'utf8'));
+    const replicas = discovery[service];
+    if (!Array.isArray(replicas) || replicas.length === 0 || replicas.some(r => !r.grpc || !r.http)) {
+      throw new Error(`${discoveryFile}: "${service}" must be a list of { "grpc": ..., "http": ... } replicas`);
+    }
+    return replicas.map(({ grpc: grpcAddress, http }) => ({ grpc: grpcAddress, http }));
+  }
+
+  const grpcList = splitList(grpcAddresses);
+  const httpList = splitList(httpAddresses);
+  if (grpcList.length === 0 || grpcList.length !== httpList.length) {
+    throw new Error(`${service}: ${grpcList.length} gRPC and ${httpList.length} HTTP addresses ` +
+      '(list one HTTP twin address per gRPC replica, in the same order)');
+  }
+  return grpcList.map((address, i) => ({ grpc: address, http: httpList[i] }));
+}
+
+/**
+ * Error for a call made while every replica is ejected (shaped like a gRPC ServiceError)
+ */
+function noReplicaError(name) {
+  const details = `No healthy ${name} replica`;
+  return Object.assign(new Error(`${grpc.status.UNAVAILABLE} UNAVAILABLE: ${details}`), {
+    code: grpc.status.UNAVAILABLE,
+    details
+  });
+}
+
+/**
+ * Create a load balancer over the replicas of one service
+ *
+ * replicas:         initial [{ grpc, http }] addresses (see resolveReplicas)
+ * connect(replica): returns { clients: { grpc, http }, healthClient, close } for one replica
+ * serviceName:      fully-qualified name sent in health checks
+ * onHealthChange(replica): called when a replica is ejected or re-admitted
+ */
+function createLoadBalancer({
+  name,
+  serviceName,
+  replicas = [],
+  connect,
+  policy = 'round-robin',
+  healthTimeoutMs = 1000,
+  onHealthChange = () => {}
+}) {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Invalid load balancing policy "${policy}" (expected ${POLICIES.join(' or ')})`);
+  }
+
+  const createState = (replica) => ({
+    address: replica.grpc,
+    httpAddress: replica.http,
+    ...connect(replica),
+    healthy: true,
+    outstanding: 0,
+    calls: { grpc: 0, http: 0 },
+    lastCheck: null
+  });
+
+  let states = replicas.map(createState);
+  let next = 0;
+
+  /**
+   * Next replica to call, or null if all are ejected
+   */
+  const pick = () => {
+    const candidates = [];
+    for (let i = 0; i < states.length; i++) {
+      const replica = states[(next + i) % states.length];
+      if (replica.healthy) candidates.push(replica);
+    }
+    if (candidates.length === 0) return null;
+
+    let chosen = candidates[0];
+    if (policy === 'least-outstanding') {
+      for (const replica of candidates) {
+        if (replica.outstanding < chosen.outstanding) chosen = replica;
+      }
+    }
+    next = (states.indexOf(chosen) + 1) % states.length;
+    return chosen;
+  };
+
+  // Count the call on its replica; the returned function ends it
+  const begin = (replica, transport) => {
+    replica.outstanding++;
+    replica.calls[transport]++;
+    return () => replica.outstanding--;
+  };
+
+  /**
+   * Probe one replica; never rejects
+   */
+  const probe = (replica) => new Promise((resolve) => {
+    const startTime = Date.now();
+    const deadline = Date.now() + healthTimeoutMs;
+
+    replica.healthClient.Check({ service: serviceName }, { deadline }, (error, response) => {
+      const latencyMs = Date.now() - startTime;
+      let result;
+
+      if (error) {
+        let status = 'UNREACHABLE';
+        if (error.code === grpc.status.DEADLINE_EXCEEDED) status = 'TIMEOUT';
+        else if (error.code === grpc.status.NOT_FOUND) status = 'SERVICE_UNKNOWN';
+        result = { status, healthy: false, latencyMs, error: error.details || error.message };
+      } else {
+        result = { status: response.status, healthy: response.status === 'SERVING', latencyMs };
+      }
+
+      replica.lastCheck = result;
+      if (replica.healthy !== result.healthy) {
+        replica.healthy = result.healthy;
+        onHealthChange(replica);
+      }
+      resolve(result);
+    });
+  });
+
+  const describe = (replica) => ({
+    address: replica.address,
+    httpAddress: replica.httpAddress,
+    healthy: replica.healthy,
+    outstanding: replica.outstanding,
+    calls: { ...replica.calls }
+  });
+
+  return {
+    name,
+    policy,
+
+    /**
+     * A client for one transport with the same methods as a single client
+     *
+     * streaming: true for gRPC (client-streaming methods return a call object)
+     */
+    client(transport, serviceDefinition, { streaming = false } = {}) {
+      const balanced = {};
+
+      for (const [method, definition] of Object.entries(serviceDefinition)) {
+        if (streaming && definition.requestStream) {
+          balanced[method] = (options, callback) => {
+            const replica = pick();
+            if (!replica) {
+              process.nextTick(() => callback(noReplicaError(name)));
+              return null;
+            }
+            const end = begin(replica, transport);
+            return replica.clients[transport][method](options, (error, response) => {
+              end();
+              callback(error, response);
+            });
+          };
+          continue;
+        }
+
+        balanced[method] = (request, options, callback) => {
+          if (typeof options === 'function') {
+            callback = options;
+            options = {};
+          }
+          const replica = pick();
+          if (!replica) {
+            return process.nextTick(() => callback(noReplicaError(name)));
+          }
+          const end = begin(replica, transport);
+          replica.clients[transport][method](request, options, (error, response) => {
+            end();
+            callback(error, response);
+          });
+        };
+      }
+
+      return balanced;
+    },
+
+    /**
+     * Probe every replica now and update ejections
+     * Resolves to one entry per replica: address, status, latency and call counts
+     */
+    async checkHealth() {
+      const probed = states;
+      const results = await Promise.all(probed.map(probe));
+      return probed.map((replica, i) => ({ ...describe(replica), ...results[i] }));
+    },
+
+    /**
+     * Replace the replica set; kept replicas keep their clients and counters
+     * Removed replicas are closed (calls in flight still complete).
+     * Returns the added and removed gRPC addresses.
+     */
+    setReplicas(replicaList) {
+      const wanted = new Map(replicaList.map(replica => [replica.grpc, replica]));
+      const removed = states.filter(state => !wanted.has(state.address));
+      const kept = states.filter(state => wanted.has(state.address));
+      const keptAddresses = new Set(kept.map(state => state.address));
+      const added = replicaList.filter(replica => !keptAddresses.has(replica.grpc)).map(createState);
+
+      states = [...kept, ...added];
+      removed.forEach(state => state.close());
+
+      return {
+        added: added.map(state => state.address),
+        removed: removed.map(state => state.address)
+      };
+    },
+
+    /**
+     * Probe every intervalMs in the background
+     */
+    startHealthChecks(intervalMs) {
+      const timer = setInterval(() => this.checkHealth(), intervalMs);
+      timer.unref();
+      this.checkHealth();
+    },
+
+    getReplicas() {
+      return states.map(describe);
+    }
+  };
+}
+
+module.exports = { createLoadBalancer, resolveReplicas };
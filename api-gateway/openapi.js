@@ -0,0 +1,521 @@
+/**
+ * OpenAPI Document
+ * ================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Describes every gateway route as OpenAPI 3.0, served at
+ * GET /api/openapi.json with a Swagger UI page at GET /api/docs.
+ *
+ * - Request bodies and query strings come from the same schemas the routes
+ *   validate with (see ./validation), so the document cannot drift from them.
+ * - Responses are described here (ROUTES and RESPONSE_SCHEMAS); every error
+ *   uses the envelope from ./errors.
+ * - Routes transcoded from the proto HTTP annotations (see ./transcoding) are
+ *   described from the proto descriptors and passed in as transcoded.
+ * - listUndocumentedRoutes() compares ROUTES with the Express app, so a new
+ *   route without an entry is reported at startup.
+ *
+ * postman_collection.json is generated from this document
+ * (see ./generate-postman.js).
+ *
+ * Usage:
+ *   const document = createOpenApiDocument({ validator, schemas, errorCodes, serverUrl, version });
+ */
+
+// Error responses, by HTTP status (all with the ErrorResponse body)
+const ERROR_RESPONSES = {
+  400: { name: 'BadRequest', description: 'Invalid request: see code and fields' },
+  401: { name: 'Unauthorized', description: 'Missing, invalid or expired access token (UNAUTHENTICATED, INVALID_TOKEN)' },
+  403: { name: 'Forbidden', description: 'Not allowed for this user (FORBIDDEN, NOT_ROOM_MEMBER, INVALID_INVITE)' },
+  404: { name: 'NotFound', description: 'No such resource (ROOM_NOT_FOUND, AUDIO_NOT_FOUND)' },
+  409: { name: 'Conflict', description: 'Conflicts with existing data (USERNAME_TAKEN)' },
+  413: { name: 'PayloadTooLarge', description: 'Body or audio too large (PAYLOAD_TOO_LARGE)' },
+  422: { name: 'UnprocessableEntity', description: 'The service could not process the input (INVALID_AUDIO, PROCESSING_FAILED)' },
+  429: { name: 'TooManyRequests', description: 'Rate limit or daily quota exceeded (RATE_LIMITED, QUOTA_EXCEEDED); see Retry-After' },
+  500: { name: 'InternalError', description: 'Gateway or backend error (INTERNAL and other gRPC status names)' },
+  503: { name: 'ServiceUnavailable', description: 'Backend unreachable or its circuit breaker is open (UNAVAILABLE, CIRCUIT_OPEN)' },
+  504: { name: 'GatewayTimeout', description: 'Backend deadline exceeded (DEADLINE_EXCEEDED)' }
+};
+
+const BACKEND_ERRORS = [500, 503, 504];
+
+// ============================================================================
+// SCHEMA HELPERS
+// ============================================================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const dateTime = { type: 'string', format: 'date-time' };
+
+const object = (properties, required) => (required ? { type: 'object', required, properties } : { type: 'object', properties });
+
+// Successful response body: { success: true, ... }
+const successBody = (properties) => object({ success: { type: 'boolean', example: true }, ...properties }, ['success']);
+
+const languagePair = (extra) => object({ ...extra, language: string({ example: 'es' }) });
+
+// Timings and sizes of the backend call; fields vary by route and transport
+const performance = {
+  type: 'object',
+  additionalProperties: true,
+  description: 'Timings (ms) and payload sizes (bytes) of the backend call'
+};
+
+// ============================================================================
+// RESPONSE SCHEMAS
+// ============================================================================
+
+const RESPONSE_SCHEMAS = {
+  FieldError: object({
+    field: string({ example: 'targetLanguage' }),
+    in: string({ enum: ['body', 'query', 'params'] }),
+    code: string({ example: 'UNSUPPORTED_LANGUAGE' }),
+    message: string()
+  }, ['field', 'in', 'code', 'message']),
+
+  Session: successBody({
+    token: string({ description: 'JWT access token, send as Authorization: Bearer <token>' }),
+    tokenType: string({ example: 'Bearer' }),
+    expiresAt: dateTime,
+    user: ref('User')
+  }),
+
+  User: object({ userId: string({ example: 'student123' }) }, ['userId']),
+
+  CurrentUser: successBody({ user: ref('User'), expiresAt: dateTime }),
+
+  Quota: object({
+    limit: integer({ nullable: true, description: 'Per UTC day; null when unlimited' }),
+    used: integer(),
+    remaining: integer({ nullable: true }),
+    resetsAt: dateTime
+  }),
+
+  RateLimitBucket: object({
+    limit: integer(),
+    windowSeconds: integer(),
+    remaining: integer(),
+    resetSeconds: integer({ description: 'Until the bucket is full again' })
+  }),
+
+  Usage: successBody({
+    userId: string(),
+    quotas: object({ audioBytes: ref('Quota'), translatedCharacters: ref('Quota') }),
+    rateLimits: {
+      type: 'object',
+      description: 'Per route family (auth, messages, audio, api, test); null when the scope is not limited',
+      additionalProperties: object({
+        user: { allOf: [ref('RateLimitBucket')], nullable: true },
+        ip: { allOf: [ref('RateLimitBucket')], nullable: true }
+      })
+    }
+  }),
+
+  LanguagePreference: successBody({
+    userId: string(),
+    language: string({ example: 'es' }),
+    message: string(),
+    responseTime: integer()
+  }),
+
+  Language: object({ code: string({ example: 'es' }), name: string({ example: 'Spanish' }) }),
+
+  Languages: successBody({ languages: { type: 'array', items: ref('Language') } }),
+
+  ChatMessage: object({
+    id: string({ format: 'uuid' }),
+    type: string({ enum: ['text', 'audio'] }),
+    userId: string(),
+    originalText: string(),
+    translatedText: string(),
+    sourceLanguage: string(),
+    targetLanguage: string(),
+    audioSize: integer(),
+    processedAudioSize: integer(),
+    processedAudioFormat: string(),
+    audioUrl: string({ description: 'Download with GET /api/messages/{id}/audio' }),
+    timestamp: dateTime
+  }),
+
+  History: successBody({ count: integer(), messages: { type: 'array', items: ref('ChatMessage') } }),
+
+  TextMessageResult: successBody({
+    messageId: string({ format: 'uuid' }),
+    original: languagePair({ text: string() }),
+    translated: languagePair({ text: string() }),
+    performance
+  }),
+
+  BatchItemResult: object({
+    index: integer(),
+    success: { type: 'boolean' },
+    messageId: string({ format: 'uuid' }),
+    original: languagePair({ text: string() }),
+    translated: languagePair({ text: string() }),
+    processingTime: integer(),
+    error: string({ description: 'Failed items only' }),
+    code: string({ description: 'Failed items only, e.g. MISSING_FIELD or PROCESSING_FAILED' }),
+    fields: { type: 'array', items: ref('FieldError') }
+  }),
+
+  BatchResult: successBody({
+    total: integer(),
+    succeeded: integer(),
+    failed: integer(),
+    results: { type: 'array', items: ref('BatchItemResult') },
+    performance
+  }),
+
+  AudioMessageResult: successBody({
+    messageId: string({ format: 'uuid' }),
+    original: languagePair({ size: integer(), format: string() }),
+    processed: languagePair({ url: string(), size: integer(), format: string() }),
+    performance
+  }),
+
+  AudioInfo: successBody({
+    info: object({
+      format: string({ example: 'wav' }),
+      durationMs: integer(),
+      sampleRate: integer(),
+      channels: integer(),
+      bitDepth: integer(),
+      sizeBytes: integer()
+    })
+  }),
+
+  Room: object({
+    id: string({ format: 'uuid' }),
+    name: string(),
+    createdBy: string(),
+    members: { type: 'array', items: string() },
+    inviteCode: string({ description: 'Needed to join; only shown to the creator' }),
+    createdAt: dateTime
+  }),
+
+  RoomResult: successBody({ room: ref('Room') }),
+
+  Rooms: successBody({ count: integer(), rooms: { type: 'array', items: ref('Room') } }),
+
+  RoomMessage: object({
+    id: string({ format: 'uuid' }),
+    type: string({ enum: ['text'] }),
+    roomId: string(),
+    userId: string(),
+    originalText: string(),
+    translatedText: string({ description: "In the reader's preferred language (the original if none)" }),
+    sourceLanguage: string(),
+    targetLanguage: string(),
+    timestamp: dateTime
+  }),
+
+  RoomMessageResult: successBody({
+    message: ref('RoomMessage'),
+    translations: { type: 'object', additionalProperties: string(), description: 'Text per member language' },
+    performance
+  }),
+
+  RoomHistory: successBody({
+    room: ref('Room'),
+    count: integer(),
+    messages: { type: 'array', items: ref('RoomMessage') }
+  }),
+
+  PerformanceMetrics: successBody({
+    metrics: { type: 'object', additionalProperties: true, description: 'REST (HTTP/JSON twin) vs gRPC latency summaries per window' }
+  }),
+
+  MetricsReset: successBody({ message: string(), resetAt: dateTime }),
+
+  BenchmarkResult: successBody({
+    operation: string({ enum: ['text', 'audio'] }),
+    iterations: integer(),
+    results: { type: 'object', additionalProperties: true, description: 'rest and grpc: average/min/max time and payload sizes' }
+  }),
+
+  ConcurrentTestResult: successBody({
+    messagesProcessed: integer(),
+    totalTime: string({ example: '42ms' }),
+    avgTimePerMessage: string({ example: '8.40ms' }),
+    results: { type: 'array', items: object({ message: integer(), translated: string(), time: integer() }) }
+  }),
+
+  Health: object({
+    success: { type: 'boolean' },
+    status: string({ enum: ['healthy', 'degraded', 'unhealthy'] }),
+    error: string(),
+    code: string({ example: 'UNAVAILABLE' }),
+    services: { type: 'object', additionalProperties: true, description: 'Status, latency and replicas per service' },
+    circuitBreakers: { type: 'object', additionalProperties: true },
+    discovery: { type: 'object', additionalProperties: true },
+    timestamp: dateTime
+  })
+};
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+// One entry per gateway route
+//   schema:    key of the request schemas (body, query, params) - see server.js
+//   auth:      true (Bearer token) or 'query' (Bearer or ?access_token=)
+//   body:      'json' (default with a body schema), 'audio' (JSON or multipart), 'binary'
+//   responses: status → response schema name, or a full OpenAPI response
+//   errors:    extra error statuses (400/401/429 are added from schema/auth/rateLimit)
+const ROUTES = [
+  // Auth
+  { method: 'post', path: '/api/auth/register', tag: 'Auth', operationId: 'register', summary: 'Create an account and log in', schema: 'register', rateLimit: 'auth', responses: { 201: 'Session' }, errors: [409] },
+  { method: 'post', path: '/api/auth/login', tag: 'Auth', operationId: 'login', summary: 'Log in and get an access token', schema: 'login', rateLimit: 'auth', responses: { 200: 'Session' }, errors: [401] },
+  { method: 'get', path: '/api/auth/me', tag: 'Auth', operationId: 'getCurrentUser', summary: "The token's user and expiry", auth: true, rateLimit: 'api', responses: { 200: 'CurrentUser' } },
+  { method: 'get', path: '/api/usage', tag: 'Auth', operationId: 'getUsage', summary: 'Your daily quotas and rate limits', auth: true, rateLimit: 'api', responses: { 200: 'Usage' } },
+
+  // Users
+  { method: 'post', path: '/api/users/language', tag: 'Users', operationId: 'setUserLanguage', summary: 'Set your preferred language', schema: 'userLanguage', auth: true, rateLimit: 'api', responses: { 200: 'LanguagePreference' } },
+  { method: 'get', path: '/api/users/:userId/language', tag: 'Users', operationId: 'getUserLanguage', summary: "Your or a room member's preferred language", auth: true, rateLimit: 'api', responses: { 200: 'LanguagePreference' }, errors: [403] },
+
+  // Messages
+  { method: 'post', path: '/api/messages/text', tag: 'Messages', operationId: 'sendTextMessage', summary: 'Translate and store a text message', schema: 'textMessage', transport: true, auth: true, rateLimit: 'messages', backend: true, responses: { 200: 'TextMessageResult' } },
+  { method: 'post', path: '/api/messages/text/batch', tag: 'Messages', operationId: 'sendTextBatch', summary: 'Translate many texts in one TranslateBatch call', description: 'Each item is validated on its own: invalid items fail in their result slot, the rest are still translated.', schema: 'textBatch', transport: true, auth: true, rateLimit: 'messages', backend: true, responses: { 200: 'BatchResult' } },
+  { method: 'get', path: '/api/messages/history', tag: 'Messages', operationId: 'getChatHistory', summary: 'Your chat history (newest last)', schema: 'history', auth: true, rateLimit: 'api', responses: { 200: 'History' }, errors: [403] },
+
+  // Audio
+  { method: 'post', path: '/api/messages/audio', tag: 'Audio', operationId: 'sendAudioMessage', summary: 'Process and store an audio message', description: 'Send the audio as a multipart "audio" file, or base64 in a JSON audioData field.', schema: 'audioMessage', body: 'audio', transport: true, auth: true, rateLimit: 'audio', backend: true, responses: { 200: 'AudioMessageResult' }, errors: [413, 422] },
+  { method: 'post', path: '/api/messages/audio/stream', tag: 'Audio', operationId: 'streamAudioMessage', summary: 'Stream a raw audio body to ProcessAudioStream', description: 'The body is forwarded in chunks while it arrives; metadata comes from the query string.', schema: 'audioStream', body: 'binary', auth: true, rateLimit: 'audio', backend: true, responses: { 200: 'AudioMessageResult' }, errors: [413, 422] },
+  {
+    method: 'get', path: '/api/messages/:id/audio', tag: 'Audio', operationId: 'downloadAudio', summary: 'Download your processed audio as raw bytes', description: 'Supports a single Range. Players that cannot set headers may pass ?access_token=.', auth: 'query', rateLimit: 'api',
+    responses: {
+      200: { description: 'The whole audio file', content: { 'audio/*': { schema: string({ format: 'binary' }) } } },
+      206: { description: 'The requested byte range', content: { 'audio/*': { schema: string({ format: 'binary' }) } } },
+      416: { description: 'Range not satisfiable' }
+    },
+    errors: [404]
+  },
+  { method: 'post', path: '/api/audio/info', tag: 'Audio', operationId: 'getAudioInfo', summary: 'Inspect audio: format, sample rate, channels, bit depth, duration', schema: 'audioInfo', body: 'audio', auth: true, rateLimit: 'audio', backend: true, responses: { 200: 'AudioInfo' }, errors: [422] },
+
+  // Rooms
+  { method: 'post', path: '/api/rooms', tag: 'Rooms', operationId: 'createRoom', summary: 'Create a chat room (you become its first member)', schema: 'createRoom', auth: true, rateLimit: 'api', responses: { 201: 'RoomResult' } },
+  { method: 'get', path: '/api/rooms', tag: 'Rooms', operationId: 'listRooms', summary: 'List your rooms', auth: true, rateLimit: 'api', responses: { 200: 'Rooms' } },
+  { method: 'post', path: '/api/rooms/:roomId/join', tag: 'Rooms', operationId: 'joinRoom', summary: 'Join a room with its invite code', schema: 'joinRoom', auth: true, rateLimit: 'api', responses: { 200: 'RoomResult' }, errors: [403, 404] },
+  { method: 'post', path: '/api/rooms/:roomId/messages', tag: 'Rooms', operationId: 'postRoomMessage', summary: 'Post to a room, translated once per member language', schema: 'roomMessage', auth: true, rateLimit: 'messages', backend: true, responses: { 201: 'RoomMessageResult' }, errors: [403, 404] },
+  { method: 'get', path: '/api/rooms/:roomId/messages', tag: 'Rooms', operationId: 'getRoomMessages', summary: 'Room history in your preferred language (members only)', schema: 'roomHistory', auth: true, rateLimit: 'api', responses: { 200: 'RoomHistory' }, errors: [403, 404] },
+
+  // Service information
+  { method: 'get', path: '/api/languages', tag: 'Service', operationId: 'getLanguages', summary: 'Languages supported by the translation service', backend: true, responses: { 200: 'Languages' } },
+  {
+    method: 'get', path: '/api/health', tag: 'Service', operationId: 'getHealth', summary: 'Probe every service replica (gRPC health protocol)',
+    responses: {
+      200: 'Health',
+      503: { description: 'A service has no replica SERVING', content: { 'application/json': { schema: ref('Health') } } }
+    }
+  },
+  {
+    method: 'get', path: '/metrics', tag: 'Service', operationId: 'getPrometheusMetrics', summary: 'Prometheus metrics (text exposition format)',
+    responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: string() } } } }
+  },
+  {
+    method: 'get', path: '/api/openapi.json', tag: 'Service', operationId: 'getOpenApiDocument', summary: 'This document',
+    responses: { 200: { description: 'OpenAPI 3.0 document', content: { 'application/json': { schema: { type: 'object' } } } } }
+  },
+  {
+    method: 'get', path: '/api/docs', tag: 'Service', operationId: 'getApiDocs', summary: 'Interactive API docs (Swagger UI)',
+    responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: string() } } } }
+  },
+
+  // Performance
+  { method: 'get', path: '/api/performance/metrics', tag: 'Performance', operationId: 'getPerformanceMetrics', summary: 'REST (HTTP/JSON) vs gRPC latency on the gateway → service hop', schema: 'performanceMetrics', responses: { 200: 'PerformanceMetrics' } },
+  { method: 'post', path: '/api/performance/metrics/reset', tag: 'Performance', operationId: 'resetPerformanceMetrics', summary: 'Clear latency samples and payload totals', auth: true, rateLimit: 'test', responses: { 200: 'MetricsReset' } },
+  { method: 'post', path: '/api/performance/benchmark', tag: 'Performance', operationId: 'runBenchmark', summary: 'Run the same backend calls over gRPC and HTTP/JSON', schema: 'benchmark', auth: true, rateLimit: 'test', backend: true, responses: { 200: 'BenchmarkResult' } },
+  { method: 'post', path: '/api/test/concurrent', tag: 'Performance', operationId: 'testConcurrent', summary: 'Send many translations at once', schema: 'concurrentTest', auth: true, rateLimit: 'test', backend: true, responses: { 200: 'ConcurrentTestResult' } }
+];
+
+const TAGS = [
+  { name: 'Auth', description: 'Accounts, access tokens, quotas' },
+  { name: 'Users', description: 'Language preferences' },
+  { name: 'Messages', description: 'Text translation and chat history' },
+  { name: 'Audio', description: 'Audio processing, streaming uploads and downloads' },
+  { name: 'Rooms', description: 'Multilingual chat rooms' },
+  { name: 'Service', description: 'Languages, health, metrics and these docs' },
+  { name: 'Performance', description: 'REST vs gRPC measurements' },
+  { name: 'gRPC', description: 'Service RPCs served from their google.api.http annotations (proto3 JSON field names)' }
+];
+
+const DESCRIPTION = [
+  'REST API of the Distributed Chat System gateway. Translation and audio work is done by gRPC microservices behind it.',
+  '',
+  'Log in (or register) and send the token as `Authorization: Bearer <token>` on 🔒 routes.',
+  'Errors use one envelope: `{ success: false, error, code, details?, fields? }`.',
+  'Rate-limited routes send `RateLimit-*` headers.',
+  'Real-time messages are a WebSocket at `/api/messages/stream?access_token=<token>` (not described by OpenAPI).',
+  '',
+  'Comsats University Islamabad, Lahore Campus - PDC Lab Exam, Fall 2025'
+].join('\n');
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+// Express path → OpenAPI path: /api/rooms/:roomId → /api/rooms/{roomId}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Build the OpenAPI document
+ *
+ * validator:  from createValidator() (request schemas → JSON Schema)
+ * schemas:    the request schemas the routes validate with
+ * errorCodes: every error code (ErrorResponse.code)
+ * transports: backend transports for ?transport=
+ * transcoded: { routes, schemas } for the transcoded RPCs; routes already
+ *             carry their parameters, requestBody and responses
+ */
+function createOpenApiDocument({ validator, schemas, errorCodes, transports, serverUrl, version, transcoded = { routes: [], schemas: {} } }) {
+  const requestBody = (route, bodySchema) => {
+    const json = validator.toJsonSchema(bodySchema);
+    if (route.body === 'binary') {
+      return { required: true, content: { 'application/octet-stream': { schema: string({ format: 'binary' }) } } };
+    }
+    if (route.body === 'audio') {
+      const multipart = {
+        ...json,
+        properties: { audio: string({ format: 'binary', description: 'The audio file' }), ...json.properties }
+      };
+      delete multipart.properties.audioData;
+      return { required: true, content: { 'multipart/form-data': { schema: multipart }, 'application/json': { schema: json } } };
+    }
+    return { required: Boolean(json.required), content: { 'application/json': { schema: json } } };
+  };
+
+  const operation = (route) => {
+    const request = route.schema ? schemas[route.schema] : {};
+    const pathParameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name, in: 'path', required: true, schema: string()
+    }));
+    const parameters = route.parameters ? [...route.parameters] : [
+      ...pathParameters,
+      ...(request.query ? validator.toParameters(request.query, 'query') : [])
+    ];
+    if (route.transport) {
+      parameters.push({
+        name: 'transport',
+        in: 'query',
+        description: 'Backend transport for the gateway → service hop (or the X-Backend-Transport header)',
+        schema: string({ enum: transports })
+      });
+    }
+
+    const responses = {};
+    for (const [status, response] of Object.entries(route.responses)) {
+      responses[status] = typeof response === 'string'
+        ? { description: 'Success', content: { 'application/json': { schema: ref(response) } } }
+        : response;
+    }
+    const errors = new Set(route.errors || []);
+    if (route.schema) errors.add(400);
+    if (route.auth) errors.add(401);
+    if (route.rateLimit) errors.add(429);
+    if (route.backend) BACKEND_ERRORS.forEach(status => errors.add(status));
+    [...errors].sort().forEach(status => {
+      responses[status] = responses[status] || { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+    });
+
+    return {
+      tags: [route.tag],
+      operationId: route.operationId,
+      summary: route.summary,
+      description: [route.description, route.rateLimit && `Rate limit family: ${route.rateLimit}.`].filter(Boolean).join(' ') || undefined,
+      security: route.auth === 'query' ? [{ bearerAuth: [] }, { accessToken: [] }] : route.auth ? [{ bearerAuth: [] }] : [],
+      parameters: parameters.length ? parameters : undefined,
+      requestBody: route.requestBody ||
+        (request.body ? requestBody(route, request.body) : (route.body === 'binary' ? requestBody(route, {}) : undefined)),
+      responses
+    };
+  };
+
+  const paths = {};
+  for (const route of [...ROUTES, ...transcoded.routes]) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation(route);
+  }
+
+  const responses = {};
+  for (const { name, description } of Object.values(ERROR_RESPONSES)) {
+    responses[name] = { description, content: { 'application/json': { schema: ref('ErrorResponse') } } };
+  }
+  responses.TooManyRequests.headers = {
+    'Retry-After': { description: 'Seconds until a retry can succeed', schema: integer() },
+    'RateLimit-Limit': { schema: integer() },
+    'RateLimit-Remaining': { schema: integer() },
+    'RateLimit-Reset': { schema: integer() }
+  };
+  responses.Unauthorized.headers = { 'WWW-Authenticate': { schema: string({ example: 'Bearer' }) } };
+
+  // JSON.parse(JSON.stringify()) drops the undefined fields
+  return JSON.parse(JSON.stringify({
+    openapi: '3.0.3',
+    info: { title: 'Distributed Chat System API', version, description: DESCRIPTION },
+    servers: [{ url: serverUrl }],
+    tags: TAGS,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        accessToken: { type: 'apiKey', in: 'query', name: 'access_token' }
+      },
+      responses,
+      schemas: {
+        ErrorResponse: object({
+          success: { type: 'boolean', example: false },
+          error: string({ description: 'Message for people' }),
+          code: string({ enum: errorCodes, description: 'Machine-readable; decides the HTTP status' }),
+          details: string(),
+          fields: { type: 'array', items: ref('FieldError'), description: 'Every invalid field (validation errors)' },
+          retryAfter: integer({ description: 'Seconds to wait (429, or 503 with an open circuit breaker)' }),
+          quota: { type: 'object', additionalProperties: true, description: 'QUOTA_EXCEEDED: name, limit, used, remaining, resetsAt' },
+          requestId: string()
+        }, ['success', 'error', 'code']),
+        ...RESPONSE_SCHEMAS,
+        ...transcoded.schemas
+      }
+    }
+  }));
+}
+
+/**
+ * Routes of an Express app that have no ROUTES (or extraRoutes) entry ("GET /api/x")
+ */
+function listUndocumentedRoutes(app, extraRoutes = []) {
+  const documented = new Set([...ROUTES, ...extraRoutes].map(route => `${route.method.toUpperCase()} ${route.path}`));
+  const found = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      found.push(`${method.toUpperCase()} ${layer.route.path}`);
+    }
+  }
+  return found.filter(route => !documented.has(route));
+}
+
+/**
+ * Swagger UI page for the document at specUrl (assets from assetsUrl, a swagger-ui-dist copy)
+ */
+function renderDocsPage({ specUrl, assetsUrl }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Distributed Chat System API</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { createOpenApiDocument, listUndocumentedRoutes, renderDocsPage, ROUTES };
@@ -0,0 +1,154 @@
+/**
+ * Protobuf Payload Meter
+ * ======================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Measures the real size of gRPC messages instead of estimating it.
+ *
+ * A client interceptor encodes every message it sees with the same
+ * Protobuf serializers grpc-js uses on the wire (from the loaded proto
+ * package definitions) and records the byte counts in both directions:
+ *
+ *   encoded bytes  = length of the serialized Protobuf message
+ *   wire bytes     = encoded bytes + 5-byte gRPC frame prefix per message
+ *                    (HTTP/2 frame headers and metadata are not included)
+ *
+ * Usage:
+ *   const meter = createPayloadMeter([translationPackageDef, audioPackageDef]);
+ *   const payload = meter.track();
+ *   client.TranslateText(request, payload.callOptions, (error, response) => {
+ *     payload.sizes.requestBytes, payload.sizes.responseBytes
+ *   });
+ */
+
+const grpc = require('@grpc/grpc-js');
+
+// Every gRPC message is prefixed with a compressed flag (1 byte) and a length (4 bytes)
+const GRPC_FRAME_PREFIX_BYTES = 5;
+
+/**
+ * Map "/package.Service/Method" to its method definition (with both serializers)
+ */
+function indexMethods(packageDefinitions) {
+  const methods = new Map();
+  for (const packageDefinition of packageDefinitions) {
+    for (const definition of Object.values(packageDefinition)) {
+      // Message type entries have a "format" field; services are maps of methods
+      if (definition.format) continue;
+      for (const method of Object.values(definition)) {
+        if (method && method.path) {
+          methods.set(method.path, method);
+        }
+      }
+    }
+  }
+  return methods;
+}
+
+function emptySizes() {
+  return {
+    requestBytes: 0,
+    responseBytes: 0,
+    requestMessages: 0,
+    responseMessages: 0
+  };
+}
+
+/**
+ * Wire bytes for sizes recorded by the meter
+ */
+function wireBytes(bytes, messages) {
+  return bytes + messages * GRPC_FRAME_PREFIX_BYTES;
+}
+
+/**
+ * Create a payload meter for the given proto-loader package definitions
+ */
+function createPayloadMeter(packageDefinitions) {
+  const methods = indexMethods(packageDefinitions);
+
+  // Cumulative sizes per method path
+  const totals = new Map();
+
+  const totalsFor = (methodPath) => {
+    if (!totals.has(methodPath)) {
+      totals.set(methodPath, { calls: 0, ...emptySizes() });
+    }
+    return totals.get(methodPath);
+  };
+
+  /**
+   * Build an interceptor that adds every message size to the given sizes object
+   */
+  const createInterceptor = (sizes) => (options, nextCall) => {
+    const methodPath = options.method_definition.path;
+    const method = methods.get(methodPath) || options.method_definition;
+    const total = totalsFor(methodPath);
+    total.calls++;
+
+    return new grpc.InterceptingCall(nextCall(options), {
+      sendMessage(message, next) {
+        const bytes = method.requestSerialize(message).length;
+        sizes.requestBytes += bytes;
+        sizes.requestMessages++;
+        total.requestBytes += bytes;
+        total.requestMessages++;
+        next(message);
+      },
+      start(metadata, listener, next) {
+        next(metadata, {
+          onReceiveMessage(message, nextMessage) {
+            // Client-side method definitions only carry a deserializer;
+            // a failed unary call delivers a null message before its status
+            if (message !== null && method.responseSerialize) {
+              const bytes = method.responseSerialize(message).length;
+              sizes.responseBytes += bytes;
+              sizes.responseMessages++;
+              total.responseBytes += bytes;
+              total.responseMessages++;
+            }
+            nextMessage(message);
+          }
+        });
+      }
+    });
+  };
+
+  return {
+    /**
+     * Start measuring one call
+     * Pass callOptions to the gRPC method; sizes fills in as messages flow.
+     */
+    track() {
+      const sizes = emptySizes();
+      return {
+        sizes,
+        callOptions: { interceptors: [createInterceptor(sizes)] }
+      };
+    },
+
+    /**
+     * Forget the cumulative totals
+     */
+    reset() {
+      totals.clear();
+    },
+
+    /**
+     * Cumulative encoded and wire sizes per gRPC method
+     */
+    getTotals() {
+      const result = {};
+      for (const [methodPath, total] of totals) {
+        result[methodPath] = {
+          ...total,
+          requestWireBytes: wireBytes(total.requestBytes, total.requestMessages),
+          responseWireBytes: wireBytes(total.responseBytes, total.responseMessages)
+        };
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createPayloadMeter, wireBytes, GRPC_FRAME_PREFIX_BYTES };
@@ -0,0 +1,182 @@
+/**
+ * Rate Limits and Quotas
+ * ======================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Protects the gateway (and the services behind it) from clients that send
+ * too much, too fast.
+ *
+ * - Rate limits: one token bucket per key (user or IP) and route family.
+ *   "60/1m" holds 60 tokens and refills 60 per minute, so short bursts are
+ *   allowed but the long-run rate is capped. Each request takes one token.
+ * - Quotas: amounts per user and UTC day (audio bytes, translated
+ *   characters), reset at midnight UTC.
+ *
+ * Both are kept in memory: they restart from zero with the gateway, and
+ * every gateway replica counts on its own.
+ *
+ * Usage:
+ *   const limiter = createRateLimiter({ limit: 60, windowMs: 60000 });
+ *   const result = limiter.take('user:ali');  // { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+ *
+ *   const quotas = createQuotaTracker({ audioBytes: 100 * 1024 * 1024 });
+ *   quotas.check('ali', 'audioBytes', 32000);  // { allowed, limit, used, remaining, resetsAt }
+ *   quotas.record('ali', 'audioBytes', 32000);
+ */
+
+const { parseWindow } = require('./latency-stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Idle buckets are full again after one window; drop them to bound memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse a rate limit like "60/1m" into { limit, windowMs }
+ * "off" (or 0) disables the limit: null
+ */
+function parseRateLimit(text) {
+  if (text === 'off' || text === '0') return null;
+  const match = /^(\d+)\/(\w+)$/.exec(String(text).trim());
+  if (!match || parseInt(match[1]) === 0) {
+    throw new Error(`Invalid rate limit "${text}" (expected e.g. 60/1m, 10/30s or off)`);
+  }
+  const windowMs = parseWindow(match[2]);
+  if (windowMs === null) {
+    throw new Error(`Invalid rate limit "${text}" (the window cannot be "all")`);
+  }
+  return { limit: parseInt(match[1]), windowMs };
+}
+
+/**
+ * Create a token bucket limiter: limit tokens per windowMs for each key
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const refillPerMs = limit / windowMs;
+  const buckets = new Map(); // key → { tokens, updatedAt }
+
+  const refill = (key, now) => {
+    const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  };
+
+  const describe = (bucket, cost) => {
+    const missing = Math.max(0, cost - bucket.tokens);
+    return {
+      allowed: missing === 0,
+      limit,
+      windowSeconds: Math.ceil(windowMs / 1000),
+      remaining: Math.floor(bucket.tokens),
+      // Until the bucket is full again
+      resetSeconds: Math.ceil((limit - bucket.tokens) / refillPerMs / 1000),
+      retryAfterSeconds: Math.ceil(missing / refillPerMs / 1000)
+    };
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt >= windowMs) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    limit,
+    windowMs,
+
+    /**
+     * State of a key's bucket without taking a token
+     */
+    peek(key, cost = 1) {
+      return describe(refill(key, Date.now()), cost);
+    },
+
+    /**
+     * Take cost tokens if the bucket has them; allowed: false otherwise
+     */
+    take(key, cost = 1) {
+      const bucket = refill(key, Date.now());
+      const result = describe(bucket, cost);
+      if (result.allowed) {
+        bucket.tokens -= cost;
+        result.remaining = Math.floor(bucket.tokens);
+        result.resetSeconds = Math.ceil((limit - bucket.tokens) / refillPerMs / 1000);
+      }
+      return result;
+    },
+
+    size() {
+      return buckets.size;
+    }
+  };
+}
+
+/**
+ * Create daily per-user quotas
+ *
+ * limits: { name: amount per UTC day } - a missing or 0 limit is unlimited
+ */
+function createQuotaTracker(limits) {
+  let day = null;
+  let used = new Map(); // `${userId}:${name}` → amount used today
+
+  // Counters start over at midnight UTC
+  const today = () => {
+    const current = Math.floor(Date.now() / DAY_MS);
+    if (current !== day) {
+      day = current;
+      used = new Map();
+    }
+    return current;
+  };
+
+  const state = (userId, name, amount) => {
+    const resetsAt = new Date((today() + 1) * DAY_MS);
+    const limit = limits[name] || null;
+    const usedToday = used.get(`${userId}:${name}`) || 0;
+    return {
+      allowed: limit === null || usedToday + amount <= limit,
+      limit,
+      used: usedToday,
+      remaining: limit === null ? null : Math.max(0, limit - usedToday),
+      resetsAt: resetsAt.toISOString(),
+      retryAfterSeconds: Math.ceil((resetsAt.getTime() - Date.now()) / 1000)
+    };
+  };
+
+  return {
+    /**
+     * Whether amount more still fits in today's quota (nothing is recorded)
+     */
+    check(userId, name, amount) {
+      return state(userId, name, amount);
+    },
+
+    /**
+     * Count amount against today's quota
+     */
+    record(userId, name, amount) {
+      today();
+      const key = `${userId}:${name}`;
+      used.set(key, (used.get(key) || 0) + amount);
+    },
+
+    /**
+     * Today's usage of every quota for one user
+     */
+    usage(userId) {
+      const result = {};
+      for (const name of Object.keys(limits)) {
+        const { allowed, retryAfterSeconds, ...rest } = state(userId, name, 0);
+        result[name] = rest;
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createRateLimiter, createQuotaTracker, parseRateLimit };
@@ -0,0 +1,143 @@
+/**
+ * Real-Time Message Hub (WebSocket)
+ * =================================
+ * PDC Lab Exam - Distributed Chat System
+ * 
+ * Pushes newly stored text and audio messages to connected clients so they
+ * no longer have to poll GET /api/messages/history.
+ * 
+ * ENDPOINT:
+ *   ws://<gateway>/api/messages/stream?access_token=<token>&limit=<optional>
+ * 
+ * The access token (or an Authorization: Bearer header) is required; the
+ * upgrade is refused with 401 without a valid one.
+ * 
+ * FRAMES (server → client, JSON):
+ * - { "type": "snapshot", "messages": [...] }  sent once after connecting
+ * - { "type": "message",  "message": {...} }    sent for every new message
+ * - { "type": "room-message", "roomId": "...", "message": {...} }
+ *                                               sent to room members, already
+ *                                               in their preferred language
+ * 
+ * Subscribers only receive their own messages and the messages of rooms
+ * they are a member of.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+const STREAM_PATH = '/api/messages/stream';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Create the message hub
+ * getRecentMessages({ userId, limit }) supplies the snapshot for new subscribers.
+ * authenticate(request) returns the { userId } of an upgrade request, or null.
+ * logger is a shared/logger instance for connection events.
+ */
+function createMessageHub({ getRecentMessages, authenticate, logger }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Subscriber -> { userId } filter
+  const subscribers = new Map();
+
+  wss.on('connection', (socket, request, user) => {
+    const url = new URL(request.url, 'http://localhost');
+    const { userId } = user;
+    const limit = parseInt(url.searchParams.get('limit')) || 50;
+
+    subscribers.set(socket, { userId });
+    socket.isAlive = true;
+
+    logger.info('WebSocket subscriber connected', { userId, subscribers: subscribers.size });
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('close', () => {
+      subscribers.delete(socket);
+      logger.info('WebSocket subscriber disconnected', { subscribers: subscribers.size });
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('WebSocket error', { error });
+    });
+
+    send(socket, {
+      type: 'snapshot',
+      messages: getRecentMessages({ userId, limit })
+    });
+  });
+
+  // Drop subscribers that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of subscribers.keys()) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    path: STREAM_PATH,
+
+    /**
+     * Attach the hub to the HTTP server returned by app.listen()
+     */
+    attach(server) {
+      server.on('upgrade', (request, socket, head) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname !== STREAM_PATH) {
+          socket.destroy();
+          return;
+        }
+        const user = authenticate(request);
+        if (!user) {
+          logger.warn('WebSocket subscriber rejected', { reason: 'missing or invalid access token' });
+          socket.end('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nConnection: close\r\n\r\n');
+          return;
+        }
+        wss.handleUpgrade(request, socket, head, (ws) => {
+          wss.emit('connection', ws, request, user);
+        });
+      });
+    },
+
+    /**
+     * Push a newly stored message to its author's subscribers
+     */
+    publish(message) {
+      for (const [socket, filter] of subscribers) {
+        if (filter.userId !== message.userId) continue;
+        send(socket, { type: 'message', message });
+      }
+    },
+
+    /**
+     * Push a room message to every subscriber who is a member of the room
+     * localize(userId) returns the message as that member should see it.
+     */
+    publishToRoom(room, localize) {
+      for (const [socket, filter] of subscribers) {
+        if (!room.members.includes(filter.userId)) continue;
+        send(socket, { type: 'room-message', roomId: room.id, message: localize(filter.userId) });
+      }
+    },
+
+    subscriberCount() {
+      return subscribers.size;
+    }
+  };
+}
+
+function send(socket, frame) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+}
+
+module.exports = { createMessageHub };
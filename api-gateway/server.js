@@ -12,8 +12,10 @@
  * 
  * PERFORMANCE METRICS:
  * - Measures response time for each request
- * - Tracks payload sizes (JSON vs Protobuf)
+ * - Tracks payload sizes (JSON vs encoded Protobuf, measured per call)
  * - Logs comparison data for REST vs gRPC analysis
+ * - Backends can be called over gRPC or their HTTP/JSON twin
+ *   (?transport=grpc|http), so both protocols are timed on the same hop
  */
 
 const express = require('express');
@@ -23,46 +25,452 @@ const { v4: uuidv4 } = require('uuid');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { createMessageHub } = require('./realtime');
+const { createPayloadMeter, wireBytes } = require('./payload-meter');
+const { createHttpBackendClient } = require('./http-backend');
+const { createLatencyRecorder, parseWindow } = require('./latency-stats');
+const { createCircuitBreaker, createResilientClient } = require('./resilience');
+const { createLoadBalancer, resolveReplicas } = require('./load-balancer');
+const { createRegistryDiscovery } = require('./service-discovery');
+const { createAuth, hashPassword, verifyPassword } = require('./auth');
+const { createRateLimiter, createQuotaTracker, parseRateLimit } = require('./rate-limit');
+const { sendError, backendErrorCode, ERROR_STATUS } = require('./errors');
+const { createValidator } = require('./validation');
+const { createLanguageCatalog } = require('./languages');
+const { createOpenApiDocument, listUndocumentedRoutes, renderDocsPage } = require('./openapi');
+const { createTranscoder } = require('./transcoding');
+const swaggerUiDist = require('swagger-ui-dist');
+const { version: GATEWAY_VERSION } = require('./package.json');
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE, SIZE_BUCKETS } = require('../shared/prometheus');
+const { createTraceContext, REQUEST_ID_KEY, TRACEPARENT_KEY } = require('../shared/tracing');
+const { createLogger } = require('../shared/logger');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 const PORT = process.env.API_PORT || 3000;
-const TRANSLATION_SERVICE_URL = process.env.TRANSLATION_URL || 'localhost:50051';
-const AUDIO_SERVICE_URL = process.env.AUDIO_URL || 'localhost:50052';
+// One address or a comma-separated list of replicas (HTTP twins in the same order)
+const TRANSLATION_SERVICE_URLS = process.env.TRANSLATION_URL || 'localhost:50051';
+const AUDIO_SERVICE_URLS = process.env.AUDIO_URL || 'localhost:50052';
+const TRANSLATION_HTTP_URLS = process.env.TRANSLATION_HTTP_URL || 'http://localhost:8051';
+const AUDIO_HTTP_URLS = process.env.AUDIO_HTTP_URL || 'http://localhost:8052';
+const BACKEND_DISCOVERY_FILE = process.env.BACKEND_DISCOVERY_FILE; // JSON replica list, replaces the URLs above
+const REGISTRY_URL = process.env.REGISTRY_URL; // service registry, replaces the lists and file above
+const REGISTRY_REFRESH_MS = parseInt(process.env.REGISTRY_REFRESH_MS) || 2000;
+const LOAD_BALANCING_POLICY = process.env.LOAD_BALANCING_POLICY || 'round-robin'; // or least-outstanding
+const BACKEND_TRANSPORTS = ['grpc', 'http'];
+const DEFAULT_BACKEND_TRANSPORT = process.env.BACKEND_TRANSPORT || 'grpc';
+const MAX_BENCHMARK_ITERATIONS = 200;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const STORAGE_PATH = process.env.STORAGE_PATH; // defaults to api-gateway/data/chat-store.log
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 100;
+const MAX_TEXT_LENGTH = parseInt(process.env.MAX_TEXT_LENGTH) || 5000; // characters per text to translate
+const MAX_HISTORY_LIMIT = 500;
+const MAX_ROOM_NAME_LENGTH = 100;
+const LANGUAGES_REFRESH_MS = parseInt(process.env.LANGUAGES_REFRESH_MS) || 60000;
+// Swagger UI assets for GET /api/docs: the pinned swagger-ui-dist dependency,
+// served by the gateway, unless SWAGGER_UI_URL points at another copy
+const SWAGGER_UI_ASSETS_PATH = '/api/docs/assets';
+const SWAGGER_UI_URL = process.env.SWAGGER_UI_URL || SWAGGER_UI_ASSETS_PATH;
+const MAX_AUDIO_SIZE = 50 * 1024 * 1024; // 50MB limit
+const AUDIO_STREAM_CHUNK_SIZE = parseInt(process.env.AUDIO_STREAM_CHUNK_SIZE) || 64 * 1024;
+const METRICS_SAMPLE_CAPACITY = parseInt(process.env.METRICS_SAMPLE_CAPACITY) || 10000; // per category
+const METRICS_WINDOWS = (process.env.METRICS_WINDOWS || '1m,1h,all').split(',').map(w => w.trim());
+METRICS_WINDOWS.forEach(parseWindow); // fail fast on a bad window
+const TRANSLATION_DEADLINE_MS = parseInt(process.env.TRANSLATION_DEADLINE_MS) || 5000;
+const AUDIO_DEADLINE_MS = parseInt(process.env.AUDIO_DEADLINE_MS) || 30000; // large uploads
+const BACKEND_MAX_ATTEMPTS = parseInt(process.env.BACKEND_MAX_ATTEMPTS) || 3; // UNAVAILABLE is retried
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD) || 5;
+const BREAKER_RESET_MS = parseInt(process.env.BREAKER_RESET_MS) || 30000;
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 1000;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 5000; // replica ejection
+const AUTH_SECRET = process.env.AUTH_SECRET; // HMAC key for access tokens (random per process when unset)
+const AUTH_TOKEN_TTL_MS = parseInt(process.env.AUTH_TOKEN_TTL_MS) || 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/i; // stored lowercased
+const MIN_PASSWORD_LENGTH = 8;
+const TRUST_PROXY = process.env.TRUST_PROXY; // e.g. 1 (hops) or loopback, so req.ip is the client behind a proxy
+// Daily per-user quotas; 0 turns a quota off
+const QUOTA_AUDIO_BYTES_PER_DAY = process.env.QUOTA_AUDIO_BYTES_PER_DAY !== undefined
+  ? parseInt(process.env.QUOTA_AUDIO_BYTES_PER_DAY) : 200 * 1024 * 1024;
+const QUOTA_TRANSLATED_CHARS_PER_DAY = process.env.QUOTA_TRANSLATED_CHARS_PER_DAY !== undefined
+  ? parseInt(process.env.QUOTA_TRANSLATED_CHARS_PER_DAY) : 100000;
+const MAX_CONCURRENT_TEST_MESSAGES = parseInt(process.env.MAX_CONCURRENT_TEST_MESSAGES) || 100;
+
+// Token bucket per route family ("<requests>/<window>" or off), per user and per
+// client IP; override with RATE_LIMIT_<FAMILY> and RATE_LIMIT_<FAMILY>_IP
+const RATE_LIMIT_DEFAULTS = {
+  auth: { user: 'off', ip: '10/1m' },        // register/login (no user yet)
+  messages: { user: '60/1m', ip: '120/1m' }, // text, batch and room messages
+  audio: { user: '10/1m', ip: '20/1m' },     // audio uploads, streams and inspection
+  api: { user: '120/1m', ip: '240/1m' },     // other routes that need a login
+  test: { user: '3/1m', ip: '5/1m' }         // benchmark, load test, metrics reset
+};
+const RATE_LIMITS = Object.fromEntries(Object.entries(RATE_LIMIT_DEFAULTS).map(([family, defaults]) => {
+  const variable = `RATE_LIMIT_${family.toUpperCase()}`;
+  return [family, {
+    user: parseRateLimit(process.env[variable] || defaults.user), // fails fast on a bad value
+    ip: parseRateLimit(process.env[`${variable}_IP`] || defaults.ip)
+  }];
+}));
+
+// Replicas per service (see ./load-balancer); a bad list or file fails at startup.
+// With a registry they start empty and follow the registered instances.
+const BACKEND_REPLICAS = REGISTRY_URL ? { translation: [], audio: [] } : {
+  translation: resolveReplicas({
+    service: 'translation',
+    discoveryFile: BACKEND_DISCOVERY_FILE,
+    grpcAddresses: TRANSLATION_SERVICE_URLS,
+    httpAddresses: TRANSLATION_HTTP_URLS
+  }),
+  audio: resolveReplicas({
+    service: 'audio',
+    discoveryFile: BACKEND_DISCOVERY_FILE,
+    grpcAddresses: AUDIO_SERVICE_URLS,
+    httpAddresses: AUDIO_HTTP_URLS
+  })
+};
+
+// LOG_LEVEL, LOG_FORMAT and LOG_REDACT (see shared/logger.js)
+const logger = createLogger({ service: 'api-gateway' });
+
+// Content-Type for processed audio downloads
+const AUDIO_CONTENT_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
 
 // Proto file paths
 const TRANSLATION_PROTO_PATH = path.join(__dirname, '../proto/translation.proto');
 const AUDIO_PROTO_PATH = path.join(__dirname, '../proto/audio.proto');
+const HEALTH_PROTO_PATH = path.join(__dirname, '../proto/health.proto');
+const REGISTRY_PROTO_PATH = path.join(__dirname, '../proto/registry.proto');
+const PROTO_INCLUDE_DIR = path.join(__dirname, '../proto'); // google/api/annotations.proto
+
+// ============================================================================
+// PROMETHEUS METRICS (GET /metrics)
+// ============================================================================
+const metricsRegistry = createRegistry();
+metricsRegistry.registerProcessMetrics();
+
+const httpRequests = metricsRegistry.counter({
+  name: 'http_requests_total',
+  help: 'Total HTTP requests handled by the gateway.',
+  labelNames: ['method', 'route', 'status']
+});
+const httpErrors = metricsRegistry.counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP requests answered with a 4xx or 5xx status.',
+  labelNames: ['method', 'route', 'status']
+});
+const httpLatency = metricsRegistry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Gateway response time per route in seconds.',
+  labelNames: ['method', 'route']
+});
+const httpInFlight = metricsRegistry.gauge({
+  name: 'http_requests_in_flight',
+  help: 'HTTP requests currently being handled.',
+  labelNames: ['method']
+});
+const httpRequestBytes = metricsRegistry.histogram({
+  name: 'http_request_size_bytes',
+  help: 'Request body size per route in bytes (from Content-Length).',
+  labelNames: ['method', 'route'],
+  buckets: SIZE_BUCKETS
+});
+const httpResponseBytes = metricsRegistry.histogram({
+  name: 'http_response_size_bytes',
+  help: 'Response body size per route in bytes (from Content-Length).',
+  labelNames: ['method', 'route'],
+  buckets: SIZE_BUCKETS
+});
+
+metricsRegistry.counter({
+  name: 'grpc_client_payload_bytes_total',
+  help: 'Encoded Protobuf bytes sent and received per gRPC method.',
+  labelNames: ['grpc_method', 'direction'],
+  collect: (counter) => {
+    for (const [method, total] of Object.entries(payloadMeter.getTotals())) {
+      counter.set({ grpc_method: method, direction: 'sent' }, total.requestBytes);
+      counter.set({ grpc_method: method, direction: 'received' }, total.responseBytes);
+    }
+  }
+});
+metricsRegistry.gauge({
+  name: 'backend_circuit_breaker_state',
+  help: 'Circuit breaker per backend: 0 = closed, 1 = half-open, 2 = open.',
+  labelNames: ['backend', 'transport'],
+  collect: (gauge) => {
+    const values = { closed: 0, 'half-open': 1, open: 2 };
+    for (const [backend, byTransport] of Object.entries(circuitBreakers)) {
+      for (const [transport, breaker] of Object.entries(byTransport)) {
+        gauge.set({ backend, transport }, values[breaker.getState().state]);
+      }
+    }
+  }
+});
+metricsRegistry.counter({
+  name: 'backend_replica_calls_total',
+  help: 'Backend calls sent to each service replica.',
+  labelNames: ['backend', 'replica', 'transport'],
+  collect: (counter) => {
+    for (const [backend, balancer] of Object.entries(backendBalancers)) {
+      for (const replica of balancer.getReplicas()) {
+        for (const [transport, calls] of Object.entries(replica.calls)) {
+          counter.set({ backend, replica: replica.address, transport }, calls);
+        }
+      }
+    }
+  }
+});
+metricsRegistry.gauge({
+  name: 'backend_replica_outstanding',
+  help: 'Backend calls in flight per service replica.',
+  labelNames: ['backend', 'replica'],
+  collect: (gauge) => {
+    for (const [backend, balancer] of Object.entries(backendBalancers)) {
+      for (const replica of balancer.getReplicas()) {
+        gauge.set({ backend, replica: replica.address }, replica.outstanding);
+      }
+    }
+  }
+});
+metricsRegistry.gauge({
+  name: 'backend_replica_healthy',
+  help: 'Whether a service replica receives calls: 1 = healthy, 0 = ejected by health checks.',
+  labelNames: ['backend', 'replica'],
+  collect: (gauge) => {
+    for (const [backend, balancer] of Object.entries(backendBalancers)) {
+      for (const replica of balancer.getReplicas()) {
+        gauge.set({ backend, replica: replica.address }, replica.healthy ? 1 : 0);
+      }
+    }
+  }
+});
+const rateLimitedRequests = metricsRegistry.counter({
+  name: 'http_rate_limited_total',
+  help: 'Requests rejected with 429 by a rate limit.',
+  labelNames: ['family', 'scope']
+});
+const quotaRejections = metricsRegistry.counter({
+  name: 'quota_exceeded_total',
+  help: 'Requests rejected with 429 because a daily quota was used up.',
+  labelNames: ['quota']
+});
+metricsRegistry.gauge({
+  name: 'websocket_subscribers',
+  help: 'Open real-time message stream connections.',
+  collect: (gauge) => gauge.set({}, messageHub.subscriberCount())
+});
+
+/**
+ * Express middleware: count, time and size every request by matched route
+ */
+function recordHttpMetrics(req, res, next) {
+  const endTimer = httpLatency.startTimer();
+  httpInFlight.inc({ method: req.method });
+  
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    
+    // Route pattern (e.g. /api/rooms/:roomId/join) keeps label cardinality low
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route };
+    const status = res.headersSent ? res.statusCode : 499; // 499: client closed first
+    
+    endTimer(labels);
+    httpInFlight.dec({ method: req.method });
+    httpRequests.inc({ ...labels, status });
+    if (status >= 400) httpErrors.inc({ ...labels, status });
+    httpRequestBytes.observe(labels, parseInt(req.get('Content-Length')) || 0);
+    httpResponseBytes.observe(labels, parseInt(res.get('Content-Length')) || 0);
+  };
+  
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+}
 
 // ============================================================================
 // EXPRESS SETUP
 // ============================================================================
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+}
+app.use(cors({
+  exposedHeaders: [
+    'X-Request-Id', 'Retry-After', 'WWW-Authenticate',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+  ]
+}));
+app.use(assignTraceContext);
+app.use(logRequests);
+app.use(recordHttpMetrics);
+
+// Routes that read the raw request body themselves (streaming uploads)
+const RAW_BODY_ROUTES = ['/api/messages/audio/stream'];
+const unlessRawBody = (middleware) => (req, res, next) =>
+  RAW_BODY_ROUTES.includes(req.path) ? next() : middleware(req, res, next);
+
+app.use(unlessRawBody(express.json({ limit: '50mb' })));
+app.use(unlessRawBody(express.urlencoded({ extended: true, limit: '50mb' })));
 
 // Multer for file uploads
 const upload = multer({ 
   storage: multer.memoryStorage(),
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+  limits: { fileSize: MAX_AUDIO_SIZE }
 });
 
 // ============================================================================
-// IN-MEMORY DATA STORES
+// DATA STORES
 // ============================================================================
 
-// User language preferences
-const userLanguages = new Map();
+// Chat history and user language preferences (see ./storage)
+const store = createStore({ driver: STORAGE_DRIVER, filePath: STORAGE_PATH, logger });
+
+// Access tokens (see ./auth); without AUTH_SECRET, tokens stop working on restart
+if (!AUTH_SECRET) {
+  logger.warn('AUTH_SECRET is not set: using a random secret, tokens are invalid after a restart');
+}
+const auth = createAuth({
+  secret: AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenTtlMs: AUTH_TOKEN_TTL_MS
+});
+
+// Rate limiters per route family and scope, and daily quotas (see ./rate-limit)
+const rateLimiters = Object.fromEntries(Object.entries(RATE_LIMITS).map(([family, limits]) => [family, {
+  user: limits.user && createRateLimiter(limits.user),
+  ip: limits.ip && createRateLimiter(limits.ip)
+}]));
+const quotas = createQuotaTracker({
+  audioBytes: QUOTA_AUDIO_BYTES_PER_DAY,
+  translatedCharacters: QUOTA_TRANSLATED_CHARS_PER_DAY
+});
 
-// Chat history storage
-const chatHistory = [];
+// Real-time delivery of new messages to WebSocket subscribers (see ./realtime)
+const messageHub = createMessageHub({
+  getRecentMessages: (filter) => store.getMessages(filter),
+  authenticate: (request) => auth.authenticate(request, { allowQueryToken: true }).user || null,
+  logger
+});
 
-// Performance metrics storage
+// Performance metrics storage (in-memory, bounded - see ./latency-stats)
+// Each sample is one gateway → service call: rest = HTTP/JSON twin, grpc = gRPC
+const createRecorder = () => createLatencyRecorder({ capacity: METRICS_SAMPLE_CAPACITY });
 const performanceMetrics = {
-  rest: { text: [], audio: [] },
-  grpc: { text: [], audio: [] }
+  rest: { text: createRecorder(), audio: createRecorder() },
+  grpc: { text: createRecorder(), audio: createRecorder() }
+};
+
+// ============================================================================
+// REQUEST SCHEMAS (see ./validation)
+// ============================================================================
+
+// The translation service's language list, for validating language codes
+const supportedLanguages = createLanguageCatalog({
+  fetchLanguages: (callback) => translationClient.GetSupportedLanguages({}, {}, (error, response) =>
+    callback(error, response && response.languages)),
+  logger
+});
+
+const validator = createValidator({
+  maxTextLength: MAX_TEXT_LENGTH,
+  supportedLanguages: () => supportedLanguages.codes()
+});
+const { validate } = validator;
+
+const textMessageFields = {
+  text: { type: 'text', required: true, example: 'Hello, how are you?' },
+  sourceLanguage: { type: 'language', default: 'en' },
+  targetLanguage: { type: 'language', example: 'es', description: 'Defaults to your preferred language' }
+};
+
+// Output format of processed audio (multipart fields or query string)
+const audioFormatFields = {
+  sourceLanguage: { type: 'language', default: 'en' },
+  targetLanguage: { type: 'language', example: 'es', description: 'Defaults to your preferred language' },
+  audioFormat: { type: 'string', pattern: /^[a-z0-9]{2,10}$/, message: 'audioFormat must be a file extension such as wav or m4a', default: 'wav' },
+  sampleRate: { type: 'integer', min: 8000, max: 192000, default: 44100 },
+  channels: { type: 'integer', min: 1, max: 8, default: 2 },
+  bitDepth: { type: 'integer', values: [8, 16, 24, 32], default: 16 }
+};
+
+const historyQuery = {
+  limit: { type: 'integer', min: 1, max: MAX_HISTORY_LIMIT, default: 50 }
+};
+
+const schemas = {
+  login: {
+    body: {
+      username: { type: 'string', required: true, example: 'student123' },
+      password: { type: 'string', required: true, trim: false, example: 'password123' }
+    }
+  },
+  register: {
+    body: {
+      username: { type: 'string', required: true, pattern: USERNAME_PATTERN, message: 'username must be 3-32 characters: letters, digits, "_", "." or "-"', example: 'student123' },
+      password: { type: 'string', required: true, trim: false, minLength: MIN_PASSWORD_LENGTH, example: 'password123' }
+    }
+  },
+  userLanguage: {
+    body: { language: { type: 'language', required: true, example: 'es' } }
+  },
+  textMessage: {
+    body: textMessageFields
+  },
+  textBatch: {
+    body: { messages: { type: 'array', required: true, minLength: 1, maxLength: MAX_BATCH_SIZE, items: textMessageFields } }
+  },
+  // Each batch item, checked on its own (see POST /api/messages/text/batch)
+  batchItem: textMessageFields,
+  audioMessage: {
+    body: { audioData: { type: 'string', description: 'Base64 audio (JSON bodies; multipart uploads send an "audio" file instead)' }, ...audioFormatFields }
+  },
+  audioStream: {
+    query: audioFormatFields
+  },
+  audioInfo: {
+    body: { audioData: { type: 'string', description: 'Base64 audio (JSON bodies; multipart uploads send an "audio" file instead)' } }
+  },
+  history: {
+    query: { ...historyQuery, userId: { type: 'string', description: 'Optional, must be your own userId' } }
+  },
+  createRoom: {
+    body: { name: { type: 'string', required: true, maxLength: MAX_ROOM_NAME_LENGTH, example: 'Study Group' } }
+  },
+  joinRoom: {
+    body: { inviteCode: { type: 'string', description: "The room's invite code, from its creator (not needed by members)" } }
+  },
+  roomMessage: {
+    body: {
+      text: { type: 'text', required: true, example: 'Hello, how are you?' },
+      sourceLanguage: { type: 'language', default: 'en' }
+    }
+  },
+  roomHistory: {
+    query: historyQuery
+  },
+  performanceMetrics: {
+    query: { window: { type: 'string', default: 'all', description: 'e.g. 30s, 5m, 1h or all' } }
+  },
+  benchmark: {
+    body: {
+      operation: { type: 'string', values: ['text', 'audio'], default: 'text' },
+      iterations: { type: 'integer', min: 1, max: MAX_BENCHMARK_ITERATIONS, default: 20 },
+      text: { type: 'text', default: 'Hello, how are you?' },
+      audioSize: { type: 'integer', min: 1, max: MAX_AUDIO_SIZE, default: 16 * 1024 }
+    }
+  },
+  concurrentTest: {
+    body: { messages: { type: 'integer', min: 1, max: MAX_CONCURRENT_TEST_MESSAGES, default: 5 } }
+  }
 };
 
 // ============================================================================
@@ -75,7 +483,8 @@ const translationPackageDef = protoLoader.loadSync(TRANSLATION_PROTO_PATH, {
   longs: String,
   enums: String,
   defaults: true,
-  oneofs: true
+  oneofs: true,
+  includeDirs: [PROTO_INCLUDE_DIR]
 });
 const translationProto = grpc.loadPackageDefinition(translationPackageDef).translation;
 
@@ -85,27 +494,191 @@ const audioPackageDef = protoLoader.loadSync(AUDIO_PROTO_PATH, {
   longs: String,
   enums: String,
   defaults: true,
-  oneofs: true
+  oneofs: true,
+  includeDirs: [PROTO_INCLUDE_DIR]
 });
 const audioProto = grpc.loadPackageDefinition(audioPackageDef).audio;
 
-// Create gRPC clients
+// Load the standard gRPC health checking proto (probed by GET /api/health)
+const healthPackageDef = protoLoader.loadSync(HEALTH_PROTO_PATH, {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true
+});
+const healthProto = grpc.loadPackageDefinition(healthPackageDef).grpc.health.v1;
+
+// Load the service registry proto (used when REGISTRY_URL is set)
+const registryPackageDef = protoLoader.loadSync(REGISTRY_PROTO_PATH, {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true
+});
+const registryProto = grpc.loadPackageDefinition(registryPackageDef).registry;
+
+// Real encoded Protobuf sizes of every metered call (see ./payload-meter)
+const payloadMeter = createPayloadMeter([translationPackageDef, audioPackageDef]);
+
+// One circuit breaker per backend service and transport (see ./resilience)
+const createBreaker = (service, transport) => createCircuitBreaker({
+  name: `${service}/${transport}`,
+  failureThreshold: BREAKER_FAILURE_THRESHOLD,
+  resetTimeoutMs: BREAKER_RESET_MS,
+  onStateChange: (state, breaker) => {
+    logger[state === 'open' ? 'warn' : 'info']('Circuit breaker state changed', {
+      breaker: breaker.name,
+      state,
+      lastError: state === 'open' ? breaker.getState().lastError : undefined
+    });
+  }
+});
+const circuitBreakers = {
+  translation: { grpc: createBreaker('translation', 'grpc'), http: createBreaker('translation', 'http') },
+  audio: { grpc: createBreaker('audio', 'grpc'), http: createBreaker('audio', 'http') }
+};
+
+/**
+ * Give a backend client deadlines, retries and its circuit breaker
+ */
+function withResilience(client, service, transport) {
+  const isAudio = service === 'audio';
+  return createResilientClient(client, {
+    serviceDefinition: isAudio
+      ? audioPackageDef['audio.AudioService']
+      : translationPackageDef['translation.TranslationService'],
+    breaker: circuitBreakers[service][transport],
+    deadlineMs: isAudio ? AUDIO_DEADLINE_MS : TRANSLATION_DEADLINE_MS,
+    streaming: transport === 'grpc',
+    maxAttempts: BACKEND_MAX_ATTEMPTS,
+    onRetry: ({ method, attempt, delayMs, error }) => {
+      logger.warn('Retrying backend call', { backend: `${service}/${transport}`, method, attempt, delayMs, error });
+    }
+  });
+}
+
+// Load balancers over the service replicas, created at startup
+let backendBalancers;
+
+// Registry poller (only with REGISTRY_URL)
+let registryDiscovery = null;
+
+// Balanced gRPC clients
 let translationClient;
 let audioClient;
 
-function initializeGrpcClients() {
-  translationClient = new translationProto.TranslationService(
-    TRANSLATION_SERVICE_URL,
-    grpc.credentials.createInsecure()
-  );
+// HTTP/JSON clients for the same services (see ./http-backend)
+let translationHttpClient;
+let audioHttpClient;
+
+/**
+ * Load balancer for one service: each replica gets a gRPC client, an HTTP/JSON
+ * client and a health client (plain, so a probe sees the real state)
+ */
+function createServiceBalancer(service, replicas) {
+  const isAudio = service === 'audio';
+  const serviceName = isAudio ? 'audio.AudioService' : 'translation.TranslationService';
+  const packageDefinition = isAudio ? audioPackageDef : translationPackageDef;
+  const GrpcClient = isAudio ? audioProto.AudioService : translationProto.TranslationService;
+  
+  // Reconnect to a restarted replica within one health check interval
+  // (grpc-js backs off up to 2 minutes by default)
+  const reconnectOptions = { 'grpc.max_reconnect_backoff_ms': HEALTH_CHECK_INTERVAL_MS };
+  // Audio requests and responses both carry up to MAX_AUDIO_SIZE (the default
+  // receive limit is 4MB); the audio service allows the same on its side
+  const channelOptions = isAudio
+    ? {
+      ...reconnectOptions,
+      'grpc.max_receive_message_length': MAX_AUDIO_SIZE + 1024 * 1024,
+      'grpc.max_send_message_length': MAX_AUDIO_SIZE + 1024 * 1024
+    }
+    : reconnectOptions;
+  
+  return createLoadBalancer({
+    name: service,
+    serviceName,
+    policy: LOAD_BALANCING_POLICY,
+    healthTimeoutMs: HEALTH_CHECK_TIMEOUT_MS,
+    replicas,
+    connect: ({ grpc: address, http: httpAddress }) => {
+      const grpcClient = new GrpcClient(address, grpc.credentials.createInsecure(), channelOptions);
+      const healthClient = new healthProto.Health(address, grpc.credentials.createInsecure(), reconnectOptions);
+      return {
+        clients: {
+          grpc: grpcClient,
+          http: createHttpBackendClient({ baseUrl: httpAddress, serviceName, packageDefinition })
+        },
+        healthClient,
+        close: () => {
+          grpcClient.close();
+          healthClient.close();
+        }
+      };
+    },
+    onHealthChange: (replica) => {
+      const { status, error } = replica.lastCheck;
+      if (replica.healthy) {
+        logger.info('Replica back in rotation', { backend: service, replica: replica.address, status });
+      } else {
+        logger.warn('Replica ejected', { backend: service, replica: replica.address, status, error });
+      }
+    }
+  });
+}
+
+/**
+ * Balanced clients per service and transport, each wrapped with deadlines,
+ * retries and its circuit breaker (so a retry can go to another replica)
+ */
+function initializeBackendClients() {
+  backendBalancers = {
+    translation: createServiceBalancer('translation', BACKEND_REPLICAS.translation),
+    audio: createServiceBalancer('audio', BACKEND_REPLICAS.audio)
+  };
+  
+  const translationService = translationPackageDef['translation.TranslationService'];
+  const audioService = audioPackageDef['audio.AudioService'];
+  const { translation, audio } = backendBalancers;
+  
+  translationClient = withResilience(translation.client('grpc', translationService, { streaming: true }), 'translation', 'grpc');
+  audioClient = withResilience(audio.client('grpc', audioService, { streaming: true }), 'audio', 'grpc');
+  translationHttpClient = withResilience(translation.client('http', translationService), 'translation', 'http');
+  audioHttpClient = withResilience(audio.client('http', audioService), 'audio', 'http');
+  
+  for (const balancer of Object.values(backendBalancers)) {
+    balancer.startHealthChecks(HEALTH_CHECK_INTERVAL_MS);
+  }
   
-  audioClient = new audioProto.AudioService(
-    AUDIO_SERVICE_URL,
-    grpc.credentials.createInsecure()
-  );
+  if (REGISTRY_URL) {
+    registryDiscovery = createRegistryDiscovery({
+      client: new registryProto.Registry(REGISTRY_URL, grpc.credentials.createInsecure()),
+      services: Object.keys(backendBalancers),
+      logger,
+      onUpdate: (service, replicas) => {
+        const { added, removed } = backendBalancers[service].setReplicas(replicas);
+        if (added.length || removed.length) {
+          logger.info('Backend replicas changed', {
+            backend: service,
+            added: added.join(',') || undefined,
+            removed: removed.join(',') || undefined,
+            replicas: replicas.length
+          });
+        }
+      }
+    });
+    registryDiscovery.start(REGISTRY_REFRESH_MS);
+    logger.info('Backends discovered from service registry', { policy: LOAD_BALANCING_POLICY, registry: REGISTRY_URL });
+    return;
+  }
   
-  console.log(`   Translation Service: ${TRANSLATION_SERVICE_URL}`);
-  console.log(`   Audio Service: ${AUDIO_SERVICE_URL}`);
+  const describeReplicas = (replicas) => replicas.map(r => `${r.grpc} (${r.http})`).join(', ');
+  logger.info('Backends configured', {
+    policy: LOAD_BALANCING_POLICY,
+    translationService: describeReplicas(BACKEND_REPLICAS.translation),
+    audioService: describeReplicas(BACKEND_REPLICAS.audio)
+  });
 }
 
 // ============================================================================
@@ -120,171 +693,532 @@ function getJsonSize(obj) {
 }
 
 /**
- * Log performance metrics
+ * Express middleware: req.trace from the X-Request-Id / traceparent headers
+ * (new IDs when missing), echoed in the X-Request-Id header and as
+ * requestId in every JSON response body; req.log logs with the request ID
  */
-function logMetrics(type, method, metrics) {
-  console.log('\n' + '-'.repeat(50));
-  console.log(`[METRICS] ${type.toUpperCase()} - ${method}`);
-  console.log('-'.repeat(50));
-  console.log(`  REST Response Time: ${metrics.restTime}ms`);
-  console.log(`  gRPC Response Time: ${metrics.grpcTime}ms`);
-  console.log(`  REST Payload Size: ${metrics.restPayloadSize} bytes`);
-  console.log(`  gRPC Payload Size: ~${metrics.grpcPayloadSize} bytes (estimated)`);
-  console.log(`  Size Reduction: ${((1 - metrics.grpcPayloadSize / metrics.restPayloadSize) * 100).toFixed(1)}%`);
-  console.log('-'.repeat(50) + '\n');
+function assignTraceContext(req, res, next) {
+  req.trace = createTraceContext({
+    requestId: req.get(REQUEST_ID_KEY),
+    traceparent: req.get(TRACEPARENT_KEY)
+  });
+  req.log = logger.child({ requestId: req.trace.requestId, traceId: req.trace.traceId });
+  res.set('X-Request-Id', req.trace.requestId);
+  
+  const json = res.json.bind(res);
+  res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body)
+    ? { ...body, requestId: req.trace.requestId }
+    : body);
+  next();
 }
 
-// ============================================================================
-// REST API ENDPOINTS
-// ============================================================================
-
 /**
- * POST /api/users/language
- * Set user's preferred language
+ * Express middleware: one access log entry per request
+ * (warn for 4xx, error for 5xx; Prometheus scrapes only at debug level)
  */
-app.post('/api/users/language', (req, res) => {
+function logRequests(req, res, next) {
   const startTime = Date.now();
-  const { userId, language } = req.body;
-  
-  console.log('\n' + '='.repeat(60));
-  console.log('[REST API] POST /api/users/language');
-  console.log('='.repeat(60));
   
-  if (!userId || !language) {
-    return res.status(400).json({
-      success: false,
-      error: 'userId and language are required'
+  res.on('finish', () => {
+    let level = 'info';
+    if (res.statusCode >= 500) level = 'error';
+    else if (res.statusCode >= 400) level = 'warn';
+    else if (req.path === '/metrics') level = 'debug';
+    
+    req.log[level](`${req.method} ${req.path}`, {
+      status: res.statusCode,
+      durationMs: Date.now() - startTime,
+      transport: req.query.transport || req.get('X-Backend-Transport')
     });
-  }
-  
-  // Store user language preference
-  userLanguages.set(userId, language);
-  
-  const response = {
-    success: true,
-    userId,
-    language,
-    message: `Language preference set to ${language}`,
-    responseTime: Date.now() - startTime
+  });
+  next();
+}
+
+/**
+ * Headers / gRPC metadata that carry the trace to a backend service
+ */
+function traceHeaders(trace) {
+  return {
+    [REQUEST_ID_KEY]: trace.requestId,
+    [TRACEPARENT_KEY]: trace.traceparent
   };
-  
-  console.log(`  User ${userId} language set to: ${language}`);
-  console.log(`  Response Time: ${response.responseTime}ms`);
-  
-  res.json(response);
-});
+}
 
 /**
- * GET /api/users/:userId/language
- * Get user's preferred language
+ * gRPC call options that send the trace as metadata on the call
  */
-app.get('/api/users/:userId/language', (req, res) => {
-  const { userId } = req.params;
-  const language = userLanguages.get(userId) || 'en';
-  
-  res.json({
-    success: true,
-    userId,
-    language
+function traceCallOptions(trace) {
+  const interceptor = (options, nextCall) => new grpc.InterceptingCall(nextCall(options), {
+    start(metadata, listener, next) {
+      for (const [key, value] of Object.entries(traceHeaders(trace))) {
+        metadata.set(key, value);
+      }
+      next(metadata, listener);
+    }
   });
-});
+  return { interceptors: [interceptor] };
+}
 
 /**
- * POST /api/messages/text
- * Send a text message - forwards to Translation Service via gRPC
- * 
- * IMPORTANT: Translation logic is NOT in this gateway.
- * It's handled by the Translation Service (gRPC).
+ * Backend transport requested by the client
+ * ?transport=grpc|http, else the X-Backend-Transport header, else BACKEND_TRANSPORT
  */
-app.post('/api/messages/text', async (req, res) => {
-  const restStartTime = Date.now();
+function resolveTransport(req) {
+  return String(req.query.transport || req.get('X-Backend-Transport') || DEFAULT_BACKEND_TRANSPORT).toLowerCase();
+}
+
+/**
+ * Reject unknown transports; returns false if a response was sent
+ */
+function checkTransport(transport, res) {
+  if (BACKEND_TRANSPORTS.includes(transport)) return true;
+  sendError(res, 'UNSUPPORTED_TRANSPORT', `Unknown transport "${transport}"`, {
+    details: `Expected one of: ${BACKEND_TRANSPORTS.join(', ')}`
+  });
+  return false;
+}
+
+/**
+ * Client for a service over the given transport, with call options that
+ * forward the request's trace and record the request/response payload sizes into sizes
+ */
+function backendCall(service, transport, trace) {
+  const payload = payloadMeter.track();
   
-  console.log('\n' + '='.repeat(60));
-  console.log('[REST API] POST /api/messages/text');
-  console.log('='.repeat(60));
-  
-  const { 
-    userId, 
-    text, 
-    sourceLanguage = 'en', 
-    targetLanguage 
-  } = req.body;
-  
-  // Validate input
-  if (!userId || !text) {
-    return res.status(400).json({
-      success: false,
-      error: 'userId and text are required'
-    });
+  if (transport === 'http') {
+    return {
+      client: service === 'audio' ? audioHttpClient : translationHttpClient,
+      callOptions: { sizes: payload.sizes, headers: traceHeaders(trace) },
+      sizes: payload.sizes
+    };
   }
   
-  // Get target language from user preference if not specified
-  const targetLang = targetLanguage || userLanguages.get(userId) || 'es';
-  
-  console.log(`  User ID: ${userId}`);
-  console.log(`  Text: "${text}"`);
-  console.log(`  Source: ${sourceLanguage} → Target: ${targetLang}`);
-  
-  // Calculate REST request payload size
-  const restRequestPayload = { userId, text, sourceLanguage, targetLanguage: targetLang };
-  const restPayloadSize = getJsonSize(restRequestPayload);
-  
-  // Prepare gRPC request
-  const grpcRequest = {
-    text,
-    source_language: sourceLanguage,
-    target_language: targetLang,
-    user_id: userId,
-    timestamp: Date.now()
+  return {
+    client: service === 'audio' ? audioClient : translationClient,
+    callOptions: {
+      interceptors: [...payload.callOptions.interceptors, ...traceCallOptions(trace).interceptors]
+    },
+    sizes: payload.sizes
+  };
+}
+
+/**
+ * Reply to a failed backend call
+ * The code is the gRPC status name (see ./errors for the HTTP status), or
+ * CIRCUIT_OPEN: 503 + Retry-After while the circuit breaker is open.
+ */
+function sendBackendError(res, error, serviceLabel) {
+  const code = backendErrorCode(error);
+  const messages = {
+    CIRCUIT_OPEN: `${serviceLabel} temporarily unavailable (circuit breaker open)`,
+    UNAVAILABLE: `${serviceLabel} unavailable`,
+    DEADLINE_EXCEEDED: `${serviceLabel} timed out`,
+    INVALID_ARGUMENT: `${serviceLabel} rejected the request`
   };
   
-  // Estimate gRPC payload size (Protobuf is typically 30-50% smaller)
-  const grpcPayloadSize = Math.floor(restPayloadSize * 0.6);
-  
-  const grpcStartTime = Date.now();
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  sendError(res, code, messages[code] || `${serviceLabel} failed`, {
+    details: error.details || error.message,
+    retryAfter: error.retryAfter
+  });
+}
+
+/**
+ * RateLimit-* headers (IETF draft) for one bucket
+ */
+function setRateLimitHeaders(res, result) {
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds),
+    'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`
+  });
+}
+
+/**
+ * Express middleware: take a token from the family's per-IP bucket and, after
+ * auth.requireAuth, from the user's bucket; 429 + Retry-After when either is empty
+ * scope ('ip' or 'user') limits it to one of the two buckets.
+ * The headers describe the bucket with the fewest tokens left.
+ */
+function rateLimit(family, scope) {
+  const limiters = rateLimiters[family];
   
-  // Forward to Translation Service via gRPC
-  translationClient.TranslateText(grpcRequest, (error, response) => {
-    const grpcEndTime = Date.now();
-    const grpcTime = grpcEndTime - grpcStartTime;
+  return (req, res, next) => {
+    const buckets = [];
+    if (limiters.ip && scope !== 'user') buckets.push({ scope: 'ip', limiter: limiters.ip, key: req.ip });
+    if (limiters.user && req.user && scope !== 'ip') buckets.push({ scope: 'user', limiter: limiters.user, key: req.user.userId });
+    if (buckets.length === 0) return next();
     
-    if (error) {
-      console.error(`  [ERROR] gRPC call failed: ${error.message}`);
-      return res.status(500).json({
-        success: false,
-        error: 'Translation service unavailable',
-        details: error.message
+    // Check every bucket before taking from any, so a rejected request costs nothing
+    const denied = buckets.find(bucket => !bucket.limiter.peek(bucket.key).allowed);
+    if (denied) {
+      const result = denied.limiter.peek(denied.key);
+      rateLimitedRequests.inc({ family, scope: denied.scope });
+      req.log.warn('Rate limit exceeded', { family, scope: denied.scope, retryAfterSeconds: result.retryAfterSeconds });
+      
+      setRateLimitHeaders(res, result);
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return sendError(res, 'RATE_LIMITED', 'Too many requests', {
+        details: `${result.limit} ${family} requests per ${result.windowSeconds}s per ${denied.scope === 'ip' ? 'IP address' : 'user'}`,
+        retryAfter: result.retryAfterSeconds
       });
     }
     
-    // Store in chat history
-    const chatEntry = {
-      id: uuidv4(),
-      type: 'text',
-      userId,
-      originalText: text,
-      translatedText: response.translated_text,
-      sourceLanguage,
-      targetLanguage: targetLang,
-      timestamp: new Date().toISOString()
+    // Both halves of authenticated() report into the same headers
+    req.rateLimitResults = (req.rateLimitResults || []).concat(buckets.map(bucket => bucket.limiter.take(bucket.key)));
+    setRateLimitHeaders(res, req.rateLimitResults.reduce((tightest, result) =>
+      result.remaining < tightest.remaining ? result : tightest));
+    next();
+  };
+}
+
+/**
+ * Middleware chain for a route that needs a login: the IP bucket first, so
+ * requests with a missing or bad token are limited too, then requireAuth,
+ * then the user's bucket
+ */
+function authenticated(family, requireAuth = auth.requireAuth) {
+  return [rateLimit(family, 'ip'), requireAuth, rateLimit(family, 'user')];
+}
+
+/**
+ * Check that amount more fits in the user's daily quota (name: audioBytes or
+ * translatedCharacters); replies 429 + Retry-After (next UTC midnight) if not
+ * Usage is recorded separately, with quotas.record(), once the call succeeded.
+ */
+function checkQuota(req, res, name, amount) {
+  const quota = quotas.check(req.user.userId, name, amount);
+  if (quota.allowed) return true;
+  
+  quotaRejections.inc({ quota: name });
+  req.log.warn('Daily quota exceeded', { quota: name, requested: amount, remaining: quota.remaining });
+  
+  res.set('Retry-After', String(quota.retryAfterSeconds));
+  sendError(res, 'QUOTA_EXCEEDED', 'Daily quota exceeded', {
+    details: `${name}: ${quota.remaining} of ${quota.limit} left today, this request needs ${amount}`,
+    quota: { name, limit: quota.limit, used: quota.used, remaining: quota.remaining, resetsAt: quota.resetsAt },
+    retryAfter: quota.retryAfterSeconds
+  });
+  return false;
+}
+
+/**
+ * Record one gateway → service call in the REST vs gRPC metrics
+ */
+function recordBackendMetric(kind, transport, time, size) {
+  performanceMetrics[transport === 'http' ? 'rest' : 'grpc'][kind].record(time, size);
+}
+
+/**
+ * Performance block for a REST response that made one backend call
+ */
+function backendPerformance({ transport, restTime, backendTime, restPayloadSize, sizes }) {
+  const performance = {
+    totalResponseTime: restTime,
+    backendTransport: transport,
+    backendServiceTime: backendTime,
+    gatewayOverhead: restTime - backendTime,
+    restPayloadSize,
+    backendPayloadSize: sizes.requestBytes,
+    backendResponseSize: sizes.responseBytes,
+    sizeReduction: `${((1 - sizes.requestBytes / restPayloadSize) * 100).toFixed(1)}%`
+  };
+  
+  if (transport === 'grpc') {
+    performance.grpcWireBytes = {
+      request: wireBytes(sizes.requestBytes, sizes.requestMessages),
+      response: wireBytes(sizes.responseBytes, sizes.responseMessages)
     };
-    chatHistory.push(chatEntry);
-    
+  }
+  
+  return performance;
+}
+
+/**
+ * Store a chat entry and push it to real-time subscribers
+ */
+function saveMessage(chatEntry) {
+  store.addMessage(chatEntry);
+  messageHub.publish(chatEntry);
+  return chatEntry;
+}
+
+/**
+ * Store processed audio bytes, then the audio chat entry that points to them
+ * The entry gets an audioUrl served by GET /api/messages/:id/audio.
+ */
+function saveAudioMessage(chatEntry, processedAudio, processedFormat) {
+  store.saveAudio(chatEntry.id, processedAudio || Buffer.alloc(0));
+  chatEntry.processedAudioFormat = processedFormat;
+  chatEntry.audioUrl = `/api/messages/${chatEntry.id}/audio`;
+  return saveMessage(chatEntry);
+}
+
+/**
+ * Log performance metrics of one backend call
+ * Backend sizes are JSON bytes over http, encoded Protobuf bytes over grpc.
+ */
+function logMetrics(log, type, method, metrics) {
+  log.info(`${type} ${method} metrics`, {
+    transport: metrics.transport,
+    gatewayTimeMs: metrics.restTime,
+    backendTimeMs: metrics.backendTime,
+    clientPayloadBytes: metrics.restPayloadSize,
+    backendPayloadBytes: metrics.backendPayloadSize,
+    backendResponseBytes: metrics.backendResponseSize
+  });
+}
+
+// ============================================================================
+// REST API ENDPOINTS
+// ============================================================================
+
+/**
+ * Response body for a successful register/login
+ */
+function sessionResponse(userId) {
+  const { token, expiresAt } = auth.issueToken(userId);
+  return {
+    success: true,
+    token,
+    tokenType: 'Bearer',
+    expiresAt,
+    user: { userId }
+  };
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account and log in
+ * 
+ * Body: { username, password } - username: 3-32 of a-z 0-9 _ . -
+ */
+app.post('/api/auth/register', rateLimit('auth'), validate(schemas.register), async (req, res, next) => {
+  // Usernames are case-insensitive and become the user's userId
+  const userId = req.body.username.toLowerCase();
+  const { password } = req.body;
+  
+  if (store.getUser(userId)) {
+    return sendError(res, 'USERNAME_TAKEN', 'Username is already taken');
+  }
+  
+  let passwordHash;
+  try {
+    passwordHash = await hashPassword(password);
+  } catch (error) {
+    return next(error);
+  }
+  
+  // Checked again: another request may have taken the name while hashing
+  if (store.getUser(userId)) {
+    return sendError(res, 'USERNAME_TAKEN', 'Username is already taken');
+  }
+  
+  store.createUser({
+    userId,
+    passwordHash,
+    createdAt: new Date().toISOString()
+  });
+  
+  req.log.info('User registered', { userId });
+  
+  res.status(201).json(sessionResponse(userId));
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange username and password for an access token
+ */
+app.post('/api/auth/login', rateLimit('auth'), validate(schemas.login), async (req, res, next) => {
+  const userId = req.body.username.toLowerCase();
+  const { password } = req.body;
+  
+  const user = store.getUser(userId);
+  
+  let valid = false;
+  try {
+    valid = Boolean(user) && await verifyPassword(password, user.passwordHash);
+  } catch (error) {
+    return next(error);
+  }
+  
+  // Same answer for an unknown user and a wrong password
+  if (!valid) {
+    req.log.warn('Login failed', { userId });
+    return sendError(res, 'INVALID_CREDENTIALS', 'Invalid username or password');
+  }
+  
+  req.log.info('User logged in', { userId });
+  
+  res.json(sessionResponse(userId));
+});
+
+/**
+ * GET /api/auth/me
+ * The user the access token belongs to
+ */
+app.get('/api/auth/me', authenticated('api'), (req, res) => {
+  res.json({
+    success: true,
+    user: { userId: req.user.userId },
+    expiresAt: req.user.expiresAt
+  });
+});
+
+/**
+ * GET /api/usage
+ * The logged-in user's daily quotas and rate limit buckets (per route family)
+ */
+app.get('/api/usage', authenticated('api'), (req, res) => {
+  const { userId } = req.user;
+  
+  const describe = (limiter, key) => {
+    if (!limiter) return null;
+    const { limit, windowSeconds, remaining, resetSeconds } = limiter.peek(key);
+    return { limit, windowSeconds, remaining, resetSeconds };
+  };
+  
+  const rateLimits = {};
+  for (const [family, limiters] of Object.entries(rateLimiters)) {
+    rateLimits[family] = {
+      user: describe(limiters.user, userId),
+      ip: describe(limiters.ip, req.ip)
+    };
+  }
+  
+  res.json({
+    success: true,
+    userId,
+    quotas: quotas.usage(userId),
+    rateLimits
+  });
+});
+
+/**
+ * POST /api/users/language
+ * Set the logged-in user's preferred language
+ */
+app.post('/api/users/language', authenticated('api'), validate(schemas.userLanguage), (req, res) => {
+  const startTime = Date.now();
+  const { userId } = req.user;
+  const { language } = req.body;
+  
+  // Store user language preference
+  store.setUserLanguage(userId, language);
+  
+  const response = {
+    success: true,
+    userId,
+    language,
+    message: `Language preference set to ${language}`,
+    responseTime: Date.now() - startTime
+  };
+  
+  req.log.debug('Language preference set', { userId, language });
+  
+  res.json(response);
+});
+
+/**
+ * GET /api/users/:userId/language
+ * Get user's preferred language (your own, or a member of one of your rooms)
+ */
+app.get('/api/users/:userId/language', authenticated('api'), (req, res) => {
+  const { userId } = req.params;
+  
+  const sharesRoom = store.listRooms({ userId: req.user.userId })
+    .some(room => room.members.includes(userId));
+  if (userId !== req.user.userId && !sharesRoom) {
+    return sendError(res, 'FORBIDDEN', 'You can only read the language of yourself or members of your rooms');
+  }
+  
+  const language = store.getUserLanguage(userId) || 'en';
+  
+  res.json({
+    success: true,
+    userId,
+    language
+  });
+});
+
+/**
+ * POST /api/messages/text
+ * Send a text message - forwards to Translation Service via gRPC
+ * (or its HTTP/JSON twin with ?transport=http)
+ * 
+ * IMPORTANT: Translation logic is NOT in this gateway.
+ * It's handled by the Translation Service (gRPC).
+ */
+app.post('/api/messages/text', authenticated('messages'), validate(schemas.textMessage), async (req, res) => {
+  const restStartTime = Date.now();
+  const transport = resolveTransport(req);
+  const { userId } = req.user;
+  const { text, sourceLanguage, targetLanguage } = req.body;
+  
+  if (!checkTransport(transport, res)) return;
+  if (!checkQuota(req, res, 'translatedCharacters', text.length)) return;
+  
+  // Get target language from user preference if not specified
+  const targetLang = targetLanguage || store.getUserLanguage(userId) || 'es';
+  
+  req.log.debug('Text message received', { userId, text, sourceLanguage, targetLanguage: targetLang });
+  
+  // Calculate REST request payload size
+  const restRequestPayload = { text, sourceLanguage, targetLanguage: targetLang };
+  const restPayloadSize = getJsonSize(restRequestPayload);
+  
+  // Prepare gRPC request
+  const grpcRequest = {
+    text,
+    source_language: sourceLanguage,
+    target_language: targetLang,
+    user_id: userId,
+    timestamp: Date.now()
+  };
+  
+  const backend = backendCall('translation', transport, req.trace);
+  const backendStartTime = Date.now();
+  
+  // Forward to Translation Service
+  backend.client.TranslateText(grpcRequest, backend.callOptions, (error, response) => {
+    const backendTime = Date.now() - backendStartTime;
+    
+    if (error) {
+      req.log.error('Backend call failed', { transport, error });
+      return sendBackendError(res, error, 'Translation service');
+    }
+    
+    // Store in chat history
+    const chatEntry = {
+      id: uuidv4(),
+      type: 'text',
+      userId,
+      originalText: text,
+      translatedText: response.translated_text,
+      sourceLanguage,
+      targetLanguage: targetLang,
+      timestamp: new Date().toISOString()
+    };
+    saveMessage(chatEntry);
+    quotas.record(userId, 'translatedCharacters', text.length);
+    
     // Calculate REST response time
     const restTime = Date.now() - restStartTime;
     
     // Log performance comparison
     const metrics = {
+      transport,
       restTime,
-      grpcTime,
+      backendTime,
       restPayloadSize,
-      grpcPayloadSize
+      backendPayloadSize: backend.sizes.requestBytes,
+      backendResponseSize: backend.sizes.responseBytes
     };
     
-    performanceMetrics.rest.text.push({ time: restTime, size: restPayloadSize });
-    performanceMetrics.grpc.text.push({ time: grpcTime, size: grpcPayloadSize });
+    recordBackendMetric('text', transport, backendTime, backend.sizes.requestBytes);
     
-    logMetrics('TEXT', 'Translation', metrics);
+    logMetrics(req.log, 'Text', 'translation', metrics);
     
     // Send REST response
     const restResponse = {
@@ -298,260 +1232,905 @@ app.post('/api/messages/text', async (req, res) => {
         text: response.translated_text,
         language: targetLang
       },
+      performance: backendPerformance({
+        transport,
+        restTime,
+        backendTime,
+        restPayloadSize,
+        sizes: backend.sizes
+      })
+    };
+    
+    req.log.debug('Translation complete', { responsePayloadBytes: getJsonSize(restResponse) });
+    
+    res.json(restResponse);
+  });
+});
+
+/**
+ * POST /api/messages/text/batch
+ * Translate many texts with a single TranslateBatch gRPC call
+ * 
+ * Body: { messages: [{ text, sourceLanguage, targetLanguage }] }
+ * 
+ * Each item is validated on its own: invalid items get an error in their
+ * result slot, valid items are still translated and stored in history.
+ */
+app.post('/api/messages/text/batch', authenticated('messages'), validate(schemas.textBatch), (req, res) => {
+  const restStartTime = Date.now();
+  const transport = resolveTransport(req);
+  const { userId } = req.user;
+  const { messages } = req.body;
+  
+  if (!checkTransport(transport, res)) return;
+  
+  // Validate each item (schemas.batchItem), keeping its position in the batch
+  const results = new Array(messages.length);
+  const validItems = [];
+  
+  messages.forEach((item, index) => {
+    const { value, errors } = validator.check(schemas.batchItem, item);
+    if (errors.length > 0) {
+      results[index] = {
+        index,
+        success: false,
+        error: errors.map(error => error.message).join('; '),
+        code: errors[0].code,
+        fields: errors
+      };
+      return;
+    }
+    validItems.push({
+      index,
+      text: value.text,
+      sourceLanguage: value.sourceLanguage,
+      targetLanguage: value.targetLanguage || store.getUserLanguage(userId) || 'es'
+    });
+  });
+  
+  req.log.debug('Batch received', { userId, items: messages.length, validItems: validItems.length });
+  
+  const sendBatchResponse = (backendTime, serviceTime, sizes = { requestBytes: 0, responseBytes: 0 }) => {
+    const restTime = Date.now() - restStartTime;
+    const succeeded = results.filter(r => r.success).length;
+    
+    res.json({
+      success: true,
+      total: messages.length,
+      succeeded,
+      failed: messages.length - succeeded,
+      results,
       performance: {
         totalResponseTime: restTime,
-        grpcServiceTime: grpcTime,
-        gatewayOverhead: restTime - grpcTime,
-        restPayloadSize,
-        grpcPayloadSize,
-        sizeReduction: `${((1 - grpcPayloadSize / restPayloadSize) * 100).toFixed(1)}%`
+        backendTransport: transport,
+        backendServiceTime: backendTime,
+        serviceProcessingTime: serviceTime,
+        gatewayOverhead: restTime - backendTime,
+        avgTimePerMessage: (restTime / messages.length).toFixed(2),
+        backendPayloadSize: sizes.requestBytes,
+        backendResponseSize: sizes.responseBytes
+      }
+    });
+  };
+  
+  if (validItems.length === 0) {
+    return sendBatchResponse(0, 0);
+  }
+  
+  const batchCharacters = validItems.reduce((sum, item) => sum + item.text.length, 0);
+  if (!checkQuota(req, res, 'translatedCharacters', batchCharacters)) return;
+  
+  const batchRequest = {
+    requests: validItems.map(item => ({
+      text: item.text,
+      source_language: item.sourceLanguage,
+      target_language: item.targetLanguage,
+      user_id: userId,
+      timestamp: Date.now()
+    }))
+  };
+  
+  const backend = backendCall('translation', transport, req.trace);
+  const backendStartTime = Date.now();
+  
+  // Forward the whole batch to Translation Service in one call
+  backend.client.TranslateBatch(batchRequest, backend.callOptions, (error, response) => {
+    const backendTime = Date.now() - backendStartTime;
+    
+    if (error) {
+      req.log.error('Backend call failed', { transport, error });
+      return sendBackendError(res, error, 'Translation service');
+    }
+    
+    validItems.forEach((item, i) => {
+      const result = response.responses[i];
+      
+      if (!result || !result.success) {
+        results[item.index] = {
+          index: item.index,
+          success: false,
+          error: (result && result.error_message) || 'Translation failed',
+          code: 'PROCESSING_FAILED'
+        };
+        return;
+      }
+      
+      const chatEntry = saveMessage({
+        id: uuidv4(),
+        type: 'text',
+        userId,
+        originalText: item.text,
+        translatedText: result.translated_text,
+        sourceLanguage: item.sourceLanguage,
+        targetLanguage: item.targetLanguage,
+        timestamp: new Date().toISOString()
+      });
+      
+      quotas.record(userId, 'translatedCharacters', item.text.length);
+      
+      results[item.index] = {
+        index: item.index,
+        success: true,
+        messageId: chatEntry.id,
+        original: { text: item.text, language: item.sourceLanguage },
+        translated: { text: result.translated_text, language: item.targetLanguage },
+        processingTime: parseInt(result.processing_time_ms)
+      };
+    });
+    
+    req.log.info('Batch translated', { transport, items: validItems.length, backendTimeMs: backendTime });
+    
+    sendBatchResponse(backendTime, parseInt(response.total_processing_time_ms), backend.sizes);
+  });
+});
+
+/**
+ * POST /api/messages/audio
+ * Send an audio message - forwards to Audio Service via gRPC
+ * (or its HTTP/JSON twin with ?transport=http)
+ * 
+ * Accepts audio as:
+ * 1. Base64 encoded string in JSON body
+ * 2. Binary file upload (multipart/form-data)
+ * 
+ * IMPORTANT: Audio processing logic is NOT in this gateway.
+ * It's handled by the Audio Service (gRPC).
+ */
+app.post('/api/messages/audio', authenticated('audio'), upload.single('audio'), validate(schemas.audioMessage), async (req, res) => {
+  const restStartTime = Date.now();
+  const transport = resolveTransport(req);
+  const { userId } = req.user;
+  const { sourceLanguage, targetLanguage, audioFormat, sampleRate, channels, bitDepth } = req.body;
+  
+  let audioBuffer;
+  
+  // Handle file upload or base64
+  if (req.file) {
+    // Multipart form data upload
+    audioBuffer = req.file.buffer;
+    req.log.debug('Audio received as file upload');
+  } else if (req.body.audioData) {
+    // Base64 encoded in JSON
+    audioBuffer = Buffer.from(req.body.audioData, 'base64');
+    req.log.debug('Audio received as base64 JSON');
+  } else {
+    return sendError(res, 'AUDIO_REQUIRED', 'Audio data required (either file upload or base64 audioData)');
+  }
+  
+  if (!checkTransport(transport, res)) return;
+  if (!checkQuota(req, res, 'audioBytes', audioBuffer.length)) return;
+  
+  // Get target language from user preference if not specified
+  const targetLang = targetLanguage || store.getUserLanguage(userId) || 'es';
+  
+  req.log.debug('Audio message received', {
+    userId,
+    audioBytes: audioBuffer.length,
+    audioFormat,
+    sourceLanguage,
+    targetLanguage: targetLang
+  });
+  
+  // Calculate REST payload size (with base64 encoding overhead)
+  const base64Size = Buffer.from(audioBuffer).toString('base64').length;
+  const restPayloadSize = base64Size + 200; // Approximate JSON wrapper
+  
+  // Prepare gRPC request
+  const grpcRequest = {
+    audio_data: audioBuffer,
+    audio_format: audioFormat,
+    source_language: sourceLanguage,
+    target_language: targetLang,
+    user_id: userId,
+    timestamp: Date.now(),
+    sample_rate: sampleRate,
+    channels,
+    bit_depth: bitDepth
+  };
+  
+  // gRPC sends binary directly; the HTTP twin needs base64 in JSON
+  const backend = backendCall('audio', transport, req.trace);
+  const backendStartTime = Date.now();
+  
+  // Forward to Audio Service
+  backend.client.ProcessAudio(grpcRequest, backend.callOptions, (error, response) => {
+    const backendTime = Date.now() - backendStartTime;
+    
+    if (error) {
+      req.log.error('Backend call failed', { transport, error });
+      return sendBackendError(res, error, 'Audio service');
+    }
+    
+    if (!response.success) {
+      return sendError(res, 'PROCESSING_FAILED', 'Audio processing failed', {
+        details: response.error_message
+      });
+    }
+    
+    // Store in chat history
+    const chatEntry = {
+      id: uuidv4(),
+      type: 'audio',
+      userId,
+      audioSize: audioBuffer.length,
+      processedAudioSize: response.processed_size,
+      sourceLanguage,
+      targetLanguage: targetLang,
+      timestamp: new Date().toISOString()
+    };
+    saveAudioMessage(chatEntry, response.translated_audio, response.audio_format);
+    quotas.record(userId, 'audioBytes', audioBuffer.length);
+    
+    // Calculate REST response time
+    const restTime = Date.now() - restStartTime;
+    
+    // Log performance comparison
+    const metrics = {
+      transport,
+      restTime,
+      backendTime,
+      restPayloadSize,
+      backendPayloadSize: backend.sizes.requestBytes,
+      backendResponseSize: backend.sizes.responseBytes
+    };
+    
+    recordBackendMetric('audio', transport, backendTime, backend.sizes.requestBytes);
+    
+    logMetrics(req.log, 'Audio', 'processing', metrics);
+    
+    // Send REST response
+    const restResponse = {
+      success: true,
+      messageId: chatEntry.id,
+      original: {
+        size: audioBuffer.length,
+        format: audioFormat,
+        language: sourceLanguage
+      },
+      processed: {
+        url: chatEntry.audioUrl,
+        size: response.processed_size,
+        format: response.audio_format,
+        language: targetLang
+      },
+      performance: {
+        ...backendPerformance({
+          transport,
+          restTime,
+          backendTime,
+          restPayloadSize,
+          sizes: backend.sizes
+        }),
+        note: 'REST requires base64 encoding (+33% size), gRPC sends native binary; processed audio is downloaded as raw bytes from processed.url'
       }
     };
     
-    console.log(`  [SUCCESS] Translation complete`);
-    console.log(`  Response Payload Size: ${getJsonSize(restResponse)} bytes`);
+    req.log.debug('Audio processing complete', { responsePayloadBytes: getJsonSize(restResponse) });
     
     res.json(restResponse);
   });
 });
 
 /**
- * POST /api/messages/audio
- * Send an audio message - forwards to Audio Service via gRPC
- * 
- * Accepts audio as:
- * 1. Base64 encoded string in JSON body
- * 2. Binary file upload (multipart/form-data)
+ * POST /api/messages/audio/stream
+ * Stream an audio upload to the Audio Service via ProcessAudioStream
+ * 
+ * The request body is the raw audio (e.g. Content-Type: application/octet-stream)
+ * and metadata comes from the query string:
+ *   ?sourceLanguage=en&targetLanguage=es&audioFormat=wav
+ *   &sampleRate=44100&channels=2&bitDepth=16
+ * 
+ * The body is forwarded as AudioChunk messages while it arrives, so the
+ * gateway never holds the whole recording in memory. HTTP backpressure is
+ * respected: the upload is paused while the gRPC stream is full.
+ */
+app.post('/api/messages/audio/stream', authenticated('audio'), validate(schemas.audioStream), (req, res) => {
+  const restStartTime = Date.now();
+  const { userId } = req.user;
+  const { sourceLanguage, targetLanguage, audioFormat, sampleRate, channels, bitDepth } = req.query;
+  
+  // The size is only known at the end: check what Content-Length announces
+  // (at least one byte), then stop the upload once the quota runs out
+  if (!checkQuota(req, res, 'audioBytes', parseInt(req.get('Content-Length')) || 1)) return req.resume();
+  const { remaining: quotaRemaining } = quotas.check(userId, 'audioBytes', 0);
+  const audioAllowance = quotaRemaining === null ? MAX_AUDIO_SIZE : Math.min(MAX_AUDIO_SIZE, quotaRemaining);
+  
+  const targetLang = targetLanguage || store.getUserLanguage(userId) || 'es';
+  
+  req.log.debug('Audio stream started', { userId, audioFormat, sourceLanguage, targetLanguage: targetLang });
+  
+  let bytesReceived = 0;
+  let chunkIndex = 0;
+  let pending = Buffer.alloc(0);
+  let finished = false;
+  
+  const fail = (code, error, details) => {
+    if (finished) return;
+    finished = true;
+    sendError(res, code, error, { details });
+  };
+  
+  const payload = payloadMeter.track();
+  const grpcStartTime = Date.now();
+  
+  const callOptions = {
+    interceptors: [...payload.callOptions.interceptors, ...traceCallOptions(req.trace).interceptors]
+  };
+  const call = audioClient.ProcessAudioStream(callOptions, (error, response) => {
+    const grpcTime = Date.now() - grpcStartTime;
+    
+    if (error) {
+      if (error.code !== grpc.status.CANCELLED) {
+        req.log.error('Audio stream call failed', { error });
+      }
+      if (finished) return;
+      finished = true;
+      return sendBackendError(res, error, 'Audio service');
+    }
+    
+    if (!response.success) {
+      return fail('PROCESSING_FAILED', 'Audio processing failed', response.error_message);
+    }
+    
+    if (finished) return;
+    finished = true;
+    
+    const chatEntry = saveAudioMessage({
+      id: uuidv4(),
+      type: 'audio',
+      userId,
+      audioSize: bytesReceived,
+      processedAudioSize: response.processed_size,
+      sourceLanguage,
+      targetLanguage: targetLang,
+      timestamp: new Date().toISOString()
+    }, response.translated_audio, response.audio_format);
+    quotas.record(userId, 'audioBytes', bytesReceived);
+    
+    const restTime = Date.now() - restStartTime;
+    
+    req.log.info('Audio stream processed', { audioBytes: bytesReceived, chunks: chunkIndex, grpcTimeMs: grpcTime });
+    
+    res.json({
+      success: true,
+      messageId: chatEntry.id,
+      original: {
+        size: bytesReceived,
+        format: audioFormat,
+        language: sourceLanguage
+      },
+      processed: {
+        url: chatEntry.audioUrl,
+        size: response.processed_size,
+        format: response.audio_format,
+        language: targetLang
+      },
+      performance: {
+        totalResponseTime: restTime,
+        grpcServiceTime: grpcTime,
+        chunksSent: chunkIndex,
+        chunkSize: AUDIO_STREAM_CHUNK_SIZE,
+        grpcPayloadSize: payload.sizes.requestBytes,
+        grpcResponseSize: payload.sizes.responseBytes,
+        grpcWireBytes: {
+          request: wireBytes(payload.sizes.requestBytes, payload.sizes.requestMessages),
+          response: wireBytes(payload.sizes.responseBytes, payload.sizes.responseMessages)
+        },
+        note: 'Upload streamed to gRPC as it arrived (not buffered in the gateway)'
+      }
+    });
+  });
+  
+  // Circuit breaker open: the callback above replies, discard the upload
+  if (!call) return req.resume();
+  
+  // Stream metadata travels in the first chunk only
+  const writeChunk = (data, isLast) => {
+    const chunk = { data, chunk_index: chunkIndex, is_last: isLast };
+    if (chunkIndex === 0) {
+      Object.assign(chunk, {
+        user_id: userId,
+        source_language: sourceLanguage,
+        target_language: targetLang,
+        audio_format: audioFormat,
+        sample_rate: sampleRate,
+        channels,
+        bit_depth: bitDepth
+      });
+    }
+    chunkIndex++;
+    return call.write(chunk);
+  };
+  
+  // Resume the upload once the gRPC stream has drained
+  call.on('drain', () => req.resume());
+  
+  req.on('data', (data) => {
+    if (finished) return;
+    
+    bytesReceived += data.length;
+    if (bytesReceived > audioAllowance) {
+      call.cancel();
+      req.resume();
+      if (bytesReceived > MAX_AUDIO_SIZE) {
+        return fail('PAYLOAD_TOO_LARGE', `Audio exceeds ${MAX_AUDIO_SIZE} bytes`);
+      }
+      finished = true;
+      checkQuota(req, res, 'audioBytes', bytesReceived); // replies 429
+      return;
+    }
+    
+    // Re-chunk the HTTP body into fixed-size AudioChunk messages
+    pending = Buffer.concat([pending, data]);
+    let writable = true;
+    while (pending.length >= AUDIO_STREAM_CHUNK_SIZE) {
+      writable = writeChunk(pending.subarray(0, AUDIO_STREAM_CHUNK_SIZE), false) && writable;
+      pending = pending.subarray(AUDIO_STREAM_CHUNK_SIZE);
+    }
+    
+    if (!writable) {
+      req.pause();
+    }
+  });
+  
+  req.on('end', () => {
+    if (finished) return;
+    
+    if (bytesReceived === 0) {
+      call.cancel();
+      return fail('AUDIO_REQUIRED', 'Audio body is empty');
+    }
+    
+    writeChunk(pending, true);
+    pending = Buffer.alloc(0);
+    call.end();
+  });
+  
+  req.on('aborted', () => {
+    req.log.warn('Client aborted the upload', { audioBytes: bytesReceived });
+    finished = true;
+    call.cancel();
+  });
+});
+
+/**
+ * POST /api/audio/info
+ * Inspect an audio file - forwards to Audio Service GetAudioInfo via gRPC
+ * 
+ * Accepts audio as a file upload (field "audio") or base64 audioData in JSON.
+ * Returns the real format, sample rate, channels, bit depth and duration.
+ * Inspected bytes count towards the audioBytes quota.
+ */
+app.post('/api/audio/info', authenticated('audio'), upload.single('audio'), validate(schemas.audioInfo), (req, res) => {
+  const { userId } = req.user;
+  
+  let audioBuffer;
+  if (req.file) {
+    audioBuffer = req.file.buffer;
+  } else if (req.body.audioData) {
+    audioBuffer = Buffer.from(req.body.audioData, 'base64');
+  } else {
+    return sendError(res, 'AUDIO_REQUIRED', 'Audio data required (either file upload or base64 audioData)');
+  }
+  
+  if (!checkQuota(req, res, 'audioBytes', audioBuffer.length)) return;
+  
+  audioClient.GetAudioInfo({ audio_data: audioBuffer }, traceCallOptions(req.trace), (error, info) => {
+    if (error) {
+      if (error.code === grpc.status.INVALID_ARGUMENT) {
+        return sendError(res, 'INVALID_AUDIO', 'Unrecognised or invalid audio', {
+          details: error.details
+        });
+      }
+      req.log.error('gRPC call failed', { error });
+      return sendBackendError(res, error, 'Audio service');
+    }
+    quotas.record(userId, 'audioBytes', audioBuffer.length);
+    
+    res.json({
+      success: true,
+      info: {
+        format: info.format,
+        durationMs: info.duration_ms,
+        sampleRate: info.sample_rate,
+        channels: info.channels,
+        bitDepth: info.bit_depth,
+        sizeBytes: info.size_bytes
+      }
+    });
+  });
+});
+
+/**
+ * GET /api/messages/:id/audio
+ * Download a message's processed audio as raw bytes (no base64)
+ * 
+ * Supports HTTP Range requests (single range) so players can seek and
+ * downloads can resume. Players that cannot send an Authorization header
+ * may pass ?access_token=. Other users' audio is reported as not found.
+ */
+app.get('/api/messages/:id/audio', authenticated('api', auth.requireAuthOrQueryToken), (req, res) => {
+  const { id } = req.params;
+  
+  const message = store.getMessage(id);
+  const owned = message && message.userId === req.user.userId;
+  const audio = owned && message.type === 'audio' ? store.getAudio(id) : null;
+  
+  if (!audio) {
+    return sendError(res, 'AUDIO_NOT_FOUND', 'Audio not found for this message');
+  }
+  
+  res.set({
+    'Content-Type': AUDIO_CONTENT_TYPES[message.processedAudioFormat] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'Content-Disposition': `inline; filename="${id}.${message.processedAudioFormat || 'bin'}"`
+  });
+  
+  const ranges = req.headers.range ? req.range(audio.length) : null;
+  
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${audio.length}`);
+    return res.status(416).end();
+  }
+  
+  // Malformed, multi-range or non-byte ranges fall back to the full body
+  if (!ranges || ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) {
+    res.set('Content-Length', audio.length);
+    return res.status(200).end(audio);
+  }
+  
+  const { start, end } = ranges[0];
+  res.set({
+    'Content-Range': `bytes ${start}-${end}/${audio.length}`,
+    'Content-Length': end - start + 1
+  });
+  res.status(206).end(audio.subarray(start, end + 1));
+});
+
+/**
+ * GET /api/messages/history
+ * Fetch the logged-in user's chat history
+ * 
+ * ?userId= is optional and must be the user's own id.
+ */
+app.get('/api/messages/history', authenticated('api'), validate(schemas.history), (req, res) => {
+  const { userId } = req.user;
+  const { limit } = req.query;
+  
+  if (req.query.userId && req.query.userId !== userId) {
+    return sendError(res, 'FORBIDDEN', 'You can only read your own messages');
+  }
+  
+  // Return most recent messages
+  const history = store.getMessages({ userId, limit });
+  
+  res.json({
+    success: true,
+    count: history.length,
+    messages: history
+  });
+});
+
+// ============================================================================
+// CHAT ROOMS
+// ============================================================================
+
+/**
+ * Show a room message in one member's preferred language
+ * Falls back to the original text if no translation exists for that language.
+ */
+function localizeRoomMessage(message, userId) {
+  const language = store.getUserLanguage(userId) || 'en';
+  const translatedText = message.translations[language];
+  
+  return {
+    id: message.id,
+    type: message.type,
+    roomId: message.roomId,
+    userId: message.userId,
+    originalText: message.originalText,
+    translatedText: translatedText !== undefined ? translatedText : message.originalText,
+    sourceLanguage: message.sourceLanguage,
+    targetLanguage: translatedText !== undefined ? language : message.sourceLanguage,
+    timestamp: message.timestamp
+  };
+}
+
+/**
+ * A room as one user sees it: only the creator gets the invite code
+ */
+function roomView(room, userId) {
+  const { inviteCode, ...shared } = room;
+  return room.createdBy === userId ? room : shared;
+}
+
+/**
+ * Check an invite code against the room's (constant time)
+ */
+function isValidInvite(room, inviteCode) {
+  const expected = Buffer.from(room.inviteCode || '');
+  const actual = Buffer.from(inviteCode || '');
+  return expected.length > 0 && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * POST /api/rooms
+ * Create a chat room - the creator becomes its first member and gets the
+ * invite code that others need to join
+ */
+app.post('/api/rooms', authenticated('api'), validate(schemas.createRoom), (req, res) => {
+  const { userId } = req.user;
+  const { name } = req.body;
+  
+  const room = store.createRoom({
+    id: uuidv4(),
+    name,
+    createdBy: userId,
+    members: [userId],
+    inviteCode: crypto.randomBytes(16).toString('base64url'),
+    createdAt: new Date().toISOString()
+  });
+  
+  req.log.info('Room created', { roomId: room.id, userId });
+  
+  res.status(201).json({
+    success: true,
+    room
+  });
+});
+
+/**
+ * GET /api/rooms
+ * List the rooms the logged-in user belongs to
+ */
+app.get('/api/rooms', authenticated('api'), (req, res) => {
+  const { userId } = req.user;
+  const rooms = store.listRooms({ userId }).map(room => roomView(room, userId));
+  
+  res.json({
+    success: true,
+    count: rooms.length,
+    rooms
+  });
+});
+
+/**
+ * POST /api/rooms/:roomId/join
+ * Add the logged-in user to a room's members
+ * 
+ * Body: { inviteCode } - the code the creator got from POST /api/rooms.
+ * Members can call it again without one.
+ */
+app.post('/api/rooms/:roomId/join', authenticated('api'), validate(schemas.joinRoom), (req, res) => {
+  const { roomId } = req.params;
+  const { userId } = req.user;
+  const { inviteCode } = req.body;
+  
+  const room = store.getRoom(roomId);
+  if (!room) {
+    return sendError(res, 'ROOM_NOT_FOUND', 'Room not found');
+  }
+  
+  if (!room.members.includes(userId) && !isValidInvite(room, inviteCode)) {
+    req.log.warn('Room join refused', { roomId, userId, inviteCode: inviteCode ? 'wrong' : 'missing' });
+    return sendError(res, 'INVALID_INVITE', 'Joining this room needs its invite code from the room creator');
+  }
+  
+  store.addRoomMember(roomId, userId);
+  req.log.info('Room joined', { roomId, userId });
+  
+  res.json({
+    success: true,
+    room: roomView(room, userId)
+  });
+});
+
+/**
+ * POST /api/rooms/:roomId/messages
+ * Post a text message to a room
  * 
- * IMPORTANT: Audio processing logic is NOT in this gateway.
- * It's handled by the Audio Service (gRPC).
+ * The message is translated once per distinct member language using a
+ * single TranslateBatch gRPC call, so every member reads it in their own
+ * preferred language.
  */
-app.post('/api/messages/audio', upload.single('audio'), async (req, res) => {
+app.post('/api/rooms/:roomId/messages', authenticated('messages'), validate(schemas.roomMessage), (req, res) => {
   const restStartTime = Date.now();
+  const { roomId } = req.params;
+  const { userId } = req.user;
+  const { text, sourceLanguage } = req.body;
   
-  console.log('\n' + '='.repeat(60));
-  console.log('[REST API] POST /api/messages/audio');
-  console.log('='.repeat(60));
-  
-  let audioBuffer;
-  let userId;
-  let sourceLanguage;
-  let targetLanguage;
-  let audioFormat;
-  
-  // Handle file upload or base64
-  if (req.file) {
-    // Multipart form data upload
-    audioBuffer = req.file.buffer;
-    userId = req.body.userId;
-    sourceLanguage = req.body.sourceLanguage || 'en';
-    targetLanguage = req.body.targetLanguage;
-    audioFormat = req.body.audioFormat || 'wav';
-    console.log('  Input Type: File Upload');
-  } else if (req.body.audioData) {
-    // Base64 encoded in JSON
-    audioBuffer = Buffer.from(req.body.audioData, 'base64');
-    userId = req.body.userId;
-    sourceLanguage = req.body.sourceLanguage || 'en';
-    targetLanguage = req.body.targetLanguage;
-    audioFormat = req.body.audioFormat || 'wav';
-    console.log('  Input Type: Base64 JSON');
-  } else {
-    return res.status(400).json({
-      success: false,
-      error: 'Audio data required (either file upload or base64 audioData)'
-    });
+  const room = store.getRoom(roomId);
+  if (!room) {
+    return sendError(res, 'ROOM_NOT_FOUND', 'Room not found');
   }
   
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: 'userId is required'
-    });
+  if (!room.members.includes(userId)) {
+    return sendError(res, 'NOT_ROOM_MEMBER', 'User is not a member of this room');
   }
   
-  // Get target language from user preference if not specified
-  const targetLang = targetLanguage || userLanguages.get(userId) || 'es';
-  
-  console.log(`  User ID: ${userId}`);
-  console.log(`  Audio Size: ${audioBuffer.length} bytes`);
-  console.log(`  Audio Format: ${audioFormat}`);
-  console.log(`  Source: ${sourceLanguage} → Target: ${targetLang}`);
+  // One translation per distinct member language
+  const targetLanguages = [...new Set(
+    room.members.map(memberId => store.getUserLanguage(memberId) || 'en')
+  )];
   
-  // Calculate REST payload size (with base64 encoding overhead)
-  const base64Size = Buffer.from(audioBuffer).toString('base64').length;
-  const restPayloadSize = base64Size + 200; // Approximate JSON wrapper
+  // The sender pays for every translation of the message
+  const roomCharacters = text.length * targetLanguages.length;
+  if (!checkQuota(req, res, 'translatedCharacters', roomCharacters)) return;
   
-  // gRPC sends binary directly - no base64 overhead
-  const grpcPayloadSize = audioBuffer.length + 50; // Small protobuf overhead
+  req.log.debug('Room message received', {
+    roomId,
+    memberCount: room.members.length,
+    sourceLanguage,
+    targetLanguages: targetLanguages.join(',')
+  });
   
-  // Prepare gRPC request
-  const grpcRequest = {
-    audio_data: audioBuffer,
-    audio_format: audioFormat,
-    source_language: sourceLanguage,
-    target_language: targetLang,
-    user_id: userId,
-    timestamp: Date.now(),
-    sample_rate: 44100,
-    channels: 2
+  const batchRequest = {
+    requests: targetLanguages.map(targetLanguage => ({
+      text,
+      source_language: sourceLanguage,
+      target_language: targetLanguage,
+      user_id: userId,
+      timestamp: Date.now()
+    }))
   };
   
   const grpcStartTime = Date.now();
   
-  // Forward to Audio Service via gRPC
-  audioClient.ProcessAudio(grpcRequest, (error, response) => {
-    const grpcEndTime = Date.now();
-    const grpcTime = grpcEndTime - grpcStartTime;
+  translationClient.TranslateBatch(batchRequest, traceCallOptions(req.trace), (error, response) => {
+    const grpcTime = Date.now() - grpcStartTime;
     
     if (error) {
-      console.error(`  [ERROR] gRPC call failed: ${error.message}`);
-      return res.status(500).json({
-        success: false,
-        error: 'Audio service unavailable',
-        details: error.message
-      });
+      req.log.error('gRPC call failed', { error });
+      return sendBackendError(res, error, 'Translation service');
     }
     
-    // Store in chat history
-    const chatEntry = {
+    // Members whose language failed read the original text
+    const translations = {};
+    response.responses.filter(result => result.success).forEach(result => {
+      translations[result.target_language] = result.translated_text;
+    });
+    
+    const message = store.addRoomMessage({
       id: uuidv4(),
-      type: 'audio',
+      type: 'text',
+      roomId,
       userId,
-      audioSize: audioBuffer.length,
-      processedAudioSize: response.processed_size,
+      originalText: text,
       sourceLanguage,
-      targetLanguage: targetLang,
+      translations,
       timestamp: new Date().toISOString()
-    };
-    chatHistory.push(chatEntry);
-    
-    // Calculate REST response time
-    const restTime = Date.now() - restStartTime;
-    
-    // Log performance comparison
-    const metrics = {
-      restTime,
-      grpcTime,
-      restPayloadSize,
-      grpcPayloadSize
-    };
-    
-    performanceMetrics.rest.audio.push({ time: restTime, size: restPayloadSize });
-    performanceMetrics.grpc.audio.push({ time: grpcTime, size: grpcPayloadSize });
+    });
+    quotas.record(userId, 'translatedCharacters', roomCharacters);
     
-    logMetrics('AUDIO', 'Processing', metrics);
+    messageHub.publishToRoom(room, (memberId) => localizeRoomMessage(message, memberId));
     
-    // Convert processed audio to base64 for REST response
-    const processedAudioBase64 = response.translated_audio 
-      ? Buffer.from(response.translated_audio).toString('base64')
-      : '';
+    const restTime = Date.now() - restStartTime;
+    req.log.info('Room message translated', { roomId, translations: targetLanguages.length, grpcTimeMs: grpcTime });
     
-    // Send REST response
-    const restResponse = {
+    res.status(201).json({
       success: true,
-      messageId: chatEntry.id,
-      original: {
-        size: audioBuffer.length,
-        format: audioFormat,
-        language: sourceLanguage
-      },
-      processed: {
-        audioData: processedAudioBase64,
-        size: response.processed_size,
-        format: response.audio_format,
-        language: targetLang
-      },
+      message: localizeRoomMessage(message, userId),
+      translations,
       performance: {
         totalResponseTime: restTime,
         grpcServiceTime: grpcTime,
         gatewayOverhead: restTime - grpcTime,
-        restPayloadSize,
-        grpcPayloadSize,
-        sizeReduction: `${((1 - grpcPayloadSize / restPayloadSize) * 100).toFixed(1)}%`,
-        note: 'REST requires base64 encoding (+33% size), gRPC sends native binary'
+        translationsPerformed: targetLanguages.length
       }
-    };
-    
-    console.log(`  [SUCCESS] Audio processing complete`);
-    console.log(`  Response Payload Size: ${getJsonSize(restResponse)} bytes`);
-    
-    res.json(restResponse);
+    });
   });
 });
 
 /**
- * GET /api/messages/history
- * Fetch chat history
+ * GET /api/rooms/:roomId/messages
+ * Room history, shown in the requesting member's preferred language
  */
-app.get('/api/messages/history', (req, res) => {
-  const { userId, limit = 50 } = req.query;
-  
-  console.log('\n[REST API] GET /api/messages/history');
+app.get('/api/rooms/:roomId/messages', authenticated('api'), validate(schemas.roomHistory), (req, res) => {
+  const { roomId } = req.params;
+  const { userId } = req.user;
+  const { limit } = req.query;
   
-  let history = chatHistory;
+  const room = store.getRoom(roomId);
+  if (!room) {
+    return sendError(res, 'ROOM_NOT_FOUND', 'Room not found');
+  }
   
-  if (userId) {
-    history = history.filter(msg => msg.userId === userId);
+  if (!room.members.includes(userId)) {
+    return sendError(res, 'NOT_ROOM_MEMBER', 'User is not a member of this room');
   }
   
-  // Return most recent messages
-  history = history.slice(-parseInt(limit));
+  const messages = store.getRoomMessages(roomId, { limit })
+    .map(message => localizeRoomMessage(message, userId));
   
   res.json({
     success: true,
-    count: history.length,
-    messages: history
+    room: roomView(room, userId),
+    count: messages.length,
+    messages
   });
 });
 
 /**
  * GET /api/performance/metrics
  * Get performance comparison metrics
+ * 
+ * Both sides time the same hop (gateway → microservice):
+ * "rest" samples used the HTTP/JSON twin, "grpc" samples used gRPC.
+ * 
+ * Query: ?window=1m|1h|all (default all) selects the window for the
+ * text/audio summaries; "windows" has every configured window.
  */
-app.get('/api/performance/metrics', (req, res) => {
-  console.log('\n[REST API] GET /api/performance/metrics');
+app.get('/api/performance/metrics', validate(schemas.performanceMetrics), (req, res) => {
   
-  // Calculate averages
-  const calcAvg = (arr, prop) => {
-    if (arr.length === 0) return 0;
-    return arr.reduce((sum, item) => sum + item[prop], 0) / arr.length;
-  };
+  const { window } = req.query;
+  try {
+    parseWindow(window);
+  } catch (error) {
+    return sendError(res, 'INVALID_VALUE', error.message);
+  }
   
-  const metrics = {
+  const summarize = (windowLabel) => ({
     text: {
-      rest: {
-        avgResponseTime: calcAvg(performanceMetrics.rest.text, 'time').toFixed(2),
-        avgPayloadSize: calcAvg(performanceMetrics.rest.text, 'size').toFixed(0),
-        sampleCount: performanceMetrics.rest.text.length
-      },
-      grpc: {
-        avgResponseTime: calcAvg(performanceMetrics.grpc.text, 'time').toFixed(2),
-        avgPayloadSize: calcAvg(performanceMetrics.grpc.text, 'size').toFixed(0),
-        sampleCount: performanceMetrics.grpc.text.length
-      }
+      rest: performanceMetrics.rest.text.summarize(windowLabel),
+      grpc: performanceMetrics.grpc.text.summarize(windowLabel)
     },
     audio: {
-      rest: {
-        avgResponseTime: calcAvg(performanceMetrics.rest.audio, 'time').toFixed(2),
-        avgPayloadSize: calcAvg(performanceMetrics.rest.audio, 'size').toFixed(0),
-        sampleCount: performanceMetrics.rest.audio.length
-      },
-      grpc: {
-        avgResponseTime: calcAvg(performanceMetrics.grpc.audio, 'time').toFixed(2),
-        avgPayloadSize: calcAvg(performanceMetrics.grpc.audio, 'size').toFixed(0),
-        sampleCount: performanceMetrics.grpc.audio.length
-      }
-    },
+      rest: performanceMetrics.rest.audio.summarize(windowLabel),
+      grpc: performanceMetrics.grpc.audio.summarize(windowLabel)
+    }
+  });
+  
+  const selected = summarize(window);
+  
+  const compare = (kind) => {
+    const { rest, grpc } = selected[kind];
+    if (rest.sampleCount === 0 || grpc.sampleCount === 0) {
+      return 'No data (needs samples over both transports)';
+    }
+    const ratio = rest.avgResponseTime / (grpc.avgResponseTime || 1);
+    const tail = `p99: gRPC ${grpc.p99}ms, HTTP/JSON ${rest.p99}ms`;
+    return ratio >= 1
+      ? `gRPC is ${ratio.toFixed(2)}x faster (${tail})`
+      : `HTTP/JSON is ${(1 / ratio).toFixed(2)}x faster (${tail})`;
+  };
+  
+  const windows = {};
+  METRICS_WINDOWS.forEach(windowLabel => {
+    windows[windowLabel] = summarize(windowLabel);
+  });
+  
+  const metrics = {
+    measuredHop: 'API Gateway → microservice (HTTP/JSON twin vs gRPC)',
+    window,
+    ...selected,
+    windows,
     analysis: {
-      textSpeedImprovement: performanceMetrics.rest.text.length > 0 
-        ? `gRPC is ${(calcAvg(performanceMetrics.rest.text, 'time') / calcAvg(performanceMetrics.grpc.text, 'time')).toFixed(2)}x faster`
-        : 'No data',
-      audioSpeedImprovement: performanceMetrics.rest.audio.length > 0
-        ? `gRPC is ${(calcAvg(performanceMetrics.rest.audio, 'time') / calcAvg(performanceMetrics.grpc.audio, 'time')).toFixed(2)}x faster`
-        : 'No data',
+      textSpeedImprovement: compare('text'),
+      audioSpeedImprovement: compare('audio'),
       recommendation: 'Use gRPC for service-to-service communication for better performance'
-    }
+    },
+    // Encoded Protobuf bytes per gRPC method since the gateway started
+    grpcPayloadTotals: payloadMeter.getTotals()
   };
   
   res.json({
@@ -560,20 +2139,134 @@ app.get('/api/performance/metrics', (req, res) => {
   });
 });
 
+/**
+ * POST /api/performance/metrics/reset
+ * Clear all latency samples and payload totals
+ */
+app.post('/api/performance/metrics/reset', authenticated('test'), (req, res) => {
+  
+  Object.values(performanceMetrics).forEach(byKind => {
+    Object.values(byKind).forEach(recorder => recorder.reset());
+  });
+  payloadMeter.reset();
+  
+  res.json({
+    success: true,
+    message: 'Performance metrics reset',
+    resetAt: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/performance/benchmark
+ * Call a backend the same way over both transports and record the results
+ * 
+ * Body: { operation: 'text' | 'audio', iterations = 20, text, audioSize = 16384 }
+ * 
+ * Calls alternate between gRPC and HTTP/JSON so both see the same load,
+ * after one unrecorded warm-up call each (connection setup).
+ * Nothing is stored in chat history. Every call's payload counts towards the
+ * audioBytes or translatedCharacters quota, checked for the whole run up front.
+ */
+app.post('/api/performance/benchmark', authenticated('test'), validate(schemas.benchmark), async (req, res) => {
+  const { userId } = req.user;
+  const { operation, iterations: count, text, audioSize } = req.body;
+  
+  const service = operation === 'audio' ? 'audio' : 'translation';
+  const method = operation === 'audio' ? 'ProcessAudio' : 'TranslateText';
+  const quotaName = operation === 'audio' ? 'audioBytes' : 'translatedCharacters';
+  const callSize = operation === 'audio' ? audioSize : text.length;
+  const totalCalls = (count + 1) * BACKEND_TRANSPORTS.length; // + warm-up
+  if (!checkQuota(req, res, quotaName, totalCalls * callSize)) return;
+  
+  const request = operation === 'audio'
+    ? {
+      audio_data: Buffer.alloc(audioSize, 0x55),
+      audio_format: 'wav',
+      source_language: 'en',
+      target_language: 'es',
+      user_id: 'benchmark',
+      sample_rate: 16000,
+      channels: 1,
+      bit_depth: 16
+    }
+    : {
+      text,
+      source_language: 'en',
+      target_language: 'es',
+      user_id: 'benchmark'
+    };
+  
+  // One backend call, resolved with its time and payload sizes
+  const timedCall = (transport) => new Promise((resolve, reject) => {
+    const backend = backendCall(service, transport, req.trace);
+    const startTime = Date.now();
+    backend.client[method]({ ...request, timestamp: Date.now() }, backend.callOptions, (error) => {
+      if (error) return reject(error);
+      quotas.record(userId, quotaName, callSize);
+      resolve({ time: Date.now() - startTime, sizes: backend.sizes });
+    });
+  });
+  
+  const samples = { grpc: [], http: [] };
+  
+  try {
+    for (const transport of BACKEND_TRANSPORTS) {
+      await timedCall(transport);
+    }
+    for (let i = 0; i < count; i++) {
+      for (const transport of BACKEND_TRANSPORTS) {
+        const sample = await timedCall(transport);
+        samples[transport].push(sample);
+        recordBackendMetric(operation, transport, sample.time, sample.sizes.requestBytes);
+      }
+    }
+  } catch (error) {
+    req.log.error('Benchmark call failed', { error });
+    return sendBackendError(res, error, `${service === 'audio' ? 'Audio' : 'Translation'} service`);
+  }
+  
+  const summarize = (list) => {
+    const times = list.map(sample => sample.time);
+    return {
+      avgResponseTime: (times.reduce((a, b) => a + b, 0) / times.length).toFixed(2),
+      minResponseTime: Math.min(...times),
+      maxResponseTime: Math.max(...times),
+      requestSize: list[0].sizes.requestBytes,
+      responseSize: list[0].sizes.responseBytes
+    };
+  };
+  
+  const results = { rest: summarize(samples.http), grpc: summarize(samples.grpc) };
+  
+  req.log.info('Benchmark complete', {
+    operation,
+    iterations: count,
+    httpAvgMs: Number(results.rest.avgResponseTime),
+    httpRequestBytes: results.rest.requestSize,
+    grpcAvgMs: Number(results.grpc.avgResponseTime),
+    grpcRequestBytes: results.grpc.requestSize
+  });
+  
+  res.json({
+    success: true,
+    operation,
+    iterations: count,
+    results
+  });
+});
+
 /**
  * GET /api/languages
  * Get supported languages from Translation Service
  */
 app.get('/api/languages', (req, res) => {
-  console.log('\n[REST API] GET /api/languages');
   
-  translationClient.GetSupportedLanguages({}, (error, response) => {
+  translationClient.GetSupportedLanguages({}, traceCallOptions(req.trace), (error, response) => {
     if (error) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch languages'
-      });
+      return sendBackendError(res, error, 'Translation service');
     }
+    supportedLanguages.update(response.languages);
     
     res.json({
       success: true,
@@ -582,33 +2275,136 @@ app.get('/api/languages', (req, res) => {
   });
 });
 
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 description of every route (see ./openapi)
+ * Built per request: language codes follow the translation service's list.
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json(createOpenApiDocument({
+    validator,
+    schemas,
+    errorCodes: Object.keys(ERROR_STATUS),
+    transports: BACKEND_TRANSPORTS,
+    serverUrl: `${req.protocol}://${req.get('host')}`,
+    version: GATEWAY_VERSION,
+    transcoded: describeTranscodedRoutes()
+  }));
+});
+
+/**
+ * GET /api/docs
+ * Interactive API docs (Swagger UI) for /api/openapi.json
+ */
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(renderDocsPage({ specUrl: '/api/openapi.json', assetsUrl: SWAGGER_UI_URL }));
+});
+
+// Swagger UI's scripts and styles, from node_modules/swagger-ui-dist
+app.use(SWAGGER_UI_ASSETS_PATH, express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+/**
+ * GET /metrics
+ * Prometheus text exposition of the gateway metrics
+ */
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metricsRegistry.render());
+});
+
+/**
+ * One service's health from its replicas' probes
+ * The service is healthy while at least one replica is SERVING.
+ */
+function summarizeReplicas(replicas) {
+  const serving = replicas.filter(replica => replica.healthy);
+  const firstDown = replicas.find(replica => !replica.healthy);
+  
+  if (replicas.length === 0) {
+    return { status: 'NO_REPLICAS', healthy: false, healthyReplicas: 0, totalReplicas: 0, error: 'No replica configured or registered', replicas };
+  }
+  
+  return {
+    status: serving.length ? 'SERVING' : firstDown.status,
+    healthy: serving.length > 0,
+    healthyReplicas: serving.length,
+    totalReplicas: replicas.length,
+    latencyMs: Math.max(...replicas.map(replica => replica.latencyMs)),
+    error: serving.length ? undefined : firstDown.error,
+    replicas
+  };
+}
+
 /**
  * GET /api/health
- * Health check endpoint
+ * Probe every service replica (gRPC health protocol) and report circuit breakers
+ * 503 when a service has no replica SERVING; "degraded" while a replica is
+ * ejected or a breaker is not closed.
  */
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'healthy',
+app.get('/api/health', async (req, res) => {
+  const [translationReplicas, audioReplicas] = await Promise.all([
+    backendBalancers.translation.checkHealth(),
+    backendBalancers.audio.checkHealth()
+  ]);
+  const translationService = summarizeReplicas(translationReplicas);
+  const audioService = summarizeReplicas(audioReplicas);
+  const healthy = translationService.healthy && audioService.healthy;
+  
+  const breakers = {};
+  let degraded = [...translationReplicas, ...audioReplicas].some(replica => !replica.healthy);
+  
+  // Where the replica list comes from; an unreachable registry leaves the last known list
+  const discovery = registryDiscovery
+    ? { source: 'registry', url: REGISTRY_URL, ...registryDiscovery.getStatus() }
+    : { source: BACKEND_DISCOVERY_FILE ? 'file' : 'environment' };
+  degraded = degraded || discovery.reachable === false;
+  for (const [service, byTransport] of Object.entries(circuitBreakers)) {
+    breakers[service] = {};
+    for (const [transport, breaker] of Object.entries(byTransport)) {
+      breakers[service][transport] = breaker.getState();
+      degraded = degraded || breakers[service][transport].state !== 'closed';
+    }
+  }
+  
+  if (!healthy) {
+    req.log.warn('Health check failed', {
+      translationService: translationService.status,
+      audioService: audioService.status
+    });
+  }
+  
+  let status = 'healthy';
+  if (!healthy) status = 'unhealthy';
+  else if (degraded) status = 'degraded';
+  
+  res.status(healthy ? 200 : 503).json({
+    success: healthy,
+    status,
+    error: healthy ? undefined : 'One or more services are unhealthy',
+    code: healthy ? undefined : 'UNAVAILABLE',
     services: {
-      apiGateway: 'running',
-      translationService: TRANSLATION_SERVICE_URL,
-      audioService: AUDIO_SERVICE_URL
+      apiGateway: { status: 'SERVING', healthy: true },
+      translationService,
+      audioService
     },
+    circuitBreakers: breakers,
+    discovery,
     timestamp: new Date().toISOString()
   });
 });
 
 /**
  * POST /api/test/concurrent
- * Test concurrent message handling
+ * Test concurrent message handling (at most MAX_CONCURRENT_TEST_MESSAGES)
+ * The texts count towards the translatedCharacters quota.
  */
-app.post('/api/test/concurrent', async (req, res) => {
-  const { messages = 5 } = req.body;
+app.post('/api/test/concurrent', authenticated('test'), validate(schemas.concurrentTest), async (req, res) => {
+  const { userId } = req.user;
+  const { messages } = req.body;
   
-  console.log('\n' + '='.repeat(60));
-  console.log(`[TEST] Concurrent Message Test - ${messages} messages`);
-  console.log('='.repeat(60));
+  const texts = Array.from({ length: messages }, (_, i) => `Test message ${i + 1}`);
+  const totalCharacters = texts.reduce((sum, text) => sum + text.length, 0);
+  if (!checkQuota(req, res, 'translatedCharacters', totalCharacters)) return;
   
   const startTime = Date.now();
   const promises = [];
@@ -616,16 +2412,17 @@ app.post('/api/test/concurrent', async (req, res) => {
   for (let i = 0; i < messages; i++) {
     const promise = new Promise((resolve, reject) => {
       const request = {
-        text: `Test message ${i + 1}`,
+        text: texts[i],
         source_language: 'en',
         target_language: 'es',
         user_id: `test-user-${i}`,
         timestamp: Date.now()
       };
       
-      translationClient.TranslateText(request, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
+      translationClient.TranslateText(request, traceCallOptions(req.trace), (error, response) => {
+        if (error) return reject(error);
+        quotas.record(userId, 'translatedCharacters', request.text.length);
+        resolve(response);
       });
     });
     promises.push(promise);
@@ -647,51 +2444,256 @@ app.post('/api/test/concurrent', async (req, res) => {
       }))
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    req.log.error('Concurrent test call failed', { error });
+    sendBackendError(res, error, 'Translation service');
+  }
+});
+
+// ============================================================================
+// gRPC-JSON TRANSCODING (routes from the proto HTTP annotations)
+// ============================================================================
+
+// Gateway policy per service: rate limit family, and the request field whose
+// size counts toward a daily quota
+const TRANSCODED_SERVICES = [
+  {
+    service: 'translation',
+    serviceName: 'translation.TranslationService',
+    packageDefinition: translationPackageDef,
+    label: 'Translation service',
+    rateLimit: 'messages',
+    quota: { name: 'translatedCharacters', field: 'text' }
+  },
+  {
+    service: 'audio',
+    serviceName: 'audio.AudioService',
+    packageDefinition: audioPackageDef,
+    label: 'Audio service',
+    rateLimit: 'audio',
+    quota: { name: 'audioBytes', field: 'audio_data' }
   }
+];
+
+const transcoder = createTranscoder({
+  services: TRANSCODED_SERVICES,
+  prefix: '/api',
+  serverFields: { user_id: (req) => req.user.userId },
+  reservedQuery: ['transport']
 });
 
+// Request schema field → proto field: sampleRate → sample_rate
+const protoFieldName = (name) => name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+/**
+ * Check a request message (or one item of it) against a request schema
+ * Unset proto3 fields ('' and 0) count as missing, so they get the schema's
+ * defaults; checked values are written back to the message. Returns the
+ * field errors, named with prefix ("requests[0].").
+ */
+function checkMessageFields(schema, message, location, prefix = '') {
+  const input = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = message[protoFieldName(name)];
+    input[name] = value === '' || (value === 0 && rule.type === 'integer') ? undefined : value;
+  }
+
+  const { value, errors } = validator.check(schema, input, location);
+  for (const [name, checked] of Object.entries(value)) {
+    message[protoFieldName(name)] = checked;
+  }
+  return errors.map(error => ({ ...error, field: `${prefix}${error.field}`, message: `${prefix}${error.message}` }));
+}
+
+/**
+ * Audio in a request message: present and within MAX_AUDIO_SIZE
+ */
+function checkAudioData(message, location) {
+  if (message.audio_data.length === 0) {
+    return [{ field: 'audioData', in: location, code: 'AUDIO_REQUIRED', message: 'audioData is required' }];
+  }
+  if (message.audio_data.length > MAX_AUDIO_SIZE) {
+    return [{ field: 'audioData', in: location, code: 'PAYLOAD_TOO_LARGE', message: `audioData exceeds ${MAX_AUDIO_SIZE} bytes` }];
+  }
+  return [];
+}
+
+// Transcoded RPCs with a REST twin get the twin's checks, defaults and limits
+// (an RPC without an entry only gets the transcoder's type checks)
+const TRANSCODED_REQUEST_CHECKS = {
+  'translation.TranslationService/TranslateText': (req, message, location) => {
+    const errors = checkMessageFields(textMessageFields, message, location);
+    message.target_language = message.target_language || store.getUserLanguage(req.user.userId) || 'es';
+    return errors;
+  },
+  'translation.TranslationService/TranslateBatch': (req, message, location) => {
+    const { errors } = validator.check({ requests: schemas.textBatch.body.messages }, { requests: message.requests }, location);
+    message.requests.forEach((item, index) => {
+      errors.push(...checkMessageFields(schemas.batchItem, item, location, `requests[${index}].`));
+      item.target_language = item.target_language || store.getUserLanguage(req.user.userId) || 'es';
+    });
+    return errors;
+  },
+  'audio.AudioService/ProcessAudio': (req, message, location) => {
+    const errors = [...checkAudioData(message, location), ...checkMessageFields(audioFormatFields, message, location)];
+    message.target_language = message.target_language || store.getUserLanguage(req.user.userId) || 'es';
+    return errors;
+  },
+  'audio.AudioService/GetAudioInfo': (req, message, location) => checkAudioData(message, location)
+};
+
+// Examples for proto fields, from the request schema fields of the same name
+const transcodedExamples = {};
+for (const request of Object.values(schemas)) {
+  // batchItem is a field map itself, the others have body and/or query
+  const fieldMaps = request.body || request.query ? [request.body, request.query] : [request];
+  for (const fields of fieldMaps) {
+    for (const [name, rule] of Object.entries(fields || {})) {
+      const example = rule.example !== undefined ? rule.example : rule.default;
+      if (example !== undefined && transcodedExamples[name] === undefined) transcodedExamples[name] = example;
+    }
+  }
+}
+
+/**
+ * Transcoded routes for the OpenAPI document, with the gateway policy above
+ */
+function describeTranscodedRoutes() {
+  const { routes, schemas: messageSchemas } = transcoder.toOpenApi({ examples: transcodedExamples });
+  return {
+    schemas: messageSchemas,
+    routes: routes.map(route => ({
+      ...route,
+      tag: 'gRPC',
+      auth: true,
+      transport: true,
+      backend: true,
+      rateLimit: TRANSCODED_SERVICES.find(service => service.service === route.service).rateLimit,
+      errors: [400]
+    }))
+  };
+}
+
+/**
+ * <METHOD> /api/v1/... for every annotated RPC (see ./transcoding)
+ * Same auth, rate limits, quotas, transports and error envelope as the
+ * hand-written routes, and the REST twin's schema (TRANSCODED_REQUEST_CHECKS);
+ * user_id is always the token's user.
+ */
+for (const binding of transcoder.bindings) {
+  const config = TRANSCODED_SERVICES.find(service => service.service === binding.service);
+
+  app[binding.httpMethod](binding.expressPath, authenticated(config.rateLimit), (req, res) => {
+    const transport = resolveTransport(req);
+    if (!checkTransport(transport, res)) return;
+
+    const { message, errors } = transcoder.toRequest(binding, req);
+    const checkRequest = TRANSCODED_REQUEST_CHECKS[`${binding.serviceName}/${binding.methodName}`];
+    if (errors.length === 0 && checkRequest) {
+      const pathFields = binding.params.map(param => param.fieldPath);
+      errors.push(...checkRequest(req, message, binding.body ? 'body' : 'query').map(error =>
+        (pathFields.includes(protoFieldName(error.field)) ? { ...error, in: 'path' } : error)));
+    }
+    if (errors.length > 0) {
+      return sendError(res, errors[0].code, errors.map(error => error.message).join('; '), { fields: errors });
+    }
+
+    const quotaAmount = transcoder.fieldValues(binding, message, config.quota.field)
+      .reduce((sum, value) => sum + value.length, 0);
+    if (quotaAmount > 0 && !checkQuota(req, res, config.quota.name, quotaAmount)) return;
+
+    const backend = backendCall(config.service, transport, req.trace);
+    backend.client[binding.methodName](message, backend.callOptions, (error, response) => {
+      if (error) {
+        req.log.error('Backend call failed', { method: `${binding.serviceName}/${binding.methodName}`, transport, error });
+        return sendBackendError(res, error, config.label);
+      }
+      if (quotaAmount > 0) quotas.record(req.user.userId, config.quota.name, quotaAmount);
+
+      res.json(transcoder.toResponse(binding, response));
+    });
+  });
+}
+
 // ============================================================================
 // ERROR HANDLING
 // ============================================================================
+
+// Unknown API routes
+app.use('/api', (req, res) => {
+  sendError(res, 'ROUTE_NOT_FOUND', `No route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    details: err.message
-  });
+  // Errors from the body parsers and multer are the client's
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON', { details: err.message });
+  }
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large', { details: err.message });
+  }
+  if (err instanceof multer.MulterError) {
+    return sendError(res, 'INVALID_VALUE', 'Invalid multipart upload', { details: err.message });
+  }
+  
+  req.log.error('Unhandled error', { error: err, stack: err.stack });
+  sendError(res, 'INTERNAL', 'Internal server error', { details: err.message });
 });
 
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
-app.listen(PORT, () => {
-  console.log('\n' + '═'.repeat(60));
-  console.log('   API GATEWAY (REST) STARTED');
-  console.log('═'.repeat(60));
-  console.log(`   Port: ${PORT}`);
-  console.log(`   Protocol: REST with JSON`);
-  console.log('');
-  console.log('   Connecting to gRPC Services:');
-  
-  initializeGrpcClients();
-  
-  console.log('');
-  console.log('   Available Endpoints:');
-  console.log('   ---------------------');
-  console.log('   POST /api/users/language     - Set user language');
-  console.log('   GET  /api/users/:id/language - Get user language');
-  console.log('   POST /api/messages/text      - Send text message');
-  console.log('   POST /api/messages/audio     - Send audio message');
-  console.log('   GET  /api/messages/history   - Get chat history');
-  console.log('   GET  /api/languages          - Get supported languages');
-  console.log('   GET  /api/performance/metrics- Get performance metrics');
-  console.log('   GET  /api/health             - Health check');
-  console.log('   POST /api/test/concurrent    - Test concurrent messages');
-  console.log('═'.repeat(60));
-  console.log('\n   Ready to accept client requests!\n');
+const server = app.listen(PORT, () => {
+  logger.info('API Gateway (REST) started', {
+    port: PORT,
+    protocol: 'REST with JSON',
+    storage: store.driver,
+    storagePath: store.filePath
+  });
+  
+  initializeBackendClients();
+  supportedLanguages.start(LANGUAGES_REFRESH_MS);
+  
+  const undocumented = listUndocumentedRoutes(app, describeTranscodedRoutes().routes);
+  if (undocumented.length > 0) {
+    logger.warn('Routes missing from the OpenAPI document (./openapi.js)', { routes: undocumented.join(', ') });
+  }
+  
+  logger.debug('Available endpoints', {
+    endpoints: [
+      'POST /api/auth/register - Create account and log in',
+      'POST /api/auth/login - Log in (access token)',
+      'GET /api/auth/me - Current user',
+      'GET /api/usage - Remaining quotas and rate limits',
+      'POST /api/users/language - Set user language',
+      'GET /api/users/:id/language - Get user language',
+      'POST /api/messages/text - Send text message',
+      'POST /api/messages/text/batch - Translate a batch of texts',
+      'POST /api/messages/audio - Send audio message',
+      'POST /api/messages/audio/stream - Stream audio upload',
+      'GET /api/messages/:id/audio - Download processed audio',
+      'POST /api/audio/info - Inspect audio format',
+      'GET /api/messages/history - Get chat history',
+      'POST /api/rooms - Create chat room',
+      'GET /api/rooms - List chat rooms',
+      'POST /api/rooms/:id/join - Join chat room',
+      'POST /api/rooms/:id/messages - Post to chat room',
+      'GET /api/rooms/:id/messages - Get room history',
+      'GET /api/languages - Get supported languages',
+      'GET /api/performance/metrics - Get performance metrics',
+      'POST /api/performance/metrics/reset - Reset metrics',
+      'POST /api/performance/benchmark - REST vs gRPC benchmark',
+      'GET /api/health - Health check (probes both services)',
+      'GET /metrics - Prometheus metrics',
+      'POST /api/test/concurrent - Test concurrent messages',
+      'GET /api/openapi.json - OpenAPI document',
+      'GET /api/docs - Interactive API docs',
+      ...transcoder.bindings.map(binding =>
+        `${binding.httpMethod.toUpperCase()} ${binding.expressPath} - ${binding.serviceName}/${binding.methodName} (transcoded)`),
+      `WS ${messageHub.path} - Real-time message stream`
+    ]
+  });
+  logger.info('Ready to accept client requests');
 });
+
+// Real-time message stream shares the HTTP server
+messageHub.attach(server);
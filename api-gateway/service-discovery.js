@@ -0,0 +1,80 @@
+/**
+ * Service Discovery
+ * =================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Polls the service registry (registry-service, proto/registry.proto) and
+ * hands the live instances of each service to the gateway's load balancers,
+ * so replicas can be added or removed without restarting the gateway.
+ *
+ * While the registry is unreachable the last known instances are kept, and
+ * while it is warming up after a restart instances are only added.
+ *
+ * Usage:
+ *   const discovery = createRegistryDiscovery({ client, services: ['translation', 'audio'], onUpdate });
+ *   discovery.start(2000);
+ *   // onUpdate('translation', [{ grpc: 'localhost:50051', http: 'http://localhost:8051' }, ...])
+ */
+
+/**
+ * Create a poller for one registry
+ *
+ * client:   a registry.Registry gRPC client
+ * services: service names to report (a service with no instances gets [])
+ */
+function createRegistryDiscovery({ client, services, timeoutMs = 2000, onUpdate, logger }) {
+  let lastRefresh = null;
+  let lastError = null;
+  let instanceCount = 0;
+  const known = new Map(services.map(service => [service, []]));
+
+  const refresh = () => {
+    client.ListInstances({ service: '' }, { deadline: Date.now() + timeoutMs }, (error, response) => {
+      if (error) {
+        // Log the first failure of an outage only, not every poll
+        if (!lastError) logger.warn('Service registry unreachable, keeping last known replicas', { error });
+        lastError = error.details || error.message;
+        return;
+      }
+
+      if (lastError) logger.info('Service registry reachable again');
+      lastError = null;
+      lastRefresh = new Date().toISOString();
+      instanceCount = response.instances.length;
+
+      for (const service of services) {
+        const replicas = response.instances
+          .filter(instance => instance.service === service)
+          .map(instance => ({ grpc: instance.grpc_address, http: instance.http_address }));
+        
+        if (response.warming_up) {
+          const listed = new Set(replicas.map(replica => replica.grpc));
+          replicas.push(...known.get(service).filter(replica => !listed.has(replica.grpc)));
+        }
+        known.set(service, replicas);
+        onUpdate(service, replicas);
+      }
+    });
+  };
+
+  return {
+    /**
+     * Poll now and then every intervalMs
+     */
+    start(intervalMs) {
+      refresh();
+      setInterval(refresh, intervalMs).unref();
+    },
+
+    getStatus() {
+      return {
+        reachable: lastError === null && lastRefresh !== null,
+        instances: instanceCount,
+        lastRefresh,
+        error: lastError || undefined
+      };
+    }
+  };
+}
+
+module.exports = { createRegistryDiscovery };
@@ -0,0 +1,142 @@
+/**
+ * File Store (Append-Only JSON Log)
+ * =================================
+ * PDC Lab Exam - Distributed Chat System
+ * 
+ * Persists chat history, user accounts, user language preferences and chat rooms to a local file so
+ * they survive gateway restarts. No database server is needed.
+ * 
+ * Processed audio is binary, so it is kept out of the log: each message's
+ * audio is written to <log directory>/audio/<messageId>.bin.
+ * 
+ * FORMAT:
+ * - One JSON record per line
+ * - { "op": "message", "data": { ...chatEntry } }
+ * - { "op": "user", "data": { userId, passwordHash, createdAt } }
+ * - { "op": "language", "userId": "...", "language": "..." }
+ * - { "op": "room", "data": { ...room } }
+ * - { "op": "room-member", "roomId": "...", "userId": "..." }
+ * - { "op": "room-message", "data": { ...roomMessage } }
+ * 
+ * On startup the log is replayed into an in-memory store, which then serves
+ * all reads. Every write is appended to the log before it is applied.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+
+/**
+ * Replay an existing log file into the given memory store
+ * A truncated last line (e.g. after a crash mid-write) is skipped.
+ */
+function replayLog(filePath, memory, logger) {
+  if (!fs.existsSync(filePath)) {
+    return 0;
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  let replayed = 0;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      logger.warn('Skipping corrupt storage record', { file: filePath, line: index + 1 });
+      return;
+    }
+
+    if (record.op === 'message') {
+      memory.addMessage(record.data);
+    } else if (record.op === 'user') {
+      memory.createUser(record.data);
+    } else if (record.op === 'language') {
+      memory.setUserLanguage(record.userId, record.language);
+    } else if (record.op === 'room') {
+      memory.createRoom(record.data);
+    } else if (record.op === 'room-member') {
+      memory.addRoomMember(record.roomId, record.userId);
+    } else if (record.op === 'room-message') {
+      memory.addRoomMessage(record.data);
+    }
+    replayed++;
+  });
+
+  return replayed;
+}
+
+/**
+ * Create a file-backed store
+ * logger: shared/logger instance for replay warnings
+ */
+function createFileStore({ filePath, logger }) {
+  const audioDir = path.join(path.dirname(filePath), 'audio');
+  fs.mkdirSync(audioDir, { recursive: true });
+
+  const memory = createMemoryStore();
+  replayLog(filePath, memory, logger);
+
+  const append = (record) => {
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n', 'utf8');
+  };
+
+  // Message ids are uuids; anything else is never used as a file name
+  const audioPath = (messageId) => {
+    return /^[\w-]+$/.test(messageId) ? path.join(audioDir, `${messageId}.bin`) : null;
+  };
+
+  return {
+    ...memory,
+    driver: 'file',
+    filePath,
+
+    addMessage(entry) {
+      append({ op: 'message', data: entry });
+      return memory.addMessage(entry);
+    },
+
+    createUser(user) {
+      append({ op: 'user', data: user });
+      return memory.createUser(user);
+    },
+
+    setUserLanguage(userId, language) {
+      append({ op: 'language', userId, language });
+      memory.setUserLanguage(userId, language);
+    },
+
+    createRoom(room) {
+      append({ op: 'room', data: room });
+      return memory.createRoom(room);
+    },
+
+    addRoomMember(roomId, userId) {
+      const room = memory.getRoom(roomId);
+      if (room && !room.members.includes(userId)) {
+        append({ op: 'room-member', roomId, userId });
+      }
+      return memory.addRoomMember(roomId, userId);
+    },
+
+    addRoomMessage(entry) {
+      append({ op: 'room-message', data: entry });
+      return memory.addRoomMessage(entry);
+    },
+
+    saveAudio(messageId, data) {
+      const file = audioPath(messageId);
+      if (!file) throw new Error(`Invalid message id: ${messageId}`);
+      fs.writeFileSync(file, data);
+    },
+
+    getAudio(messageId) {
+      const file = audioPath(messageId);
+      return file && fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+  };
+}
+
+module.exports = { createFileStore };
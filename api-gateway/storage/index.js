@@ -0,0 +1,44 @@
+/**
+ * Storage Layer
+ * =============
+ * PDC Lab Exam - Distributed Chat System
+ * 
+ * Pluggable storage for chat history, user accounts, user language
+ * preferences, chat rooms and processed audio.
+ * 
+ * DRIVERS (selected with STORAGE_DRIVER):
+ * - file:   append-only JSON log on disk (default, survives restarts)
+ * - memory: process memory only (for demos)
+ * 
+ * Every driver exposes the same methods:
+ *   addMessage(entry), getMessage(id), getMessages({ userId, limit }),
+ *   createUser(user), getUser(userId),
+ *   setUserLanguage(userId, language), getUserLanguage(userId),
+ *   createRoom(room), getRoom(roomId), listRooms({ userId }),
+ *   addRoomMember(roomId, userId), addRoomMessage(entry),
+ *   getRoomMessages(roomId, { limit }), saveAudio(messageId, data),
+ *   getAudio(messageId), stats()
+ */
+
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '../data/chat-store.log');
+
+/**
+ * Create a store for the given driver name
+ * logger: shared/logger instance (the file driver logs skipped records)
+ */
+function createStore({ driver = 'file', filePath = DEFAULT_FILE_PATH, logger } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ filePath, logger });
+    default:
+      throw new Error(`Unknown storage driver: ${driver} (expected "file" or "memory")`);
+  }
+}
+
+module.exports = { createStore };
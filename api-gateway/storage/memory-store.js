@@ -0,0 +1,169 @@
+/**
+ * In-Memory Store
+ * ===============
+ * PDC Lab Exam - Distributed Chat System
+ * 
+ * Keeps chat history, user accounts, user language preferences, chat rooms
+ * and processed audio in process memory.
+ * Everything is lost when the gateway restarts, so this driver is meant
+ * for demos and quick local testing.
+ */
+
+/**
+ * Create an in-memory store
+ */
+function createMemoryStore() {
+  // Chat history storage
+  const chatHistory = [];
+
+  // User accounts (userId -> { userId, passwordHash, createdAt })
+  const users = new Map();
+
+  // User language preferences
+  const userLanguages = new Map();
+
+  // Chat rooms (roomId -> room) and their messages
+  const rooms = new Map();
+  const roomMessages = [];
+
+  // Processed audio bytes by message id
+  const audioFiles = new Map();
+
+  return {
+    driver: 'memory',
+
+    /**
+     * Append a message to chat history
+     */
+    addMessage(entry) {
+      chatHistory.push(entry);
+      return entry;
+    },
+
+    /**
+     * Find a single message by id
+     */
+    getMessage(id) {
+      return chatHistory.find(msg => msg.id === id) || null;
+    },
+
+    /**
+     * Return the most recent messages, optionally filtered by user
+     */
+    getMessages({ userId, limit = 50 } = {}) {
+      let history = chatHistory;
+
+      if (userId) {
+        history = history.filter(msg => msg.userId === userId);
+      }
+
+      return history.slice(-limit);
+    },
+
+    /**
+     * Create a user account (the caller checks that the userId is free)
+     */
+    createUser(user) {
+      users.set(user.userId, { ...user });
+      return users.get(user.userId);
+    },
+
+    /**
+     * Find a user account by id
+     */
+    getUser(userId) {
+      return users.get(userId) || null;
+    },
+
+    /**
+     * Store a user's preferred language
+     */
+    setUserLanguage(userId, language) {
+      userLanguages.set(userId, language);
+    },
+
+    /**
+     * Get a user's preferred language (undefined if never set)
+     */
+    getUserLanguage(userId) {
+      return userLanguages.get(userId);
+    },
+
+    /**
+     * Create a chat room ({ id, name, createdBy, members, createdAt })
+     */
+    createRoom(room) {
+      rooms.set(room.id, { ...room, members: [...room.members] });
+      return rooms.get(room.id);
+    },
+
+    /**
+     * Find a room by id
+     */
+    getRoom(roomId) {
+      return rooms.get(roomId) || null;
+    },
+
+    /**
+     * List all rooms, or only the rooms a user is a member of
+     */
+    listRooms({ userId } = {}) {
+      const all = Array.from(rooms.values());
+      return userId ? all.filter(room => room.members.includes(userId)) : all;
+    },
+
+    /**
+     * Add a member to a room (no-op if already a member)
+     */
+    addRoomMember(roomId, userId) {
+      const room = rooms.get(roomId);
+      if (room && !room.members.includes(userId)) {
+        room.members.push(userId);
+      }
+      return room || null;
+    },
+
+    /**
+     * Append a message to a room
+     */
+    addRoomMessage(entry) {
+      roomMessages.push(entry);
+      return entry;
+    },
+
+    /**
+     * Return the most recent messages of a room
+     */
+    getRoomMessages(roomId, { limit = 50 } = {}) {
+      return roomMessages.filter(msg => msg.roomId === roomId).slice(-limit);
+    },
+
+    /**
+     * Store processed audio bytes for a message
+     */
+    saveAudio(messageId, data) {
+      audioFiles.set(messageId, Buffer.from(data));
+    },
+
+    /**
+     * Get processed audio bytes for a message (null if none)
+     */
+    getAudio(messageId) {
+      return audioFiles.get(messageId) || null;
+    },
+
+    /**
+     * Number of stored messages, users and rooms, for startup logging
+     */
+    stats() {
+      return {
+        messages: chatHistory.length,
+        accounts: users.size,
+        users: userLanguages.size,
+        rooms: rooms.size
+      };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
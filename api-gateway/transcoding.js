@@ -0,0 +1,516 @@
+/**
+ * gRPC-JSON Transcoding
+ * =====================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Turns the google.api.http annotations in the service protos into REST
+ * routes, so a new annotated RPC needs no hand-written Express route:
+ *
+ *   rpc TranslateText(TextRequest) returns (TextResponse) {
+ *     option (google.api.http) = { post: "/v1/translation/translate" body: "*" };
+ *   }
+ *
+ *   POST /api/v1/translation/translate  {"text": "hello", "targetLanguage": "es"}
+ *
+ * Request mapping (as in the HttpRule reference):
+ * - {field} in the path template comes from the URL
+ * - body: "*" maps the JSON body to the request message, body: "field" to one field
+ * - every other field comes from the query string (?sourceLanguage=en, ?a.b=1)
+ *
+ * JSON uses the proto3 JSON mapping: lowerCamelCase names (proto names are
+ * accepted too), bytes as base64, 64-bit integers as strings. Unknown fields
+ * and query parameters (INVALID_ARGUMENT) and wrong types are rejected before
+ * the call, in the validation error format (see ./validation). Responses are the response message (or its
+ * response_body field) as JSON.
+ *
+ * Supported path templates: literal segments and {field} / {field=*}.
+ * Client-streaming and server-streaming RPCs are not transcoded.
+ *
+ * Usage:
+ *   const transcoder = createTranscoder({ services: [{ service: 'translation', serviceName, packageDefinition }], prefix: '/api' });
+ *   for (const binding of transcoder.bindings) app[binding.httpMethod](binding.expressPath, handler);
+ *   const { message, errors } = transcoder.toRequest(binding, req);
+ */
+
+const { createProtoJson } = require('../shared/proto-json');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+const INT32_TYPES = ['TYPE_INT32', 'TYPE_SINT32', 'TYPE_SFIXED32'];
+const UINT32_TYPES = ['TYPE_UINT32', 'TYPE_FIXED32'];
+const INT64_TYPES = ['TYPE_INT64', 'TYPE_SINT64', 'TYPE_SFIXED64'];
+const UINT64_TYPES = ['TYPE_UINT64', 'TYPE_FIXED64'];
+const FLOAT_TYPES = ['TYPE_FLOAT', 'TYPE_DOUBLE'];
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// Never used as keys of the objects a request is assembled in
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+// proto3 JSON name: source_language → sourceLanguage
+const jsonName = (field) => field.jsonName || field.name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+const isRepeated = (field) => field.label === 'LABEL_REPEATED';
+
+/**
+ * Parse one path template ("/v1/translation/translate/{target_language}")
+ * into an Express path and the fields its parameters fill
+ */
+function compileTemplate(template, prefix) {
+  if (/:[^/}]*$/.test(template)) {
+    throw new Error(`Path template ${template}: custom verbs (":verb") are not supported`);
+  }
+
+  const params = [];
+  const segments = template.split('/').map((segment) => {
+    const variable = segment.match(/^\{([\w.]+)(?:=([^}]*))?\}$/);
+    if (!variable) {
+      if (/[{}*]/.test(segment)) throw new Error(`Path template ${template}: unsupported segment "${segment}"`);
+      return segment;
+    }
+    const [, fieldPath, pattern] = variable;
+    if (pattern !== undefined && pattern !== '*') {
+      throw new Error(`Path template ${template}: only {field} and {field=*} are supported`);
+    }
+    const param = fieldPath.replace(/\./g, '__');
+    params.push({ param, fieldPath });
+    return `:${param}`;
+  });
+
+  return { expressPath: `${prefix}${segments.join('/')}`, params };
+}
+
+/**
+ * Create a transcoder for the annotated RPCs of the given services
+ *
+ * services:     [{ service, serviceName, packageDefinition }]; service is the
+ *               gateway's name for the backend ('translation', 'audio')
+ * prefix:       mounted before every path template (e.g. '/api')
+ * serverFields: { field_name: (req) => value } set by the gateway in every
+ *               request message that has the field (e.g. user_id from the token)
+ * reservedQuery: query parameters meant for the gateway, not the message
+ */
+function createTranscoder({ services, prefix = '', serverFields = {}, reservedQuery = [] }) {
+  const packageDefinition = Object.assign({}, ...services.map(service => service.packageDefinition));
+  const protoJson = createProtoJson(packageDefinition);
+
+  // Field type names may be relative to the package ("TextRequest")
+  const resolveType = (typeName, scope) => {
+    const name = typeName.replace(/^\./, '');
+    return packageDefinition[name] ? name : `${scope.split('.').slice(0, -1).join('.')}.${name}`;
+  };
+
+  const fieldsOf = (typeName) => packageDefinition[typeName].type.field;
+
+  const findField = (typeName, name) => (FORBIDDEN_KEYS.includes(name)
+    ? undefined
+    : fieldsOf(typeName).find(field => field.name === name || jsonName(field) === name));
+
+  /**
+   * Fields along a dotted path ("a.b"): [{ field, typeName }], or null when a
+   * segment is not a field (or goes through a repeated or scalar field)
+   */
+  const resolveFieldPath = (typeName, fieldPath) => {
+    const steps = [];
+    let type = typeName;
+    for (const key of fieldPath.split('.')) {
+      if (!type) return null;
+      const field = findField(type, key);
+      if (!field) return null;
+      steps.push({ key, field });
+      type = field.type === 'TYPE_MESSAGE' && !isRepeated(field) ? resolveType(field.typeName, type) : null;
+    }
+    return steps;
+  };
+
+  const enumValues = (typeName) => packageDefinition[typeName].type.value.map(value => value.name);
+
+  // ==========================================================================
+  // JSON → REQUEST MESSAGE
+  // ==========================================================================
+
+  /**
+   * One JSON value → field value; pushes { code, message } problems to errors
+   * Strings from the URL may also spell numbers and booleans.
+   */
+  const readValue = (field, raw, scope, context) => {
+    const fail = (code, message) => {
+      context.errors.push({ field: context.path, in: context.location, code, message: `${context.path} ${message}` });
+      return undefined;
+    };
+    const fromUrl = context.location !== 'body';
+
+    if (field.type === 'TYPE_MESSAGE') {
+      if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return fail('INVALID_TYPE', 'must be an object');
+      return readMessage(resolveType(field.typeName, scope), raw, context);
+    }
+    if (field.type === 'TYPE_STRING') {
+      return typeof raw === 'string' ? raw : fail('INVALID_TYPE', 'must be a string');
+    }
+    if (field.type === 'TYPE_BOOL') {
+      if (typeof raw === 'boolean') return raw;
+      if (fromUrl && (raw === 'true' || raw === 'false')) return raw === 'true';
+      return fail('INVALID_TYPE', 'must be true or false');
+    }
+    if (field.type === 'TYPE_BYTES') {
+      if (typeof raw !== 'string' || !BASE64_PATTERN.test(raw)) return fail('INVALID_TYPE', 'must be base64');
+      return Buffer.from(raw, 'base64');
+    }
+    if (field.type === 'TYPE_ENUM') {
+      const names = enumValues(resolveType(field.typeName, scope));
+      if (typeof raw === 'string' && names.includes(raw)) return raw;
+      return fail('INVALID_VALUE', `must be one of: ${names.join(', ')}`);
+    }
+    if (FLOAT_TYPES.includes(field.type)) {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      return typeof value === 'number' && Number.isFinite(value) ? value : fail('INVALID_TYPE', 'must be a number');
+    }
+
+    if (![...INT32_TYPES, ...UINT32_TYPES, ...INT64_TYPES, ...UINT64_TYPES].includes(field.type)) {
+      throw new Error(`Unknown field type ${field.type} for ${field.name}`);
+    }
+
+    // Integers: numbers, or strings of digits (the proto3 JSON form of 64-bit values)
+    const text = typeof raw === 'number' || typeof raw === 'string' ? String(raw).trim() : '';
+    if (!INTEGER_PATTERN.test(text)) return fail('INVALID_TYPE', 'must be an integer');
+    if (INT64_TYPES.includes(field.type) || UINT64_TYPES.includes(field.type)) {
+      if (UINT64_TYPES.includes(field.type) && text.startsWith('-')) return fail('OUT_OF_RANGE', 'must not be negative');
+      return BigInt(text).toString();
+    }
+    const value = Number(text);
+    const [min, max] = UINT32_TYPES.includes(field.type) ? [0, 2 ** 32 - 1] : [-(2 ** 31), 2 ** 31 - 1];
+    if (value < min || value > max) return fail('OUT_OF_RANGE', `must be between ${min} and ${max}`);
+    return value;
+  };
+
+  /**
+   * JSON object → message object (snake_case fields, Buffers for bytes)
+   */
+  const readMessage = (typeName, json, context) => {
+    const message = {};
+    for (const [key, raw] of Object.entries(json)) {
+      const location = Object.prototype.hasOwnProperty.call(context.sources, key) ? context.sources[key] : context.location;
+      const path = context.path ? `${context.path}.${key}` : key;
+      const field = findField(typeName, key);
+
+      if (!field) {
+        context.errors.push({ field: path, in: location, code: 'INVALID_ARGUMENT', message: `Unknown field ${path}` });
+        continue;
+      }
+      if (raw === null) continue;
+
+      const fieldContext = { ...context, sources: {}, location, path };
+      if (isRepeated(field)) {
+        // A query parameter given once is a one-item list
+        const items = Array.isArray(raw) ? raw : (location === 'query' ? [raw] : null);
+        if (!items) {
+          context.errors.push({ field: path, in: location, code: 'INVALID_TYPE', message: `${path} must be an array` });
+          continue;
+        }
+        message[field.name] = items.map((item, index) =>
+          readValue(field, item, typeName, { ...fieldContext, path: `${path}[${index}]` }));
+      } else if (Array.isArray(raw)) {
+        context.errors.push({ field: path, in: location, code: 'INVALID_TYPE', message: `${path} must be a single value` });
+      } else {
+        message[field.name] = readValue(field, raw, typeName, fieldContext);
+      }
+    }
+    return message;
+  };
+
+  /**
+   * Set json[a][b] for the field path "a.b"; false when the path is not a field
+   * Only own properties are followed and new objects have no prototype, so a
+   * query key cannot reach Object.prototype.
+   */
+  const assignPath = (typeName, json, fieldPath, value) => {
+    const steps = resolveFieldPath(typeName, fieldPath);
+    if (!steps) return false;
+
+    let target = json;
+    for (const { key } of steps.slice(0, -1)) {
+      const own = Object.prototype.hasOwnProperty.call(target, key);
+      if (!own || target[key] === null || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+        target[key] = Object.create(null);
+      }
+      target = target[key];
+    }
+    target[steps[steps.length - 1].key] = value;
+    return true;
+  };
+
+  /**
+   * Call fn(parent, field) for every field named name, in nested and repeated messages too
+   */
+  const visitFields = (typeName, message, name, fn) => {
+    if (!message) return;
+    for (const field of fieldsOf(typeName)) {
+      if (field.name === name) fn(message, field);
+      if (field.type !== 'TYPE_MESSAGE' || !message[field.name]) continue;
+      const nestedType = resolveType(field.typeName, typeName);
+      const nested = isRepeated(field) ? message[field.name] : [message[field.name]];
+      nested.forEach(item => visitFields(nestedType, item, name, fn));
+    }
+  };
+
+  // ==========================================================================
+  // RESPONSE MESSAGE → JSON
+  // ==========================================================================
+
+  const writeValue = (field, value, scope) => {
+    if (field.type === 'TYPE_MESSAGE') return writeMessage(resolveType(field.typeName, scope), value);
+    if (field.type === 'TYPE_BYTES') return Buffer.isBuffer(value) ? value.toString('base64') : value;
+    // Strings over both transports (the HTTP twin may send numbers)
+    if (INT64_TYPES.includes(field.type) || UINT64_TYPES.includes(field.type)) return String(value);
+    return value;
+  };
+
+  /**
+   * Message object → proto3 JSON (lowerCamelCase, base64 bytes, unset messages left out)
+   */
+  const writeMessage = (typeName, message) => {
+    const json = {};
+    for (const field of fieldsOf(typeName)) {
+      const value = message[field.name];
+      if (value === undefined || value === null) continue;
+      json[jsonName(field)] = isRepeated(field)
+        ? value.map(item => writeValue(field, item, typeName))
+        : writeValue(field, value, typeName);
+    }
+    return json;
+  };
+
+  // ==========================================================================
+  // BINDINGS
+  // ==========================================================================
+
+  /**
+   * HTTP rules of a method: the annotation and its additional_bindings
+   */
+  const httpRules = (options) => {
+    const rule = options && options['(google.api.http)'];
+    if (!rule) return [];
+    const additional = rule.additional_bindings || [];
+    return [rule, ...(Array.isArray(additional) ? additional : [additional])];
+  };
+
+  const bindings = [];
+  for (const { service, serviceName, packageDefinition: definition } of services) {
+    const methods = protoJson.methodTypes(serviceName);
+
+    for (const [methodName, method] of Object.entries(definition[serviceName])) {
+      const rules = httpRules(method.options);
+      if (rules.length === 0) continue;
+      if (method.requestStream || method.responseStream) {
+        throw new Error(`${serviceName}/${methodName}: streaming RPCs cannot be transcoded`);
+      }
+
+      const { requestType, responseType } = methods[methodName];
+      rules.forEach((rule, index) => {
+        const httpMethod = HTTP_METHODS.find(name => rule[name]);
+        if (!httpMethod) throw new Error(`${serviceName}/${methodName}: HTTP rule needs one of ${HTTP_METHODS.join(', ')}`);
+        const template = rule[httpMethod];
+        const { expressPath, params } = compileTemplate(template, prefix);
+        const badParam = params.find(({ fieldPath }) => !resolveFieldPath(requestType, fieldPath));
+        if (badParam) throw new Error(`${serviceName}/${methodName}: no field "${badParam.fieldPath}" for ${template}`);
+
+        for (const fieldName of [rule.body, rule.response_body]) {
+          if (fieldName && fieldName !== '*' && !findField(fieldName === rule.body ? requestType : responseType, fieldName)) {
+            throw new Error(`${serviceName}/${methodName}: no field "${fieldName}" for ${template}`);
+          }
+        }
+
+        bindings.push({
+          service,
+          serviceName,
+          methodName,
+          requestType,
+          responseType,
+          httpMethod,
+          template,
+          expressPath,
+          params,
+          body: rule.body || null,
+          responseBody: rule.response_body || null,
+          additional: index > 0,
+          // Distinct operation IDs for additional bindings
+          operationId: `${serviceName.split('.').pop()}_${methodName}${index > 0 ? index + 1 : ''}`
+        });
+      });
+    }
+  }
+
+  /**
+   * Request message for an Express request: { message, errors }
+   * errors is [{ field, in, code, message }], empty when the request maps cleanly.
+   */
+  const toRequest = (binding, req) => {
+    const json = Object.create(null);
+    const sources = Object.create(null);
+    const errors = [];
+
+    if (binding.body === '*') {
+      if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        errors.push({ field: '(body)', in: 'body', code: 'INVALID_TYPE', message: 'Body must be a JSON object' });
+      } else {
+        Object.assign(json, req.body);
+      }
+    } else if (binding.body) {
+      json[binding.body] = req.body;
+    }
+
+    for (const [name, value] of Object.entries(req.query)) {
+      if (reservedQuery.includes(name)) continue;
+      // With body: "*" every field is in the body
+      if (binding.body === '*' || !assignPath(binding.requestType, json, name, value)) {
+        errors.push({ field: name, in: 'query', code: 'INVALID_ARGUMENT', message: `Unknown query parameter ${name}` });
+        continue;
+      }
+      sources[name.split('.')[0]] = 'query';
+    }
+    for (const { param, fieldPath } of binding.params) {
+      assignPath(binding.requestType, json, fieldPath, req.params[param]);
+      sources[fieldPath.split('.')[0]] = 'path';
+    }
+
+    const message = readMessage(binding.requestType, json, { errors, sources, location: 'body', path: '' });
+    if (errors.length > 0) return { message: null, errors };
+
+    // Proto3 defaults for missing fields, then the gateway's own values
+    const filled = protoJson.fromJson(binding.requestType, message);
+    for (const [name, valueFor] of Object.entries(serverFields)) {
+      visitFields(binding.requestType, filled, name, (parent) => { parent[name] = valueFor(req); });
+    }
+    return { message: filled, errors };
+  };
+
+  /**
+   * JSON body for a response message (the response_body field when set)
+   */
+  const toResponse = (binding, response) => {
+    if (!binding.responseBody) return writeMessage(binding.responseType, response);
+    const field = findField(binding.responseType, binding.responseBody);
+    const value = response[field.name];
+    return isRepeated(field)
+      ? value.map(item => writeValue(field, item, binding.responseType))
+      : writeValue(field, value, binding.responseType);
+  };
+
+  /**
+   * Every value of the fields named name in a request message (quota accounting)
+   */
+  const fieldValues = (binding, message, name) => {
+    const values = [];
+    visitFields(binding.requestType, message, name, (parent, field) => {
+      values.push(...(isRepeated(field) ? parent[name] : [parent[name]]));
+    });
+    return values;
+  };
+
+  // ==========================================================================
+  // OPENAPI
+  // ==========================================================================
+
+  /**
+   * JSON Schema for one field (message fields are $refs to their component)
+   */
+  const fieldSchema = (field, scope, examples = {}) => {
+    let schema;
+    if (field.type === 'TYPE_MESSAGE') {
+      schema = { $ref: `#/components/schemas/${resolveType(field.typeName, scope)}` };
+    } else if (field.type === 'TYPE_ENUM') {
+      schema = { type: 'string', enum: enumValues(resolveType(field.typeName, scope)) };
+    } else if (field.type === 'TYPE_STRING') {
+      schema = { type: 'string' };
+    } else if (field.type === 'TYPE_BOOL') {
+      schema = { type: 'boolean' };
+    } else if (field.type === 'TYPE_BYTES') {
+      schema = { type: 'string', format: 'byte' };
+    } else if (FLOAT_TYPES.includes(field.type)) {
+      schema = { type: 'number', format: field.type === 'TYPE_FLOAT' ? 'float' : 'double' };
+    } else if (INT64_TYPES.includes(field.type) || UINT64_TYPES.includes(field.type)) {
+      schema = { type: 'string', format: 'int64', pattern: '^-?\\d+$' };
+    } else {
+      schema = { type: 'integer', format: 'int32', minimum: UINT32_TYPES.includes(field.type) ? 0 : undefined };
+    }
+
+    if (serverFields[field.name]) {
+      schema = { ...schema, readOnly: true, description: 'Set by the gateway (any value sent is replaced)' };
+    } else if (examples[jsonName(field)] !== undefined && field.type !== 'TYPE_MESSAGE') {
+      schema = { ...schema, example: examples[jsonName(field)] };
+    }
+    return isRepeated(field) ? { type: 'array', items: schema } : schema;
+  };
+
+  /**
+   * Component schemas for a message type and every message it contains
+   */
+  const collectSchemas = (typeName, schemas, examples) => {
+    if (schemas[typeName]) return;
+    const properties = {};
+    schemas[typeName] = { type: 'object', properties };
+    for (const field of fieldsOf(typeName)) {
+      properties[jsonName(field)] = fieldSchema(field, typeName, examples);
+      if (field.type === 'TYPE_MESSAGE') collectSchemas(resolveType(field.typeName, typeName), schemas, examples);
+    }
+  };
+
+  /**
+   * Routes in ./openapi ROUTES form, with their parameters, request body and
+   * response already described, and the component schemas they refer to
+   *
+   * examples: example values by JSON field name (protos have none)
+   */
+  const toOpenApi = ({ examples = {} } = {}) => {
+    const schemas = {};
+    const routes = bindings.map((binding) => {
+      collectSchemas(binding.requestType, schemas, examples);
+      collectSchemas(binding.responseType, schemas, examples);
+
+      const pathFields = binding.params.map(({ fieldPath }) => fieldPath);
+      const parameters = binding.params.map(({ param, fieldPath }) => {
+        const field = findField(binding.requestType, fieldPath.split('.')[0]);
+        return { name: param, in: 'path', required: true, schema: fieldSchema(field, binding.requestType, examples) };
+      });
+
+      // Without body: "*", top-level scalar fields not in the path are query parameters
+      if (binding.body !== '*') {
+        for (const field of fieldsOf(binding.requestType)) {
+          if (field.name === binding.body || pathFields.includes(field.name) || serverFields[field.name]) continue;
+          if (field.type === 'TYPE_MESSAGE') continue;
+          parameters.push({ name: jsonName(field), in: 'query', schema: fieldSchema(field, binding.requestType, examples) });
+        }
+      }
+
+      let requestBody;
+      if (binding.body) {
+        const schema = binding.body === '*'
+          ? { $ref: `#/components/schemas/${binding.requestType}` }
+          : fieldSchema(findField(binding.requestType, binding.body), binding.requestType);
+        requestBody = { required: true, content: { 'application/json': { schema } } };
+      }
+
+      const responseSchema = binding.responseBody
+        ? fieldSchema(findField(binding.responseType, binding.responseBody), binding.responseType)
+        : { $ref: `#/components/schemas/${binding.responseType}` };
+
+      return {
+        service: binding.service,
+        method: binding.httpMethod,
+        path: binding.expressPath,
+        operationId: binding.operationId,
+        summary: `${binding.serviceName}/${binding.methodName}${binding.additional ? ` (${binding.httpMethod.toUpperCase()})` : ''}`,
+        description: `Transcoded from the google.api.http annotation "${binding.httpMethod.toUpperCase()} ${binding.template}"${binding.body ? ` (body: ${binding.body})` : ''}.`,
+        parameters,
+        requestBody,
+        responses: { 200: { description: binding.responseType, content: { 'application/json': { schema: responseSchema } } } }
+      };
+    });
+    return { routes, schemas };
+  };
+
+  return { bindings, toRequest, toResponse, fieldValues, toOpenApi };
+}
+
+module.exports = { createTranscoder };
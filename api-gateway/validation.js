@@ -0,0 +1,254 @@
+/**
+ * Request Validation
+ * ==================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Declarative schemas for route bodies, query strings and path params.
+ * A schema maps each field to a rule:
+ *
+ *   {
+ *     text:           { type: 'text', required: true },
+ *     sourceLanguage: { type: 'language', default: 'en' },
+ *     limit:          { type: 'integer', min: 1, max: 500, default: 50 }
+ *   }
+ *
+ * Types:
+ *   string    optional minLength, maxLength, pattern (+ message), values;
+ *             trimmed unless trim: false
+ *   text      a string of at most maxTextLength characters (TEXT_TOO_LONG)
+ *   integer   optional min, max, values; "42" is accepted (query strings, forms)
+ *   language  a code the translation service supports (UNSUPPORTED_LANGUAGE)
+ *   array     optional minLength, maxLength; items (the elements' schema) is
+ *             only documented, the route checks each element itself
+ *
+ * Rules may also have an example, used by the OpenAPI document (see
+ * toJsonSchema and ./openapi).
+ * Missing fields (undefined, null or blank strings) get their default, or
+ * MISSING_FIELD when required. Valid values replace the raw ones in
+ * req.body / req.query / req.params (coerced, trimmed, defaults filled in);
+ * fields without a rule are left as they are.
+ *
+ * Usage:
+ *   const validator = createValidator({ maxTextLength: 5000, supportedLanguages: () => ['en', 'es'] });
+ *   app.post('/api/messages/text', validator.validate({ body: schemas.textMessage }), handler);
+ */
+
+const { sendError } = require('./errors');
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+const isMissing = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Create a validator
+ *
+ * maxTextLength:      longest text accepted for translation
+ * supportedLanguages: () => language codes, or null while the list is not known
+ *                     (every code is accepted then; the service still checks)
+ */
+function createValidator({ maxTextLength, supportedLanguages }) {
+  /**
+   * Check one present value against its rule: { value } or { code, message }
+   */
+  const checkValue = (name, rule, raw) => {
+    switch (rule.type) {
+      case 'integer': {
+        const text = String(raw).trim();
+        if (typeof raw === 'object' || !INTEGER_PATTERN.test(text)) {
+          return { code: 'INVALID_TYPE', message: `${name} must be an integer` };
+        }
+        const value = parseInt(text);
+        if (rule.min !== undefined && value < rule.min) {
+          return { code: 'OUT_OF_RANGE', message: `${name} must be at least ${rule.min}` };
+        }
+        if (rule.max !== undefined && value > rule.max) {
+          return { code: 'OUT_OF_RANGE', message: `${name} must be at most ${rule.max}` };
+        }
+        return { value };
+      }
+
+      case 'array': {
+        if (!Array.isArray(raw)) {
+          return { code: 'INVALID_TYPE', message: `${name} must be an array` };
+        }
+        if (rule.minLength !== undefined && raw.length < rule.minLength) {
+          return { code: 'VALUE_TOO_SHORT', message: `${name} must contain at least ${rule.minLength} item(s)` };
+        }
+        if (rule.maxLength !== undefined && raw.length > rule.maxLength) {
+          return { code: 'VALUE_TOO_LONG', message: `${name} can contain at most ${rule.maxLength} items` };
+        }
+        return { value: raw };
+      }
+
+      case 'language': {
+        if (typeof raw !== 'string') {
+          return { code: 'INVALID_TYPE', message: `${name} must be a language code` };
+        }
+        const value = raw.trim().toLowerCase();
+        const codes = supportedLanguages();
+        if (codes && !codes.includes(value)) {
+          return {
+            code: 'UNSUPPORTED_LANGUAGE',
+            message: `${name} "${value}" is not supported (supported: ${codes.join(', ')})`
+          };
+        }
+        return { value };
+      }
+
+      case 'text':
+      case 'string': {
+        if (typeof raw !== 'string') {
+          return { code: 'INVALID_TYPE', message: `${name} must be a string` };
+        }
+        // Text is translated as sent
+        const value = rule.type === 'text' || rule.trim === false ? raw : raw.trim();
+        const maxLength = rule.type === 'text' ? maxTextLength : rule.maxLength;
+        if (maxLength !== undefined && value.length > maxLength) {
+          return {
+            code: rule.type === 'text' ? 'TEXT_TOO_LONG' : 'VALUE_TOO_LONG',
+            message: `${name} must be at most ${maxLength} characters (got ${value.length})`
+          };
+        }
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+          return { code: 'VALUE_TOO_SHORT', message: `${name} must be at least ${rule.minLength} characters` };
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+          return { code: 'INVALID_FORMAT', message: rule.message || `${name} has an invalid format` };
+        }
+        return { value };
+      }
+
+      default:
+        throw new Error(`Unknown schema type "${rule.type}" for ${name}`);
+    }
+  };
+
+  /**
+   * Check an object against a schema
+   * Returns { value, errors }: value has the coerced fields, errors is
+   * [{ field, in, code, message }] (empty when valid).
+   */
+  const check = (schema, input, location = 'body') => {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(schema)) {
+      const raw = source[name];
+
+      if (isMissing(raw)) {
+        if (rule.required) {
+          errors.push({ field: name, in: location, code: 'MISSING_FIELD', message: `${name} is required` });
+        } else if (rule.default !== undefined) {
+          value[name] = rule.default;
+        }
+        continue;
+      }
+
+      const result = checkValue(name, rule, raw);
+      if (!result.code && rule.values && !rule.values.includes(result.value)) {
+        Object.assign(result, { code: 'INVALID_VALUE', message: `${name} must be one of: ${rule.values.join(', ')}` });
+      }
+      if (result.code) {
+        errors.push({ field: name, in: location, code: result.code, message: result.message });
+      } else {
+        value[name] = result.value;
+      }
+    }
+
+    return { value, errors };
+  };
+
+  /**
+   * Express middleware for { body, query, params } schemas
+   * Replies 400 with every problem in fields; the first problem's code is the
+   * response code.
+   */
+  const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+      const result = check(schemas[location], req[location], location);
+      errors.push(...result.errors);
+      req[location] = { ...req[location], ...result.value };
+    }
+
+    if (errors.length > 0) {
+      req.log.debug('Request validation failed', { fields: errors.map(error => `${error.field}:${error.code}`).join(',') });
+      return sendError(res, errors[0].code, errors.map(error => error.message).join('; '), { fields: errors });
+    }
+    next();
+  };
+
+  /**
+   * JSON Schema (OpenAPI 3.0 flavour) for one rule
+   */
+  const ruleToJsonSchema = (rule) => {
+    const json = {};
+    switch (rule.type) {
+      case 'integer':
+        Object.assign(json, { type: 'integer', minimum: rule.min, maximum: rule.max });
+        break;
+      case 'array':
+        Object.assign(json, {
+          type: 'array',
+          minItems: rule.minLength,
+          maxItems: rule.maxLength,
+          items: rule.items ? toJsonSchema(rule.items) : {}
+        });
+        break;
+      case 'language':
+        Object.assign(json, { type: 'string', enum: supportedLanguages() || undefined });
+        break;
+      case 'text':
+        Object.assign(json, { type: 'string', maxLength: maxTextLength });
+        break;
+      default:
+        // JSON Schema patterns have no flags: a case-insensitive pattern is only described
+        Object.assign(json, {
+          type: 'string',
+          minLength: rule.minLength,
+          maxLength: rule.maxLength,
+          pattern: rule.pattern && !rule.pattern.flags ? rule.pattern.source : undefined
+        });
+    }
+    Object.assign(json, {
+      enum: rule.values || json.enum,
+      default: rule.default,
+      example: rule.example,
+      description: rule.message || rule.description
+    });
+
+    // Drop unset keywords
+    return Object.fromEntries(Object.entries(json).filter(([, value]) => value !== undefined));
+  };
+
+  /**
+   * JSON Schema for an object schema (a request body)
+   */
+  const toJsonSchema = (schema) => {
+    const properties = {};
+    const required = [];
+    for (const [name, rule] of Object.entries(schema)) {
+      properties[name] = ruleToJsonSchema(rule);
+      if (rule.required) required.push(name);
+    }
+    return required.length > 0 ? { type: 'object', required, properties } : { type: 'object', properties };
+  };
+
+  /**
+   * OpenAPI parameters for a query or path schema
+   */
+  const toParameters = (schema, location) => Object.entries(schema).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(rule.required),
+    schema: ruleToJsonSchema(rule)
+  }));
+
+  return { check, validate, toJsonSchema, toParameters };
+}
+
+module.exports = { createValidator };
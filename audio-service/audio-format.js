@@ -0,0 +1,354 @@
+/**
+ * Audio Format Detection
+ * ======================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Reads real container headers instead of guessing from the byte length.
+ *
+ * SUPPORTED:
+ * - WAV  (RIFF/WAVE "fmt " and "data" chunks)
+ * - MP3  (optional ID3v2 tag + MPEG audio frame headers)
+ * - OGG  (Vorbis / Opus identification header + last page granule position)
+ * - FLAC ("fLaC" STREAMINFO metadata block)
+ *
+ * Unrecognised or truncated input throws an AudioFormatError. A WAV whose
+ * sizes were never patched (recorders that stream write 0 or 0xFFFFFFFF) is
+ * read to the end of the buffer instead.
+ */
+
+/**
+ * Error thrown for audio data that cannot be parsed
+ */
+class AudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AudioFormatError';
+  }
+}
+
+// ============================================================================
+// WAV (RIFF/WAVE)
+// ============================================================================
+
+/**
+ * Whether a complete chunk (printable 4-character id, payload inside the
+ * buffer) starts at offset
+ */
+function isWavChunk(buffer, offset) {
+  if (offset + 8 > buffer.length) return false;
+  for (let i = offset; i < offset + 4; i++) {
+    if (buffer[i] < 0x20 || buffer[i] > 0x7e) return false;
+  }
+  return offset + 8 + buffer.readUInt32LE(offset + 4) <= buffer.length;
+}
+
+// Sizes a streaming recorder leaves in place when it never seeks back
+const isPlaceholderSize = (size) => size === 0 || size === 0xffffffff;
+
+function parseWav(buffer) {
+  if (buffer.length < 12) {
+    throw new AudioFormatError('Truncated WAV: RIFF header is incomplete');
+  }
+
+  const riffUnpatched = isPlaceholderSize(buffer.readUInt32LE(4));
+
+  let fmt = null;
+  let dataSize = null;
+  let offset = 12;
+
+  // Walk the RIFF chunks: 4-byte id, 4-byte little-endian size, payload (padded to even)
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      if (size < 16 || body + 16 > buffer.length) {
+        throw new AudioFormatError('Truncated WAV: "fmt " chunk is incomplete');
+      }
+      fmt = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitDepth: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Unpatched: 0xFFFFFFFF, 0 followed by samples rather than a chunk, or any
+      // size past the end when the RIFF size is a placeholder too. The data
+      // then runs to the end of the buffer (it is the last chunk).
+      const pastEnd = body + size > buffer.length;
+      const unpatched = size === 0xffffffff || (pastEnd && riffUnpatched) ||
+        (size === 0 && body < buffer.length && !isWavChunk(buffer, body));
+      if (unpatched) {
+        dataSize = buffer.length - body;
+        break;
+      }
+      if (pastEnd) {
+        throw new AudioFormatError(
+          `Truncated WAV: "data" chunk declares ${size} bytes but only ${buffer.length - body} are present`
+        );
+      }
+      dataSize = size;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt) {
+    throw new AudioFormatError('Invalid WAV: missing "fmt " chunk');
+  }
+  if (dataSize === null) {
+    throw new AudioFormatError('Invalid WAV: missing "data" chunk');
+  }
+  if (!fmt.channels || !fmt.sampleRate) {
+    throw new AudioFormatError('Invalid WAV: "fmt " chunk has zero channels or sample rate');
+  }
+
+  const byteRate = fmt.byteRate || fmt.sampleRate * fmt.channels * (fmt.bitDepth / 8);
+
+  return {
+    format: 'wav',
+    duration_ms: byteRate ? Math.round(dataSize / byteRate * 1000) : 0,
+    sample_rate: fmt.sampleRate,
+    channels: fmt.channels,
+    bit_depth: fmt.bitDepth
+  };
+}
+
+// ============================================================================
+// MP3 (MPEG audio frames)
+// ============================================================================
+
+// Bitrates in kbps indexed by [version][layer][index]; version 1 = MPEG-1, 2 = MPEG-2/2.5
+const MP3_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// Sample rates indexed by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+/**
+ * Decode the 4-byte MPEG frame header at offset, or return null
+ */
+function readMp3Frame(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[version][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && version === 2 ? 576 : 1152;
+    length = Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+  }
+
+  return {
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    samples,
+    length
+  };
+}
+
+function parseMp3(buffer) {
+  let offset = 0;
+
+  // Skip an ID3v2 tag (size is a 28-bit "syncsafe" integer)
+  if (buffer.toString('ascii', 0, 3) === 'ID3') {
+    if (buffer.length < 10) {
+      throw new AudioFormatError('Truncated MP3: ID3 tag header is incomplete');
+    }
+    const tagSize = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) |
+      ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    offset = 10 + tagSize + (hasFooter ? 10 : 0);
+  }
+
+  // Find the first valid frame
+  let first = null;
+  while (offset + 4 <= buffer.length) {
+    first = readMp3Frame(buffer, offset);
+    if (first) break;
+    offset++;
+  }
+
+  if (!first) {
+    throw new AudioFormatError('Invalid MP3: no MPEG audio frame header found');
+  }
+
+  // Count consecutive frames to get an exact duration (works for VBR too)
+  let totalSamples = 0;
+  let frame = first;
+  while (frame && offset + frame.length <= buffer.length) {
+    totalSamples += frame.samples;
+    offset += frame.length;
+    frame = readMp3Frame(buffer, offset);
+  }
+
+  if (totalSamples === 0) {
+    throw new AudioFormatError('Truncated MP3: first audio frame is incomplete');
+  }
+
+  return {
+    format: 'mp3',
+    duration_ms: Math.round(totalSamples / first.sampleRate * 1000),
+    sample_rate: first.sampleRate,
+    channels: first.channels,
+    bit_depth: 0 // compressed, no fixed bit depth
+  };
+}
+
+// ============================================================================
+// OGG (Vorbis / Opus)
+// ============================================================================
+
+function parseOgg(buffer) {
+  if (buffer.length < 27) {
+    throw new AudioFormatError('Truncated OGG: first page header is incomplete');
+  }
+
+  // First page: 27-byte header, segment table, then the identification packet
+  const segmentCount = buffer[26];
+  const packet = 27 + segmentCount;
+  if (packet + 19 > buffer.length) {
+    throw new AudioFormatError('Truncated OGG: identification header is incomplete');
+  }
+
+  let sampleRate;
+  let channels;
+  let preSkip = 0;
+  let granuleRate;
+
+  if (buffer[packet] === 0x01 && buffer.toString('ascii', packet + 1, packet + 7) === 'vorbis') {
+    channels = buffer[packet + 11];
+    sampleRate = buffer.readUInt32LE(packet + 12);
+    granuleRate = sampleRate;
+  } else if (buffer.toString('ascii', packet, packet + 8) === 'OpusHead') {
+    channels = buffer[packet + 9];
+    preSkip = buffer.readUInt16LE(packet + 10);
+    sampleRate = buffer.readUInt32LE(packet + 12) || 48000;
+    granuleRate = 48000; // Opus granule positions always count 48kHz samples
+  } else {
+    throw new AudioFormatError('Unsupported OGG codec (expected Vorbis or Opus)');
+  }
+
+  // Duration comes from the granule position of the last page
+  let durationMs = 0;
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (lastPage > 0 && lastPage + 14 <= buffer.length) {
+    const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+    if (granule > preSkip) {
+      durationMs = Math.round((granule - preSkip) / granuleRate * 1000);
+    }
+  }
+
+  return {
+    format: 'ogg',
+    duration_ms: durationMs,
+    sample_rate: sampleRate,
+    channels,
+    bit_depth: 0 // compressed, no fixed bit depth
+  };
+}
+
+// ============================================================================
+// FLAC
+// ============================================================================
+
+function parseFlac(buffer) {
+  // "fLaC" + 4-byte metadata block header + 34-byte STREAMINFO
+  if (buffer.length < 42) {
+    throw new AudioFormatError('Truncated FLAC: STREAMINFO block is incomplete');
+  }
+  if ((buffer[4] & 0x7F) !== 0) {
+    throw new AudioFormatError('Invalid FLAC: first metadata block is not STREAMINFO');
+  }
+
+  const info = 8;
+  // Bits: sample rate (20) | channels - 1 (3) | bits per sample - 1 (5) | total samples (36)
+  const sampleRate = (buffer[info + 10] << 12) | (buffer[info + 11] << 4) | (buffer[info + 12] >> 4);
+  const channels = ((buffer[info + 12] >> 1) & 0x07) + 1;
+  const bitDepth = (((buffer[info + 12] & 0x01) << 4) | (buffer[info + 13] >> 4)) + 1;
+  const totalSamples = (buffer[info + 13] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(info + 14);
+
+  if (!sampleRate) {
+    throw new AudioFormatError('Invalid FLAC: STREAMINFO has zero sample rate');
+  }
+
+  return {
+    format: 'flac',
+    duration_ms: Math.round(totalSamples / sampleRate * 1000),
+    sample_rate: sampleRate,
+    channels,
+    bit_depth: bitDepth
+  };
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Detect the container format and read its audio properties
+ * Returns { format, duration_ms, sample_rate, channels, bit_depth, size_bytes }
+ */
+function parseAudioInfo(buffer) {
+  if (!buffer || buffer.length < 4) {
+    throw new AudioFormatError('Audio data is empty or too short to identify');
+  }
+
+  const magic = buffer.toString('ascii', 0, 4);
+  let info;
+
+  if (magic === 'RIFF') {
+    if (buffer.length < 12 || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new AudioFormatError('Unsupported RIFF file (expected WAVE)');
+    }
+    info = parseWav(buffer);
+  } else if (magic === 'OggS') {
+    info = parseOgg(buffer);
+  } else if (magic === 'fLaC') {
+    info = parseFlac(buffer);
+  } else if (magic.startsWith('ID3') || readMp3Frame(buffer, 0)) {
+    info = parseMp3(buffer);
+  } else {
+    throw new AudioFormatError('Unrecognised audio format (expected WAV, MP3, OGG or FLAC)');
+  }
+
+  return { ...info, size_bytes: buffer.length };
+}
+
+module.exports = { parseAudioInfo, AudioFormatError };
@@ -16,30 +16,122 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
+const { createHttpTwin } = require('../shared/http-twin');
+const { createRegistry, createMetricsServer } = require('../shared/prometheus');
+const { createRpcMetrics } = require('../shared/rpc-metrics');
+const { traceHandlers } = require('../shared/tracing');
+const { createLogger } = require('../shared/logger');
+const { createHealthService } = require('../shared/health');
+const { startRegistration } = require('../shared/registration');
+const { parseAudioInfo, AudioFormatError } = require('./audio-format');
+const { createWav, SUPPORTED_BIT_DEPTHS } = require('./wav-writer');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 const PORT = process.env.AUDIO_PORT || 50052;
+const HTTP_PORT = process.env.AUDIO_HTTP_PORT || 8052; // HTTP/JSON twin, for REST vs gRPC comparisons
+const METRICS_PORT = process.env.AUDIO_METRICS_PORT || 9052; // Prometheus /metrics
 const PROTO_PATH = path.join(__dirname, '../proto/audio.proto');
+const HEALTH_PROTO_PATH = path.join(__dirname, '../proto/health.proto');
+const REGISTRY_PROTO_PATH = path.join(__dirname, '../proto/registry.proto');
+const REGISTRY_URL = process.env.REGISTRY_URL; // optional: register with the service registry
+const SERVICE_HOST = process.env.SERVICE_HOST || 'localhost'; // host the gateway should dial
+// Largest gRPC message either way: the gateway's 50MB audio limit plus 1MB for
+// the other fields (grpc-js servers otherwise refuse anything over 4MB)
+const MAX_MESSAGE_BYTES = 51 * 1024 * 1024;
+
+// LOG_LEVEL, LOG_FORMAT and LOG_REDACT (see shared/logger.js)
+const logger = createLogger({ service: 'audio-service' });
 
 // ============================================================================
 // LOAD PROTO DEFINITION
 // ============================================================================
-const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+const protoOptions = {
   keepCase: true,
   longs: String,
   enums: String,
   defaults: true,
-  oneofs: true
-});
+  oneofs: true,
+  includeDirs: [path.join(__dirname, '../proto')] // google/api/annotations.proto
+};
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, protoOptions);
 
 const audioProto = grpc.loadPackageDefinition(packageDefinition).audio;
 
+// Standard gRPC health checking (grpc.health.v1)
+const healthProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(HEALTH_PROTO_PATH, protoOptions)
+).grpc.health.v1;
+
+// Service registry (registry-service), used when REGISTRY_URL is set
+const registryProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(REGISTRY_PROTO_PATH, protoOptions)
+).registry;
+
 // ============================================================================
 // DUMMY AUDIO GENERATION (No real audio processing as per exam requirements)
 // ============================================================================
 
+// Output duration limits for synthetic audio
+const MIN_OUTPUT_MS = 1000;
+const MAX_OUTPUT_MS = 60000;
+
+// Output format limits (the gateway checks the same ranges)
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 192000;
+const MAX_CHANNELS = 8;
+
+// Largest synthesized file: what the gateway accepts, so high rates and many
+// channels get a shorter clip instead of hundreds of MB
+const MAX_OUTPUT_BYTES = parseInt(process.env.AUDIO_MAX_OUTPUT_BYTES) || MAX_MESSAGE_BYTES;
+const WAV_HEADER_ALLOWANCE = 1024; // RIFF, fmt and LIST/INFO chunks
+
+// Each tone segment alternates between the source and target language tone
+const SEGMENT_MS = 250;
+
+/**
+ * Map a language code to a stable tone frequency (220Hz - 880Hz)
+ */
+function languageFrequency(code) {
+  let hash = 0;
+  for (const char of String(code || '')) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 1000003;
+  }
+  return 220 * Math.pow(2, (hash % 25) / 12);
+}
+
+/**
+ * Check a request's output format (0 = unset, the default is used)
+ * Returns an error message, or null when the format is acceptable.
+ */
+function checkOutputFormat({ sampleRate, channels, bitDepth }) {
+  if (sampleRate && (sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE)) {
+    return `sample_rate must be between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE}`;
+  }
+  if (channels && (channels < 1 || channels > MAX_CHANNELS)) {
+    return `channels must be between 1 and ${MAX_CHANNELS}`;
+  }
+  if (bitDepth && !SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+    return `bit_depth must be one of: ${SUPPORTED_BIT_DEPTHS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Work out how long the original recording is
+ * Uses the real header when it can be parsed, otherwise assumes raw PCM in
+ * the requested format.
+ */
+function estimateDurationMs(originalAudio, { sampleRate, channels, bitDepth }) {
+  try {
+    return parseAudioInfo(originalAudio).duration_ms;
+  } catch (error) {
+    const byteRate = sampleRate * channels * (bitDepth / 8);
+    return Math.round(originalAudio.length / byteRate * 1000);
+  }
+}
+
 /**
  * Generate dummy "translated" audio data
  * In a real system, this would involve:
@@ -47,27 +139,52 @@ const audioProto = grpc.loadPackageDefinition(packageDefinition).audio;
  * 2. Text translation
  * 3. Text-to-speech in target language
  * 
- * For this exam, we generate dummy binary data with language markers
+ * For this exam, we synthesize a playable PCM WAV file:
+ * - RIFF header matches the requested sample rate / channels / bit depth
+ * - Content alternates two tones derived from the language pair, so the
+ *   same pair and duration always produce the same bytes
+ * - Language metadata is carried in a LIST/INFO chunk, not in the samples
+ * - At most MAX_OUTPUT_BYTES: the clip is shortened to fit
+ *
+ * The format must have passed checkOutputFormat().
  */
-function generateTranslatedAudio(originalAudio, sourceLang, targetLang) {
+function generateTranslatedAudio(originalAudio, sourceLang, targetLang, format = {}) {
   const startTime = Date.now();
   
-  // Create a header indicating the "translation"
-  const header = Buffer.from(`TRANSLATED_AUDIO:${sourceLang}->${targetLang}|`);
-  
-  // Generate dummy audio data (simulated processed audio)
-  // In reality, this would be actual translated speech audio
-  const dummyAudioSize = Math.max(originalAudio.length, 1024);
-  const dummyAudio = Buffer.alloc(dummyAudioSize);
+  const sampleRate = format.sampleRate || 44100;
+  const channels = format.channels || 1;
+  const bitDepth = format.bitDepth || 16;
   
-  // Fill with pattern to simulate audio waveform
-  for (let i = 0; i < dummyAudioSize; i++) {
-    // Create a simple wave pattern
-    dummyAudio[i] = Math.floor(128 + 127 * Math.sin(i * 0.01));
-  }
+  const durationMs = Math.min(
+    MAX_OUTPUT_MS,
+    Math.max(MIN_OUTPUT_MS, estimateDurationMs(originalAudio, { sampleRate, channels, bitDepth }))
+  );
+  const maxDataBytes = MAX_OUTPUT_BYTES - WAV_HEADER_ALLOWANCE;
+  const frameCount = Math.min(
+    Math.round(sampleRate * durationMs / 1000),
+    Math.floor(maxDataBytes / (channels * bitDepth / 8))
+  );
+  const segmentFrames = Math.round(sampleRate * SEGMENT_MS / 1000);
+  const tones = [languageFrequency(sourceLang), languageFrequency(targetLang)];
   
-  // Combine header with dummy audio
-  const result = Buffer.concat([header, dummyAudio]);
+  const result = createWav({
+    sampleRate,
+    channels,
+    bitDepth,
+    frameCount,
+    maxDataBytes,
+    sampleAt: (frame) => {
+      const segment = Math.floor(frame / segmentFrames);
+      const position = (frame % segmentFrames) / segmentFrames;
+      const envelope = Math.sin(Math.PI * position); // fade in/out, no clicks
+      return 0.5 * envelope * Math.sin(2 * Math.PI * tones[segment % 2] * frame / sampleRate);
+    },
+    info: {
+      INAM: `Translated audio ${sourceLang}->${targetLang}`,
+      ICMT: `source_language=${sourceLang};target_language=${targetLang}`,
+      ISFT: 'PDC Audio Processing Service'
+    }
+  });
   
   const processingTime = Date.now() - startTime;
   
@@ -79,20 +196,6 @@ function generateTranslatedAudio(originalAudio, sourceLang, targetLang) {
   };
 }
 
-/**
- * Analyze audio data (dummy implementation)
- */
-function analyzeAudio(audioData) {
-  return {
-    format: 'wav',
-    duration_ms: Math.floor(audioData.length / 44.1), // Rough estimate at 44.1kHz
-    sample_rate: 44100,
-    channels: 2,
-    bit_depth: 16,
-    size_bytes: audioData.length
-  };
-}
-
 // ============================================================================
 // gRPC SERVICE IMPLEMENTATIONS
 // ============================================================================
@@ -109,17 +212,28 @@ function analyzeAudio(audioData) {
 function handleProcessAudio(call, callback) {
   const startTime = Date.now();
   const request = call.request;
+  const format = {
+    sampleRate: request.sample_rate,
+    channels: request.channels,
+    bitDepth: request.bit_depth
+  };
+  
+  call.log.debug('ProcessAudio received', {
+    userId: request.user_id,
+    audioFormat: request.audio_format,
+    sourceLanguage: request.source_language,
+    targetLanguage: request.target_language,
+    audioBytes: request.audio_data.length,
+    sampleRate: request.sample_rate || undefined,
+    channels: request.channels || undefined,
+    bitDepth: request.bit_depth || undefined
+  });
   
-  console.log('\n' + '='.repeat(60));
-  console.log('[AUDIO SERVICE] Received ProcessAudio Request');
-  console.log('='.repeat(60));
-  console.log(`  User ID: ${request.user_id}`);
-  console.log(`  Audio Format: ${request.audio_format}`);
-  console.log(`  Source Language: ${request.source_language}`);
-  console.log(`  Target Language: ${request.target_language}`);
-  console.log(`  Audio Size: ${request.audio_data.length} bytes`);
-  console.log(`  Sample Rate: ${request.sample_rate || 'not specified'}`);
-  console.log(`  Channels: ${request.channels || 'not specified'}`);
+  const formatError = checkOutputFormat(format);
+  if (formatError) {
+    call.log.warn('ProcessAudio rejected', { reason: formatError });
+    return callback({ code: grpc.status.INVALID_ARGUMENT, message: formatError });
+  }
   
   try {
     // Process audio (dummy translation)
@@ -131,12 +245,13 @@ function handleProcessAudio(call, callback) {
     } = generateTranslatedAudio(
       request.audio_data,
       request.source_language,
-      request.target_language
+      request.target_language,
+      format
     );
     
     const response = {
       translated_audio: translatedAudio,
-      audio_format: request.audio_format || 'wav',
+      audio_format: 'wav',
       source_language: request.source_language,
       target_language: request.target_language,
       success: true,
@@ -146,15 +261,15 @@ function handleProcessAudio(call, callback) {
       processed_size: processedSize
     };
     
-    console.log('\n  [RESULT]');
-    console.log(`    Original Size: ${originalSize} bytes`);
-    console.log(`    Processed Size: ${processedSize} bytes`);
-    console.log(`    Processing Time: ${response.processing_time_ms}ms`);
-    console.log('='.repeat(60) + '\n');
+    call.log.info('ProcessAudio complete', {
+      originalBytes: originalSize,
+      processedBytes: processedSize,
+      processingTimeMs: response.processing_time_ms
+    });
     
     callback(null, response);
   } catch (error) {
-    console.error(`  [ERROR] Audio processing failed: ${error.message}`);
+    call.log.error('ProcessAudio failed', { error });
     callback(null, {
       translated_audio: Buffer.alloc(0),
       audio_format: request.audio_format,
@@ -169,43 +284,157 @@ function handleProcessAudio(call, callback) {
   }
 }
 
+/**
+ * Find problems in a finished stream's chunk indexes
+ * Returns an error message, or null when chunks 0..lastIndex are all present.
+ */
+function findStreamGaps(chunks, lastIndex) {
+  if (lastIndex === -1) {
+    return 'Stream ended without a chunk marked is_last';
+  }
+  
+  const missing = [];
+  for (let i = 0; i <= lastIndex; i++) {
+    if (!chunks.has(i)) missing.push(i);
+  }
+  
+  if (missing.length > 0) {
+    const shown = missing.slice(0, 10).join(', ');
+    const more = missing.length > 10 ? ` (+${missing.length - 10} more)` : '';
+    return `Missing chunk(s): ${shown}${more} of ${lastIndex + 1}`;
+  }
+  
+  return null;
+}
+
 /**
  * ProcessAudioStream - Streaming audio processing RPC
  * Handles large audio files by receiving chunks
+ * 
+ * - Metadata (language, format, sample rate, channels) comes from chunk 0
+ * - Chunks are reassembled by chunk_index, so arrival order does not matter
+ * - Duplicate indexes, chunks after is_last, gaps and a missing is_last are
+ *   reported as a failed AudioResponse with an explanatory error_message,
+ *   as is an out-of-range output format
  */
 function handleProcessAudioStream(call, callback) {
   const startTime = Date.now();
-  const chunks = [];
-  let userId = '';
-  let targetLanguage = '';
+  const chunks = new Map(); // chunk_index -> data
+  let metadata = null;
+  let lastIndex = -1;
+  let receivedBytes = 0;
+  let streamError = null;
   
-  console.log('\n' + '='.repeat(60));
-  console.log('[AUDIO SERVICE] Receiving Audio Stream');
-  console.log('='.repeat(60));
+  call.log.debug('ProcessAudioStream started');
   
   call.on('data', (chunk) => {
-    console.log(`  Received chunk ${chunk.chunk_index}, size: ${chunk.data.length} bytes`);
-    chunks.push(chunk.data);
-    userId = chunk.user_id || userId;
-    targetLanguage = chunk.target_language || targetLanguage;
+    if (streamError) return;
+    
+    const index = chunk.chunk_index;
+    call.log.debug('Chunk received', { chunkIndex: index, bytes: chunk.data.length, isLast: chunk.is_last });
+    
+    if (index < 0) {
+      streamError = `Invalid chunk index ${index}`;
+    } else if (chunks.has(index)) {
+      streamError = `Duplicate chunk ${index}`;
+    } else if (lastIndex !== -1 && index > lastIndex) {
+      streamError = `Chunk ${index} received after last chunk ${lastIndex}`;
+    } else if (chunk.is_last && lastIndex !== -1) {
+      streamError = `More than one chunk marked is_last (${lastIndex} and ${index})`;
+    } else if (chunk.is_last && Array.from(chunks.keys()).some(i => i > index)) {
+      streamError = `Chunk ${index} marked is_last but higher indexes were already received`;
+    }
+    
+    if (streamError) {
+      call.log.warn('Invalid chunk', { reason: streamError });
+      return;
+    }
+    
+    chunks.set(index, chunk.data);
+    receivedBytes += chunk.data.length;
+    
+    if (index === 0) {
+      metadata = {
+        user_id: chunk.user_id,
+        source_language: chunk.source_language || 'en',
+        target_language: chunk.target_language,
+        audio_format: chunk.audio_format || 'wav',
+        sample_rate: chunk.sample_rate,
+        channels: chunk.channels,
+        bit_depth: chunk.bit_depth
+      };
+    }
+    
+    if (chunk.is_last) {
+      lastIndex = index;
+    }
   });
   
   call.on('end', () => {
-    const fullAudio = Buffer.concat(chunks);
-    console.log(`  Total audio size: ${fullAudio.length} bytes`);
+    const error = streamError || findStreamGaps(chunks, lastIndex);
+    const meta = metadata || { source_language: '', target_language: '', audio_format: '' };
     
-    const {
-      translatedAudio,
-      processingTime,
-      originalSize,
-      processedSize
-    } = generateTranslatedAudio(fullAudio, 'en', targetLanguage);
+    const reject = (message) => {
+      call.log.warn('ProcessAudioStream rejected', { reason: message });
+      callback(null, {
+        translated_audio: Buffer.alloc(0),
+        audio_format: meta.audio_format,
+        source_language: meta.source_language,
+        target_language: meta.target_language,
+        success: false,
+        error_message: message,
+        processing_time_ms: Date.now() - startTime,
+        original_size: receivedBytes,
+        processed_size: 0
+      });
+    };
+    
+    if (error) {
+      return reject(error);
+    }
+    
+    // Reassemble in index order
+    const ordered = [];
+    for (let i = 0; i <= lastIndex; i++) {
+      ordered.push(chunks.get(i));
+    }
+    const fullAudio = Buffer.concat(ordered);
+    
+    call.log.debug('ProcessAudioStream reassembled', {
+      userId: meta.user_id,
+      audioFormat: meta.audio_format,
+      sourceLanguage: meta.source_language,
+      targetLanguage: meta.target_language,
+      sampleRate: meta.sample_rate || undefined,
+      channels: meta.channels || undefined,
+      bitDepth: meta.bit_depth || undefined,
+      audioBytes: fullAudio.length,
+      chunks: lastIndex + 1
+    });
+    
+    const format = {
+      sampleRate: meta.sample_rate,
+      channels: meta.channels,
+      bitDepth: meta.bit_depth
+    };
+    const formatError = checkOutputFormat(format);
+    if (formatError) {
+      return reject(formatError);
+    }
+    
+    let result;
+    try {
+      result = generateTranslatedAudio(fullAudio, meta.source_language, meta.target_language, format);
+    } catch (synthesisError) {
+      return reject(synthesisError.message);
+    }
+    const { translatedAudio, originalSize, processedSize } = result;
     
     const response = {
       translated_audio: translatedAudio,
       audio_format: 'wav',
-      source_language: 'en',
-      target_language: targetLanguage,
+      source_language: meta.source_language,
+      target_language: meta.target_language,
       success: true,
       error_message: '',
       processing_time_ms: Date.now() - startTime,
@@ -213,44 +442,85 @@ function handleProcessAudioStream(call, callback) {
       processed_size: processedSize
     };
     
-    console.log(`  Stream processing complete: ${response.processing_time_ms}ms`);
-    console.log('='.repeat(60) + '\n');
+    call.log.info('ProcessAudioStream complete', {
+      chunks: lastIndex + 1,
+      originalBytes: originalSize,
+      processedBytes: processedSize,
+      processingTimeMs: response.processing_time_ms
+    });
     
     callback(null, response);
   });
   
   call.on('error', (error) => {
-    console.error(`  Stream error: ${error.message}`);
+    call.log.error('ProcessAudioStream failed', { error });
     callback(error);
   });
 }
 
 /**
  * GetAudioInfo - Get information about audio data
+ * Parses the real container header (see ./audio-format).
+ * Unrecognised or truncated input fails with INVALID_ARGUMENT.
  */
 function handleGetAudioInfo(call, callback) {
   const audioData = call.request.audio_data;
   
-  console.log('[AUDIO SERVICE] GetAudioInfo called');
-  console.log(`  Audio size: ${audioData.length} bytes`);
+  call.log.debug('GetAudioInfo received', { audioBytes: audioData.length });
   
-  const info = analyzeAudio(audioData);
-  callback(null, info);
+  try {
+    const info = parseAudioInfo(audioData);
+    call.log.info('GetAudioInfo complete', {
+      format: info.format,
+      sampleRate: info.sample_rate,
+      channels: info.channels,
+      durationMs: info.duration_ms
+    });
+    callback(null, info);
+  } catch (error) {
+    if (!(error instanceof AudioFormatError)) {
+      call.log.error('GetAudioInfo failed', { error });
+      return callback({ code: grpc.status.INTERNAL, message: error.message });
+    }
+    call.log.warn('GetAudioInfo rejected', { reason: error.message });
+    callback({ code: grpc.status.INVALID_ARGUMENT, message: error.message });
+  }
 }
 
 // ============================================================================
 // SERVER SETUP
 // ============================================================================
 
+// Prometheus metrics for every RPC, served on METRICS_PORT
+const metricsRegistry = createRegistry();
+metricsRegistry.registerProcessMetrics();
+const rpcMetrics = createRpcMetrics(metricsRegistry);
+
+// The same handlers serve gRPC and the HTTP/JSON twin
+// (traceHandlers reads x-request-id / traceparent into call.trace, echoes them
+// and gives each call a call.log with the request and trace IDs)
+const serviceHandlers = traceHandlers({
+  ProcessAudio: handleProcessAudio,
+  ProcessAudioStream: handleProcessAudioStream,
+  GetAudioInfo: handleGetAudioInfo
+}, { Metadata: grpc.Metadata, logger });
+
+// SERVING once the gRPC port is bound (checked by the gateway's /api/health)
+const health = createHealthService(['audio.AudioService']);
+
 function startServer() {
-  const server = new grpc.Server();
+  const server = new grpc.Server({
+    'grpc.max_receive_message_length': MAX_MESSAGE_BYTES,
+    'grpc.max_send_message_length': MAX_MESSAGE_BYTES
+  });
   
   // Register service handlers
-  server.addService(audioProto.AudioService.service, {
-    ProcessAudio: handleProcessAudio,
-    ProcessAudioStream: handleProcessAudioStream,
-    GetAudioInfo: handleGetAudioInfo
-  });
+  server.addService(audioProto.AudioService.service, rpcMetrics.instrument(serviceHandlers, {
+    serviceName: 'audio.AudioService',
+    packageDefinition,
+    transport: 'grpc'
+  }));
+  server.addService(healthProto.Health.service, health.handlers);
   
   // Bind and start server
   server.bindAsync(
@@ -258,20 +528,62 @@ function startServer() {
     grpc.ServerCredentials.createInsecure(),
     (error, port) => {
       if (error) {
-        console.error('Failed to start Audio Service:', error);
+        logger.error('Failed to start Audio Service', { error });
         process.exit(1);
       }
       
-      console.log('\n' + '═'.repeat(60));
-      console.log('   AUDIO PROCESSING SERVICE (gRPC) STARTED');
-      console.log('═'.repeat(60));
-      console.log(`   Port: ${port}`);
-      console.log(`   Protocol: gRPC with Protocol Buffers`);
-      console.log(`   Features: Binary audio processing, streaming support`);
-      console.log('═'.repeat(60));
-      console.log('\n   Waiting for requests from API Gateway...\n');
+      health.setServing(true);
+      registerInstance(port);
+      logger.info('Audio Processing Service (gRPC) started', {
+        port,
+        protocol: 'gRPC with Protocol Buffers',
+        features: 'binary audio processing, streaming'
+      });
     }
   );
+  
+  // HTTP/JSON twin of the same handlers (REST side of the comparison)
+  createHttpTwin({
+    serviceName: 'audio.AudioService',
+    packageDefinition,
+    handlers: rpcMetrics.instrument(serviceHandlers, {
+      serviceName: 'audio.AudioService',
+      packageDefinition,
+      transport: 'http'
+    })
+  }).listen(HTTP_PORT, () => {
+    logger.info('HTTP/JSON twin listening', { url: `http://localhost:${HTTP_PORT}` });
+  });
+  
+  // Prometheus scrape endpoint
+  createMetricsServer(metricsRegistry).listen(METRICS_PORT, () => {
+    logger.info('Metrics listening', { url: `http://localhost:${METRICS_PORT}/metrics` });
+  });
+}
+
+/**
+ * Register with the service registry (if configured) and deregister on shutdown
+ */
+function registerInstance(port) {
+  if (!REGISTRY_URL) return;
+  
+  const registration = startRegistration({
+    client: new registryProto.Registry(REGISTRY_URL, grpc.credentials.createInsecure()),
+    instance: {
+      service: 'audio',
+      grpc_address: `${SERVICE_HOST}:${port}`,
+      http_address: `http://${SERVICE_HOST}:${HTTP_PORT}`
+    },
+    logger
+  });
+  
+  const shutdown = (signal) => {
+    logger.info('Shutting down', { signal });
+    health.setServing(false);
+    registration.stop(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
 
 // Start the server
@@ -0,0 +1,146 @@
+/**
+ * WAV Writer
+ * ==========
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Builds well-formed PCM WAV files:
+ *
+ *   RIFF <size> WAVE
+ *     fmt  <16>   PCM, channels, sample rate, byte rate, block align, bit depth
+ *     LIST <size> INFO   metadata tags (e.g. INAM, ICMT, ISFT)
+ *     data <size> interleaved samples
+ *
+ * Over 16 bits or 2 channels the fmt chunk is WAVE_FORMAT_EXTENSIBLE (40 bytes:
+ * valid bits, channel mask and the PCM sub-format GUID), as the RIFF spec asks.
+ *
+ * Supported bit depths: 8 (unsigned), 16, 24 and 32 (signed little-endian).
+ */
+
+const SUPPORTED_BIT_DEPTHS = [8, 16, 24, 32];
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// KSDATAFORMAT_SUBTYPE_PCM, 00000001-0000-0010-8000-00aa00389b71
+const PCM_SUBFORMAT_GUID = Buffer.from('0100000000001000800000aa00389b71', 'hex');
+
+// Speaker positions by channel count (mono, stereo, 3.0, quad, 5.0, 5.1, 6.1,
+// 7.1); other counts get 0, "no particular layout"
+const CHANNEL_MASKS = [0, 0x4, 0x3, 0x7, 0x33, 0x37, 0x3f, 0x13f, 0x63f];
+
+/**
+ * Build a RIFF LIST/INFO chunk from { TAG: 'text' } pairs
+ * Tag ids must be four characters (INAM, ICMT, ISFT, ...).
+ */
+function buildInfoChunk(tags) {
+  const subchunks = Object.entries(tags).map(([id, text]) => {
+    const value = Buffer.from(`${text}\0`, 'utf8');
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 4, 'ascii');
+    header.writeUInt32LE(value.length, 4);
+    const pad = Buffer.alloc(value.length % 2);
+    return Buffer.concat([header, value, pad]);
+  });
+
+  const body = Buffer.concat([Buffer.from('INFO', 'ascii'), ...subchunks]);
+  const header = Buffer.alloc(8);
+  header.write('LIST', 0, 4, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build the "fmt " chunk: plain PCM up to 16 bits and 2 channels, otherwise
+ * WAVE_FORMAT_EXTENSIBLE
+ */
+function buildFmtChunk({ sampleRate, channels, bitDepth }) {
+  const blockAlign = channels * bitDepth / 8;
+  const extensible = bitDepth > 16 || channels > 2;
+
+  const fmt = Buffer.alloc(extensible ? 48 : 24);
+  fmt.write('fmt ', 0, 4, 'ascii');
+  fmt.writeUInt32LE(fmt.length - 8, 4);
+  fmt.writeUInt16LE(extensible ? WAVE_FORMAT_EXTENSIBLE : WAVE_FORMAT_PCM, 8);
+  fmt.writeUInt16LE(channels, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 16);
+  fmt.writeUInt16LE(blockAlign, 20);
+  fmt.writeUInt16LE(bitDepth, 22);
+
+  if (extensible) {
+    fmt.writeUInt16LE(22, 24); // cbSize: bytes of extension that follow
+    fmt.writeUInt16LE(bitDepth, 26); // valid bits per sample
+    fmt.writeUInt32LE(CHANNEL_MASKS[channels] || 0, 28);
+    PCM_SUBFORMAT_GUID.copy(fmt, 32);
+  }
+  return fmt;
+}
+
+/**
+ * Write one sample in [-1, 1] at offset using the given bit depth
+ */
+function writeSample(buffer, offset, value, bitDepth) {
+  const v = Math.max(-1, Math.min(1, value));
+  switch (bitDepth) {
+    case 8:
+      buffer.writeUInt8(Math.round((v + 1) * 127.5), offset);
+      break;
+    case 16:
+      buffer.writeInt16LE(Math.round(v * 32767), offset);
+      break;
+    case 24:
+      buffer.writeIntLE(Math.round(v * 8388607), offset, 3);
+      break;
+    case 32:
+      buffer.writeInt32LE(Math.round(v * 2147483647), offset);
+      break;
+  }
+}
+
+/**
+ * Create a WAV file
+ * sampleAt(frameIndex, channel) returns the sample value in [-1, 1].
+ * maxDataBytes: refuse (before allocating) to write more sample data than this
+ */
+function createWav({ sampleRate, channels, bitDepth, frameCount, sampleAt, info = {}, maxDataBytes = Infinity }) {
+  if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported bit depth ${bitDepth} (expected ${SUPPORTED_BIT_DEPTHS.join(', ')})`);
+  }
+  // The fmt chunk stores channels in 16 bits and the byte rate in 32 bits
+  if (!Number.isInteger(sampleRate) || !Number.isInteger(channels) || sampleRate < 1 || channels < 1 ||
+      channels > 0xffff || sampleRate * channels * (bitDepth / 8) > 0xffffffff) {
+    throw new Error('Sample rate and channels must be positive integers that fit a WAV header');
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+  if (dataSize > maxDataBytes) {
+    throw new Error(`WAV data would be ${dataSize} bytes (limit ${maxDataBytes})`);
+  }
+
+  const fmt = buildFmtChunk({ sampleRate, channels, bitDepth });
+
+  const list = Object.keys(info).length > 0 ? buildInfoChunk(info) : Buffer.alloc(0);
+
+  const data = Buffer.alloc(8 + dataSize + (dataSize % 2));
+  data.write('data', 0, 4, 'ascii');
+  data.writeUInt32LE(dataSize, 4);
+
+  let offset = 8;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      writeSample(data, offset, sampleAt(frame, channel), bitDepth);
+      offset += bytesPerSample;
+    }
+  }
+
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 4, 'ascii');
+  riff.writeUInt32LE(4 + fmt.length + list.length + data.length, 4);
+  riff.write('WAVE', 8, 4, 'ascii');
+
+  return Buffer.concat([riff, fmt, list, data]);
+}
+
+module.exports = { createWav, SUPPORTED_BIT_DEPTHS };
@@ -37,6 +37,7 @@ import { Text, View, StyleSheet } from 'react-native';
 
 // Screens
 import ChatScreen from './src/screens/ChatScreen';
+import RoomsScreen from './src/screens/RoomsScreen';
 import PerformanceScreen from './src/screens/PerformanceScreen';
 import HistoryScreen from './src/screens/HistoryScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
@@ -86,6 +87,17 @@ export default function App() {
             }}
           />
 
+          {/* Rooms Tab */}
+          <Tab.Screen
+            name="Rooms"
+            component={RoomsScreen}
+            options={{
+              tabBarIcon: ({ focused }) => (
+                <TabIcon icon="👥" label="Rooms" focused={focused} />
+              ),
+            }}
+          />
+
           {/* Performance Tab */}
           <Tab.Screen
             name="Performance"
@@ -0,0 +1,147 @@
+/**
+ * AudioPlayer Component
+ * =====================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Play/pause control with a progress bar for processed audio.
+ * Streams the raw WAV bytes from GET /api/messages/:id/audio.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Audio } from 'expo-av';
+import { COLORS } from '../constants/config';
+
+// Format milliseconds as m:ss
+const formatTime = (ms) => {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const AudioPlayer = ({ uri }) => {
+  const soundRef = useRef(null);
+  const [loading, setLoading] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [error, setError] = useState(null);
+
+  // Release the sound when the bubble unmounts or the URI changes
+  useEffect(() => {
+    return () => {
+      soundRef.current?.unloadAsync();
+      soundRef.current = null;
+    };
+  }, [uri]);
+
+  const onPlaybackStatusUpdate = (status) => {
+    if (!status.isLoaded) {
+      if (status.error) setError(status.error);
+      return;
+    }
+    setPlaying(status.isPlaying);
+    setPosition(status.positionMillis);
+    setDuration(status.durationMillis || 0);
+
+    if (status.didJustFinish) {
+      soundRef.current?.setPositionAsync(0);
+    }
+  };
+
+  const togglePlayback = async () => {
+    setError(null);
+    try {
+      if (!soundRef.current) {
+        setLoading(true);
+        await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+        const { sound } = await Audio.Sound.createAsync(
+          { uri },
+          { shouldPlay: true, progressUpdateIntervalMillis: 200 },
+          onPlaybackStatusUpdate
+        );
+        soundRef.current = sound;
+        return;
+      }
+
+      if (playing) {
+        await soundRef.current.pauseAsync();
+      } else {
+        await soundRef.current.playAsync();
+      }
+    } catch (playbackError) {
+      setError(playbackError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const progress = duration > 0 ? Math.min(position / duration, 1) : 0;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.playButton}
+        onPress={togglePlayback}
+        disabled={loading || !uri}
+      >
+        {loading ? (
+          <ActivityIndicator color={COLORS.textWhite} size="small" />
+        ) : (
+          <Text style={styles.playIcon}>{playing ? '⏸' : '▶'}</Text>
+        )}
+      </TouchableOpacity>
+
+      <View style={styles.progressArea}>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+        </View>
+        <Text style={styles.timeText}>
+          {error ? '⚠️ Playback failed' : `${formatTime(position)} / ${formatTime(duration)}`}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: COLORS.primaryDark,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  playIcon: {
+    fontSize: 14,
+    color: COLORS.textWhite,
+  },
+  progressArea: {
+    flex: 1,
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: COLORS.border,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: COLORS.primaryDark,
+  },
+  timeText: {
+    fontSize: 10,
+    color: COLORS.textLight,
+    marginTop: 4,
+  },
+});
+
+export default AudioPlayer;
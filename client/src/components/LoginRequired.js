@@ -0,0 +1,54 @@
+/**
+ * LoginRequired Component
+ * =======================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Placeholder shown by screens that need a logged-in user
+ * (the login form is on the Settings tab).
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { COLORS } from '../constants/config';
+
+const LoginRequired = ({ message }) => (
+  <View style={styles.container}>
+    <Text style={styles.icon}>🔒</Text>
+    <Text style={styles.title}>Log In Required</Text>
+    <Text style={styles.subtitle}>{message}</Text>
+    <Text style={styles.tip}>💡 Log in or create an account on the ⚙️ Settings tab</Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  icon: {
+    fontSize: 64,
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: COLORS.text,
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.textLight,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  tip: {
+    fontSize: 12,
+    color: COLORS.primary,
+    marginTop: 20,
+    textAlign: 'center',
+  },
+});
+
+export default LoginRequired;
@@ -3,12 +3,15 @@
  * =======================
  * PDC Lab Exam - Distributed Chat System
  * 
- * Displays chat messages with translation and performance info
+ * Displays chat messages with translation and performance info.
+ * Audio messages get a player for the processed audio.
  */
 
 import React, { useState } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Animated } from 'react-native';
 import { COLORS } from '../constants/config';
+import { getAudioUrl } from '../services/api';
+import AudioPlayer from './AudioPlayer';
 
 const MessageBubble = ({ message, isOwn = true }) => {
   const [expanded, setExpanded] = useState(false);
@@ -51,6 +54,7 @@ const MessageBubble = ({ message, isOwn = true }) => {
           <Text style={styles.audioSize}>
             {message.audioSize || message.original?.size} bytes → {message.processedAudioSize || message.processed?.size} bytes
           </Text>
+          {message.audioUrl && <AudioPlayer uri={getAudioUrl(message.audioUrl)} />}
         </View>
       )}
       
@@ -63,13 +67,25 @@ const MessageBubble = ({ message, isOwn = true }) => {
             <Text style={styles.performanceValue}>{message.performance.totalResponseTime}ms</Text>
           </View>
           <View style={styles.performanceRow}>
-            <Text style={styles.performanceLabel}>gRPC Time:</Text>
-            <Text style={styles.performanceValue}>{message.performance.grpcServiceTime}ms</Text>
+            <Text style={styles.performanceLabel}>
+              Backend ({message.performance.backendTransport === 'http' ? 'HTTP/JSON' : 'gRPC'}) Time:
+            </Text>
+            <Text style={styles.performanceValue}>
+              {message.performance.backendServiceTime ?? message.performance.grpcServiceTime}ms
+            </Text>
           </View>
           <View style={styles.performanceRow}>
             <Text style={styles.performanceLabel}>Gateway Overhead:</Text>
             <Text style={styles.performanceValue}>{message.performance.gatewayOverhead}ms</Text>
           </View>
+          {message.performance.backendPayloadSize !== undefined && (
+            <View style={styles.performanceRow}>
+              <Text style={styles.performanceLabel}>Backend Sent / Received:</Text>
+              <Text style={styles.performanceValue}>
+                {message.performance.backendPayloadSize} B / {message.performance.backendResponseSize} B
+              </Text>
+            </View>
+          )}
           <View style={styles.performanceRow}>
             <Text style={styles.performanceLabel}>Size Reduction:</Text>
             <Text style={[styles.performanceValue, styles.successText]}>
@@ -42,6 +42,19 @@ const PerformanceCard = ({
           <Text style={[styles.tableCell, styles.grpcCell]}>{grpcData?.avgResponseTime || '0'} ms</Text>
         </View>
         
+        {/* Latency Percentile Rows */}
+        <View style={styles.tableRow}>
+          <Text style={[styles.tableCell, styles.labelCell]}>p50 / p99</Text>
+          <Text style={styles.tableCell}>{restData?.p50 || 0} / {restData?.p99 || 0} ms</Text>
+          <Text style={[styles.tableCell, styles.grpcCell]}>{grpcData?.p50 || 0} / {grpcData?.p99 || 0} ms</Text>
+        </View>
+        
+        <View style={styles.tableRow}>
+          <Text style={[styles.tableCell, styles.labelCell]}>Max</Text>
+          <Text style={styles.tableCell}>{restData?.maxResponseTime || 0} ms</Text>
+          <Text style={[styles.tableCell, styles.grpcCell]}>{grpcData?.maxResponseTime || 0} ms</Text>
+        </View>
+        
         {/* Avg Payload Size Row */}
         <View style={styles.tableRow}>
           <Text style={[styles.tableCell, styles.labelCell]}>Avg Payload</Text>
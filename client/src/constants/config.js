@@ -30,6 +30,9 @@ export const getBaseUrl = () => {
 
 export const API_BASE_URL = getBaseUrl();
 
+// WebSocket URL for the real-time message stream (same host as the REST API)
+export const WS_BASE_URL = API_BASE_URL.replace(/^http/, 'ws');
+
 // App Colors - Modern Blue Theme
 export const COLORS = {
   primary: '#2563EB',       // Blue
@@ -55,8 +58,3 @@ export const LANGUAGES = [
   { code: 'de', name: 'German', flag: '🇩🇪' },
   { code: 'ur', name: 'Urdu', flag: '🇵🇰' },
 ];
-
-// Generate unique user ID
-export const generateUserId = () => {
-  return 'user-' + Math.random().toString(36).substr(2, 9);
-};
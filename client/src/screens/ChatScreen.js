@@ -6,8 +6,11 @@
  * Features:
  * - Language selection (source & target)
  * - Send text messages for translation
- * - Send dummy audio messages
+ * - Record voice messages (dummy audio where recording is unavailable)
+ * - Play back processed audio
  * - View translated messages with performance metrics
+ * - Receive new messages in real time over WebSocket
+ * - Requires a logged-in user (Settings tab)
  * 
  * Demonstrates: Client → REST → API Gateway → gRPC → Translation Service
  */
@@ -26,10 +29,18 @@ import {
   Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { COLORS, generateUserId } from '../constants/config';
-import { api, generateDummyAudio } from '../services/api';
+import { COLORS } from '../constants/config';
+import { api, generateDummyAudio, subscribeToMessages } from '../services/api';
+import { useSession } from '../services/session';
+import {
+  isRecordingSupported,
+  startRecording,
+  stopRecording,
+  cancelRecording,
+} from '../services/audioRecorder';
 import LanguagePicker from '../components/LanguagePicker';
 import MessageBubble from '../components/MessageBubble';
+import LoginRequired from '../components/LoginRequired';
 
 const ChatScreen = () => {
   // State
@@ -38,24 +49,48 @@ const ChatScreen = () => {
   const [sourceLanguage, setSourceLanguage] = useState('en');
   const [targetLanguage, setTargetLanguage] = useState('es');
   const [loading, setLoading] = useState(false);
-  const [userId] = useState(generateUserId());
+  const [connected, setConnected] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const session = useSession();
+  const userId = session?.user.userId;
   
   const flatListRef = useRef(null);
 
-  // Load chat history on mount
+  // Subscribe to the logged-in user's message stream (again after a new login)
   useEffect(() => {
-    loadChatHistory();
-  }, []);
+    setMessages([]);
+    setConnected(false);
+    const unsubscribe = subscribeToMessages({
+      limit: 50,
+      onSnapshot: (snapshot) => setMessages(snapshot),
+      onMessage: (message) => {
+        upsertMessage(message);
+        scrollToBottom();
+      },
+      onStatusChange: (status) => setConnected(status === 'connected'),
+    });
+    return () => {
+      unsubscribe();
+      cancelRecording();
+    };
+  }, [session?.token]);
 
-  const loadChatHistory = async () => {
-    try {
-      const response = await api.getChatHistory(userId, 50);
-      if (response.success && response.messages) {
-        setMessages(response.messages.reverse());
-      }
-    } catch (error) {
-      console.log('No existing chat history');
-    }
+  // Add a message, or merge it into an existing one with the same id.
+  // Our own messages arrive twice: as the HTTP response and over the stream.
+  const upsertMessage = (message) => {
+    setMessages(prev => {
+      const index = prev.findIndex(m => m.id === message.id);
+      if (index === -1) return [...prev, message];
+      const next = [...prev];
+      next[index] = { ...next[index], ...message };
+      return next;
+    });
+  };
+
+  const scrollToBottom = () => {
+    setTimeout(() => {
+      flatListRef.current?.scrollToEnd({ animated: true });
+    }, 100);
   };
 
   // Send text message
@@ -68,7 +103,6 @@ const ChatScreen = () => {
     setLoading(true);
     try {
       const response = await api.sendTextMessage(
-        userId,
         inputText.trim(),
         sourceLanguage,
         targetLanguage
@@ -87,13 +121,9 @@ const ChatScreen = () => {
           timestamp: new Date().toISOString(),
         };
 
-        setMessages(prev => [...prev, newMessage]);
+        upsertMessage(newMessage);
         setInputText('');
-        
-        // Scroll to bottom
-        setTimeout(() => {
-          flatListRef.current?.scrollToEnd({ animated: true });
-        }, 100);
+        scrollToBottom();
       }
     } catch (error) {
       Alert.alert('Error', error.message || 'Failed to send message');
@@ -102,46 +132,53 @@ const ChatScreen = () => {
     }
   };
 
-  // Send audio message (dummy)
-  const sendAudioMessage = async () => {
+  // Mic button: start recording, or stop and upload
+  const toggleRecording = async () => {
+    if (recording) {
+      setRecording(false);
+      setLoading(true);
+      try {
+        const recorded = await stopRecording();
+        const response = await api.uploadAudioMessage(
+          recorded,
+          sourceLanguage,
+          targetLanguage
+        );
+        handleAudioResponse(response);
+      } catch (error) {
+        Alert.alert('Error', error.message || 'Failed to send recording');
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+
+    if (!isRecordingSupported()) {
+      sendDummyAudioMessage('Recording is not supported on this device');
+      return;
+    }
+
+    try {
+      await startRecording();
+      setRecording(true);
+    } catch (error) {
+      sendDummyAudioMessage(error.message);
+    }
+  };
+
+  // Send dummy audio when the microphone cannot be used
+  const sendDummyAudioMessage = async (reason) => {
+    Alert.alert('🎤 Microphone unavailable', `${reason}.\nSending sample audio instead.`);
     setLoading(true);
     try {
       const audioBase64 = generateDummyAudio();
       
       const response = await api.sendAudioMessage(
-        userId,
         audioBase64,
         sourceLanguage,
         targetLanguage
       );
-
-      if (response.success) {
-        const newMessage = {
-          id: response.messageId,
-          type: 'audio',
-          userId,
-          audioSize: response.original.size,
-          processedAudioSize: response.processed.size,
-          sourceLanguage: response.original.language,
-          targetLanguage: response.processed.language,
-          performance: response.performance,
-          timestamp: new Date().toISOString(),
-        };
-
-        setMessages(prev => [...prev, newMessage]);
-        
-        Alert.alert(
-          '🎵 Audio Processed!',
-          `Size: ${response.original.size} → ${response.processed.size} bytes\n` +
-          `Time: ${response.performance.totalResponseTime}ms\n` +
-          `gRPC saved ${response.performance.sizeReduction} bandwidth!`
-        );
-        
-        // Scroll to bottom
-        setTimeout(() => {
-          flatListRef.current?.scrollToEnd({ animated: true });
-        }, 100);
-      }
+      handleAudioResponse(response);
     } catch (error) {
       Alert.alert('Error', error.message || 'Failed to send audio');
     } finally {
@@ -149,6 +186,28 @@ const ChatScreen = () => {
     }
   };
 
+  // Add a processed audio message to the list
+  const handleAudioResponse = (response) => {
+    if (!response.success) return;
+
+    const newMessage = {
+      id: response.messageId,
+      type: 'audio',
+      userId,
+      audioSize: response.original.size,
+      processedAudioSize: response.processed.size,
+      processedAudioFormat: response.processed.format,
+      audioUrl: response.processed.url,
+      sourceLanguage: response.original.language,
+      targetLanguage: response.processed.language,
+      performance: response.performance,
+      timestamp: new Date().toISOString(),
+    };
+
+    upsertMessage(newMessage);
+    scrollToBottom();
+  };
+
   // Render empty state
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
@@ -163,12 +222,26 @@ const ChatScreen = () => {
     </View>
   );
 
+  if (!session) {
+    return (
+      <SafeAreaView style={styles.container} edges={['top']}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>TransLingo Chat</Text>
+          <Text style={styles.headerSubtitle}>PDC Lab Exam • REST + gRPC Demo</Text>
+        </View>
+        <LoginRequired message="Log in to send messages and receive your translations in real time." />
+      </SafeAreaView>
+    );
+  }
+
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
       {/* Header */}
       <View style={styles.header}>
         <Text style={styles.headerTitle}>TransLingo Chat</Text>
-        <Text style={styles.headerSubtitle}>PDC Lab Exam • REST + gRPC Demo</Text>
+        <Text style={styles.headerSubtitle}>
+          PDC Lab Exam • REST + gRPC Demo • 👤 {userId} • {connected ? '🟢 Live' : '🔴 Offline'}
+        </Text>
       </View>
 
       {/* Language Selectors */}
@@ -193,7 +266,7 @@ const ChatScreen = () => {
         ref={flatListRef}
         data={messages}
         keyExtractor={(item) => item.id || Math.random().toString()}
-        renderItem={({ item }) => <MessageBubble message={item} isOwn={true} />}
+        renderItem={({ item }) => <MessageBubble message={item} isOwn={item.userId === userId} />}
         contentContainerStyle={styles.messagesList}
         ListEmptyComponent={renderEmptyState}
         showsVerticalScrollIndicator={false}
@@ -207,11 +280,11 @@ const ChatScreen = () => {
         <View style={styles.inputContainer}>
           {/* Mic Button */}
           <TouchableOpacity
-            style={styles.micButton}
-            onPress={sendAudioMessage}
+            style={[styles.micButton, recording && styles.micButtonRecording]}
+            onPress={toggleRecording}
             disabled={loading}
           >
-            <Text style={styles.micIcon}>🎤</Text>
+            <Text style={styles.micIcon}>{recording ? '⏹' : '🎤'}</Text>
           </TouchableOpacity>
 
           {/* Text Input */}
@@ -219,18 +292,18 @@ const ChatScreen = () => {
             style={styles.textInput}
             value={inputText}
             onChangeText={setInputText}
-            placeholder="Type a message to translate..."
-            placeholderTextColor={COLORS.textLight}
+            placeholder={recording ? 'Recording... tap ⏹ to send' : 'Type a message to translate...'}
+            placeholderTextColor={recording ? COLORS.error : COLORS.textLight}
             multiline
             maxLength={500}
-            editable={!loading}
+            editable={!loading && !recording}
           />
 
           {/* Send Button */}
           <TouchableOpacity
-            style={[styles.sendButton, loading && styles.sendButtonDisabled]}
+            style={[styles.sendButton, (loading || recording) && styles.sendButtonDisabled]}
             onPress={sendTextMessage}
-            disabled={loading}
+            disabled={loading || recording}
           >
             {loading ? (
               <ActivityIndicator color={COLORS.textWhite} size="small" />
@@ -333,6 +406,11 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: 8,
   },
+  micButtonRecording: {
+    backgroundColor: '#FEE2E2',
+    borderWidth: 2,
+    borderColor: COLORS.error,
+  },
   micIcon: {
     fontSize: 22,
   },
@@ -3,7 +3,7 @@
  * ================================
  * PDC Lab Exam - Distributed Chat System
  * 
- * Shows all translated messages with filtering options
+ * Shows the logged-in user's translated messages with filtering options
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -20,6 +20,8 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { COLORS } from '../constants/config';
 import { api } from '../services/api';
+import { useSession } from '../services/session';
+import LoginRequired from '../components/LoginRequired';
 
 const HistoryScreen = () => {
   const [messages, setMessages] = useState([]);
@@ -27,11 +29,15 @@ const HistoryScreen = () => {
   const [filter, setFilter] = useState('all'); // 'all', 'text', 'audio'
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const session = useSession();
 
-  // Load history on mount
+  // Load the logged-in user's history (again after a new login)
   useEffect(() => {
+    setMessages([]);
+    if (!session) return;
+    setLoading(true);
     loadHistory();
-  }, []);
+  }, [session?.token]);
 
   // Apply filter when messages or filter changes
   useEffect(() => {
@@ -44,7 +50,7 @@ const HistoryScreen = () => {
 
   const loadHistory = async () => {
     try {
-      const response = await api.getChatHistory(null, 100);
+      const response = await api.getChatHistory(100);
       if (response.success) {
         // Sort by newest first
         const sorted = (response.messages || []).sort(
@@ -167,6 +173,18 @@ const HistoryScreen = () => {
     </View>
   );
 
+  if (!session) {
+    return (
+      <SafeAreaView style={styles.container} edges={['top']}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>📜 History</Text>
+          <Text style={styles.headerSubtitle}>Message History</Text>
+        </View>
+        <LoginRequired message="Log in to see the messages you have sent." />
+      </SafeAreaView>
+    );
+  }
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container} edges={['top']}>
@@ -7,10 +7,13 @@
  * for service-to-service communication over REST.
  * 
  * Shows:
- * - Response time comparison
+ * - Response time comparison (average, p50/p99, max)
+ * - Time windows: last minute, last hour, all time
  * - Payload size comparison
  * - Size reduction percentage
  * - Concurrent message processing benchmarks
+ * - Transport benchmark: the same gateway → service calls over
+ *   gRPC and over the service's HTTP/JSON twin
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -29,21 +32,30 @@ import { COLORS } from '../constants/config';
 import { api } from '../services/api';
 import PerformanceCard from '../components/PerformanceCard';
 
+const METRIC_WINDOWS = [
+  { key: '1m', label: 'Last Minute' },
+  { key: '1h', label: 'Last Hour' },
+  { key: 'all', label: 'All Time' },
+];
+
 const PerformanceScreen = () => {
   const [metrics, setMetrics] = useState(null);
   const [benchmarkResults, setBenchmarkResults] = useState(null);
   const [loading, setLoading] = useState(true);
   const [benchmarking, setBenchmarking] = useState(false);
+  const [transportResults, setTransportResults] = useState(null);
+  const [comparing, setComparing] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [metricsWindow, setMetricsWindow] = useState('all');
 
-  // Load metrics on mount
+  // Load metrics on mount and when the window changes
   useEffect(() => {
     loadMetrics();
-  }, []);
+  }, [metricsWindow]);
 
   const loadMetrics = async () => {
     try {
-      const response = await api.getPerformanceMetrics();
+      const response = await api.getPerformanceMetrics(metricsWindow);
       if (response.success) {
         setMetrics(response.metrics);
       }
@@ -58,7 +70,28 @@ const PerformanceScreen = () => {
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     loadMetrics();
-  }, []);
+  }, [metricsWindow]);
+
+  // Clear all samples on the gateway
+  const resetMetrics = () => {
+    Alert.alert('Reset Metrics', 'Clear all recorded samples?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Reset',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await api.resetPerformanceMetrics();
+            setBenchmarkResults(null);
+            setTransportResults(null);
+            await loadMetrics();
+          } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to reset metrics');
+          }
+        },
+      },
+    ]);
+  };
 
   // Run benchmark test
   const runBenchmark = async () => {
@@ -77,6 +110,21 @@ const PerformanceScreen = () => {
     }
   };
 
+  // Compare transports on the same hop (text and audio)
+  const runTransportBenchmark = async () => {
+    setComparing(true);
+    try {
+      const text = await api.runTransportBenchmark('text', 20);
+      const audio = await api.runTransportBenchmark('audio', 5);
+      setTransportResults({ text: text.results, audio: audio.results });
+      await loadMetrics();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Transport benchmark failed');
+    } finally {
+      setComparing(false);
+    }
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container} edges={['top']}>
@@ -107,6 +155,21 @@ const PerformanceScreen = () => {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
       >
+        {/* Window Selector */}
+        <View style={styles.windowSelector}>
+          {METRIC_WINDOWS.map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.windowChip, metricsWindow === option.key && styles.windowChipActive]}
+              onPress={() => setMetricsWindow(option.key)}
+            >
+              <Text style={[styles.windowChipText, metricsWindow === option.key && styles.windowChipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
         {/* Text Messages Card */}
         <PerformanceCard
           title="Text Messages"
@@ -213,6 +276,53 @@ const PerformanceScreen = () => {
           )}
         </View>
 
+        {/* Transport Benchmark Section */}
+        <View style={styles.benchmarkCard}>
+          <Text style={styles.benchmarkTitle}>⚖️ REST vs gRPC (Same Hop)</Text>
+          <Text style={styles.benchmarkDescription}>
+            The gateway calls each service over gRPC and over its HTTP/JSON twin, alternating calls
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.benchmarkButton, comparing && styles.buttonDisabled]}
+            onPress={runTransportBenchmark}
+            disabled={comparing}
+          >
+            {comparing ? (
+              <>
+                <ActivityIndicator color={COLORS.textWhite} size="small" />
+                <Text style={styles.buttonText}>  Comparing...</Text>
+              </>
+            ) : (
+              <Text style={styles.buttonText}>Compare Transports</Text>
+            )}
+          </TouchableOpacity>
+
+          {transportResults && (
+            <View style={styles.benchmarkResults}>
+              {['text', 'audio'].map(kind => (
+                <View key={kind}>
+                  <Text style={styles.resultsSubtitle}>
+                    {kind === 'text' ? '📝 Text' : '🎵 Audio'}
+                  </Text>
+                  <View style={styles.resultRow}>
+                    <Text style={styles.resultLabel}>HTTP/JSON:</Text>
+                    <Text style={styles.resultValue}>
+                      {transportResults[kind].rest.avgResponseTime}ms • {transportResults[kind].rest.requestSize} B
+                    </Text>
+                  </View>
+                  <View style={styles.resultRow}>
+                    <Text style={styles.resultLabel}>gRPC:</Text>
+                    <Text style={[styles.resultValue, styles.successText]}>
+                      {transportResults[kind].grpc.avgResponseTime}ms • {transportResults[kind].grpc.requestSize} B
+                    </Text>
+                  </View>
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+
         {/* Refresh Button */}
         <TouchableOpacity
           style={styles.refreshButton}
@@ -221,6 +331,14 @@ const PerformanceScreen = () => {
           <Text style={styles.refreshButtonText}>🔄 Refresh Metrics</Text>
         </TouchableOpacity>
 
+        {/* Reset Button */}
+        <TouchableOpacity
+          style={[styles.refreshButton, styles.resetButton]}
+          onPress={resetMetrics}
+        >
+          <Text style={[styles.refreshButtonText, styles.resetButtonText]}>🗑️ Reset Metrics</Text>
+        </TouchableOpacity>
+
       </ScrollView>
     </SafeAreaView>
   );
@@ -435,6 +553,40 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  resetButton: {
+    marginTop: 12,
+    borderColor: COLORS.error,
+  },
+  resetButtonText: {
+    color: COLORS.error,
+  },
+  windowSelector: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  windowChip: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 16,
+    backgroundColor: COLORS.card,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    alignItems: 'center',
+  },
+  windowChipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  windowChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  windowChipTextActive: {
+    color: COLORS.textWhite,
+  },
 });
 
 export default PerformanceScreen;
@@ -0,0 +1,258 @@
+/**
+ * RoomChatScreen - Room Conversation
+ * ==================================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Features:
+ * - Room history shown in this user's preferred language
+ * - Post messages that every member receives in their own language
+ * - New room messages arrive in real time over WebSocket
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { COLORS } from '../constants/config';
+import { api, subscribeToMessages } from '../services/api';
+import LanguagePicker from '../components/LanguagePicker';
+import MessageBubble from '../components/MessageBubble';
+
+const RoomChatScreen = ({ room, userId, onBack }) => {
+  const [messages, setMessages] = useState([]);
+  const [inputText, setInputText] = useState('');
+  const [sourceLanguage, setSourceLanguage] = useState('en');
+  const [sending, setSending] = useState(false);
+
+  const flatListRef = useRef(null);
+
+  // Load room history and subscribe to new room messages
+  useEffect(() => {
+    loadRoomMessages();
+
+    const unsubscribe = subscribeToMessages({
+      onRoomMessage: (roomId, message) => {
+        if (roomId !== room.id) return;
+        upsertMessage(message);
+        scrollToBottom();
+      },
+    });
+    return unsubscribe;
+  }, [room.id]);
+
+  const loadRoomMessages = async () => {
+    try {
+      const response = await api.getRoomMessages(room.id, 50);
+      if (response.success) {
+        setMessages(response.messages || []);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load room messages');
+    }
+  };
+
+  // Our own messages arrive twice: as the HTTP response and over the stream
+  const upsertMessage = (message) => {
+    setMessages(prev => {
+      const index = prev.findIndex(m => m.id === message.id);
+      if (index === -1) return [...prev, message];
+      const next = [...prev];
+      next[index] = { ...next[index], ...message };
+      return next;
+    });
+  };
+
+  const scrollToBottom = () => {
+    setTimeout(() => {
+      flatListRef.current?.scrollToEnd({ animated: true });
+    }, 100);
+  };
+
+  const sendMessage = async () => {
+    if (!inputText.trim()) return;
+
+    setSending(true);
+    try {
+      const response = await api.sendRoomMessage(
+        room.id,
+        inputText.trim(),
+        sourceLanguage
+      );
+      if (response.success) {
+        upsertMessage({ ...response.message, performance: response.performance });
+        setInputText('');
+        scrollToBottom();
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>‹ Rooms</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>👥 {room.name}</Text>
+        <Text style={styles.headerSubtitle}>
+          {room.members.length} members • ID: {room.id}
+        </Text>
+      </View>
+
+      {/* Source Language */}
+      <View style={styles.languageContainer}>
+        <LanguagePicker
+          label="I write in:"
+          selectedLanguage={sourceLanguage}
+          onSelectLanguage={setSourceLanguage}
+        />
+      </View>
+
+      {/* Messages List */}
+      <FlatList
+        ref={flatListRef}
+        data={messages}
+        keyExtractor={(item) => item.id}
+        renderItem={({ item }) => (
+          <View>
+            {item.userId !== userId && (
+              <Text style={styles.senderName}>{item.userId}</Text>
+            )}
+            <MessageBubble message={item} isOwn={item.userId === userId} />
+          </View>
+        )}
+        contentContainerStyle={styles.messagesList}
+        showsVerticalScrollIndicator={false}
+      />
+
+      {/* Input Area */}
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        keyboardVerticalOffset={90}
+      >
+        <View style={styles.inputContainer}>
+          <TextInput
+            style={styles.textInput}
+            value={inputText}
+            onChangeText={setInputText}
+            placeholder="Message the room..."
+            placeholderTextColor={COLORS.textLight}
+            multiline
+            maxLength={500}
+            editable={!sending}
+          />
+          <TouchableOpacity
+            style={[styles.sendButton, sending && styles.sendButtonDisabled]}
+            onPress={sendMessage}
+            disabled={sending}
+          >
+            {sending ? (
+              <ActivityIndicator color={COLORS.textWhite} size="small" />
+            ) : (
+              <Text style={styles.sendIcon}>➤</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  backButton: {
+    marginBottom: 4,
+  },
+  backText: {
+    fontSize: 14,
+    color: COLORS.textWhite,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: COLORS.textWhite,
+  },
+  headerSubtitle: {
+    fontSize: 11,
+    color: 'rgba(255,255,255,0.8)',
+    marginTop: 2,
+  },
+  languageContainer: {
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    backgroundColor: COLORS.card,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  messagesList: {
+    flexGrow: 1,
+    paddingVertical: 12,
+  },
+  senderName: {
+    fontSize: 11,
+    color: COLORS.textLight,
+    marginLeft: 16,
+    marginTop: 4,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    backgroundColor: COLORS.card,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  textInput: {
+    flex: 1,
+    minHeight: 44,
+    maxHeight: 100,
+    backgroundColor: COLORS.background,
+    borderRadius: 22,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: COLORS.text,
+  },
+  sendButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: COLORS.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  sendButtonDisabled: {
+    backgroundColor: COLORS.textLight,
+  },
+  sendIcon: {
+    fontSize: 20,
+    color: COLORS.textWhite,
+  },
+});
+
+export default RoomChatScreen;
@@ -0,0 +1,389 @@
+/**
+ * RoomsScreen - Chat Rooms
+ * ========================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Features:
+ * - List the rooms this user belongs to
+ * - Create a new room or join one with its ID and invite code
+ * - Set "my language" so room messages arrive already translated
+ * - Open a room conversation (RoomChatScreen)
+ * - Requires a logged-in user (Settings tab)
+ *
+ * Demonstrates: one message → one TranslateBatch gRPC call → every member
+ * reads it in their own language
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { COLORS } from '../constants/config';
+import { api } from '../services/api';
+import { useSession } from '../services/session';
+import LanguagePicker from '../components/LanguagePicker';
+import LoginRequired from '../components/LoginRequired';
+import RoomChatScreen from './RoomChatScreen';
+
+const RoomsScreen = () => {
+  const session = useSession();
+  const userId = session?.user.userId;
+  const [rooms, setRooms] = useState([]);
+  const [selectedRoom, setSelectedRoom] = useState(null);
+  const [myLanguage, setMyLanguage] = useState('en');
+  const [newRoomName, setNewRoomName] = useState('');
+  const [joinRoomId, setJoinRoomId] = useState('');
+  const [joinInviteCode, setJoinInviteCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Load rooms and language preference for the logged-in user
+  useEffect(() => {
+    setRooms([]);
+    setSelectedRoom(null);
+    if (!session) return;
+    setLoading(true);
+    loadRooms();
+    loadMyLanguage();
+  }, [session?.token]);
+
+  const loadRooms = async () => {
+    try {
+      const response = await api.getRooms();
+      if (response.success) {
+        setRooms(response.rooms || []);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load rooms');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const loadMyLanguage = async () => {
+    try {
+      const response = await api.getUserLanguage(userId);
+      if (response.success) {
+        setMyLanguage(response.language);
+      }
+    } catch (error) {
+      console.log('Using default language');
+    }
+  };
+
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadRooms();
+  }, []);
+
+  const changeMyLanguage = async (language) => {
+    setMyLanguage(language);
+    try {
+      await api.setUserLanguage(language);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const createRoom = async () => {
+    if (!newRoomName.trim()) {
+      Alert.alert('Error', 'Please enter a room name');
+      return;
+    }
+
+    try {
+      const response = await api.createRoom(newRoomName.trim());
+      if (response.success) {
+        setRooms(prev => [...prev, response.room]);
+        setNewRoomName('');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to create room');
+    }
+  };
+
+  const joinRoom = async () => {
+    if (!joinRoomId.trim() || !joinInviteCode.trim()) {
+      Alert.alert('Error', 'Please enter a room ID and its invite code');
+      return;
+    }
+
+    try {
+      const response = await api.joinRoom(joinRoomId.trim(), joinInviteCode.trim());
+      if (response.success) {
+        setRooms(prev => [
+          ...prev.filter(room => room.id !== response.room.id),
+          response.room,
+        ]);
+        setJoinRoomId('');
+        setJoinInviteCode('');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to join room');
+    }
+  };
+
+  if (!session) {
+    return (
+      <SafeAreaView style={styles.container} edges={['top']}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>👥 Rooms</Text>
+          <Text style={styles.headerSubtitle}>Multilingual Conversations</Text>
+        </View>
+        <LoginRequired message="Log in to create, join and read your chat rooms." />
+      </SafeAreaView>
+    );
+  }
+
+  // Open conversation
+  if (selectedRoom) {
+    return (
+      <RoomChatScreen
+        room={selectedRoom}
+        userId={userId}
+        onBack={() => {
+          setSelectedRoom(null);
+          loadRooms();
+        }}
+      />
+    );
+  }
+
+  // Render room item
+  const renderRoom = ({ item }) => (
+    <TouchableOpacity
+      style={styles.roomCard}
+      onPress={() => setSelectedRoom(item)}
+      activeOpacity={0.8}
+    >
+      <View style={styles.roomHeader}>
+        <Text style={styles.roomName}>👥 {item.name}</Text>
+        <Text style={styles.memberBadge}>{item.members.length} members</Text>
+      </View>
+      <Text style={styles.roomId} selectable>ID: {item.id}</Text>
+      {item.inviteCode && (
+        <Text style={styles.roomId} selectable>Invite code: {item.inviteCode}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  // Render empty state
+  const renderEmpty = () => (
+    <View style={styles.emptyState}>
+      <Text style={styles.emptyIcon}>🏠</Text>
+      <Text style={styles.emptyTitle}>No Rooms Yet</Text>
+      <Text style={styles.emptySubtitle}>
+        Create a room or join one with its ID and invite code to start a multilingual conversation
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>👥 Rooms</Text>
+        <Text style={styles.headerSubtitle}>Multilingual Conversations</Text>
+      </View>
+
+      {/* Room Controls */}
+      <View style={styles.controls}>
+        <LanguagePicker
+          label="My Language:"
+          selectedLanguage={myLanguage}
+          onSelectLanguage={changeMyLanguage}
+        />
+
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.textInput}
+            value={newRoomName}
+            onChangeText={setNewRoomName}
+            placeholder="New room name"
+            placeholderTextColor={COLORS.textLight}
+          />
+          <TouchableOpacity style={styles.actionButton} onPress={createRoom}>
+            <Text style={styles.actionButtonText}>Create</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.textInput}
+            value={joinRoomId}
+            onChangeText={setJoinRoomId}
+            placeholder="Room ID to join"
+            placeholderTextColor={COLORS.textLight}
+            autoCapitalize="none"
+          />
+          <TextInput
+            style={[styles.textInput, styles.inviteInput]}
+            value={joinInviteCode}
+            onChangeText={setJoinInviteCode}
+            placeholder="Invite code"
+            placeholderTextColor={COLORS.textLight}
+            autoCapitalize="none"
+          />
+          <TouchableOpacity style={styles.actionButton} onPress={joinRoom}>
+            <Text style={styles.actionButtonText}>Join</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Rooms List */}
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={rooms}
+          keyExtractor={(item) => item.id}
+          renderItem={renderRoom}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={renderEmpty}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: COLORS.textWhite,
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.8)',
+    marginTop: 2,
+  },
+  controls: {
+    padding: 12,
+    backgroundColor: COLORS.card,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  textInput: {
+    flex: 1,
+    height: 40,
+    backgroundColor: COLORS.background,
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    fontSize: 14,
+    color: COLORS.text,
+  },
+  inviteInput: {
+    marginLeft: 8,
+  },
+  actionButton: {
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: COLORS.textWhite,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    flexGrow: 1,
+    padding: 12,
+  },
+  roomCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    shadowColor: COLORS.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  roomHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  roomName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  memberBadge: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: COLORS.primary,
+    backgroundColor: COLORS.background,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  roomId: {
+    fontSize: 11,
+    color: COLORS.textLight,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 60,
+    marginBottom: 16,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: COLORS.text,
+    marginBottom: 8,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    color: COLORS.textLight,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+});
+
+export default RoomsScreen;
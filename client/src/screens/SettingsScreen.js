@@ -4,10 +4,10 @@
  * PDC Lab Exam - Distributed Chat System
  * 
  * Shows:
- * - User ID
+ * - Account: log in / create an account, or the logged-in user and log out
  * - Default language settings
  * - Connection status
- * - API health check
+ * - API health check (per-service status from the gRPC health probes)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -16,17 +16,31 @@ import {
   Text,
   StyleSheet,
   ScrollView,
+  TextInput,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { COLORS, LANGUAGES, generateUserId, API_BASE_URL } from '../constants/config';
+import { COLORS, LANGUAGES, API_BASE_URL } from '../constants/config';
 import { api } from '../services/api';
+import { useSession } from '../services/session';
 import LanguagePicker from '../components/LanguagePicker';
 
+// Services reported by GET /api/health
+const HEALTH_SERVICES = [
+  { key: 'apiGateway', label: 'API Gateway' },
+  { key: 'translationService', label: 'Translation Service' },
+  { key: 'audioService', label: 'Audio Service' },
+];
+
 const SettingsScreen = () => {
-  const [userId] = useState(generateUserId());
+  const session = useSession();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [authenticating, setAuthenticating] = useState(false);
+  const [authError, setAuthError] = useState(null);
+  const [usage, setUsage] = useState(null);
   const [defaultSourceLang, setDefaultSourceLang] = useState('en');
   const [defaultTargetLang, setDefaultTargetLang] = useState('es');
   const [healthStatus, setHealthStatus] = useState(null);
@@ -39,6 +53,19 @@ const SettingsScreen = () => {
     loadLanguages();
   }, []);
 
+  // Today's quotas for the logged-in user
+  useEffect(() => {
+    setUsage(null);
+    if (!session) return;
+    api.getUsage()
+      .then(response => setUsage(response.quotas))
+      .catch(error => console.log('Usage unavailable:', error.message));
+  }, [session?.token]);
+
+  const formatQuota = (quota, format) => (
+    quota.limit === null ? 'Unlimited' : `${format(quota.remaining)} of ${format(quota.limit)} left`
+  );
+
   const loadLanguages = async () => {
     try {
       const response = await api.getLanguages();
@@ -73,9 +100,36 @@ const SettingsScreen = () => {
     }
   };
 
+  // Log in, or create the account first when register is true
+  const authenticate = async (register) => {
+    if (!username.trim() || !password) {
+      setAuthError('Enter a username and password');
+      return;
+    }
+
+    setAuthenticating(true);
+    setAuthError(null);
+    try {
+      if (register) {
+        await api.register(username.trim(), password);
+      } else {
+        await api.login(username.trim(), password);
+      }
+      setPassword('');
+    } catch (error) {
+      setAuthError(error.message);
+    } finally {
+      setAuthenticating(false);
+    }
+  };
+
   const saveLanguagePreference = async () => {
+    if (!session) {
+      Alert.alert('Log In Required', 'Log in to save your language preference.');
+      return;
+    }
     try {
-      const response = await api.setUserLanguage(userId, defaultTargetLang);
+      const response = await api.setUserLanguage(defaultTargetLang);
       if (response.success) {
         Alert.alert('Success', 'Language preference saved!');
       }
@@ -96,18 +150,90 @@ const SettingsScreen = () => {
         style={styles.content}
         contentContainerStyle={styles.scrollContent}
       >
-        {/* User Info Card */}
+        {/* Account Card */}
         <View style={styles.card}>
-          <Text style={styles.cardTitle}>👤 User Information</Text>
-          
-          <View style={styles.infoRow}>
-            <Text style={styles.infoLabel}>User ID:</Text>
-            <Text style={styles.infoValue}>{userId}</Text>
-          </View>
-          
-          <Text style={styles.infoNote}>
-            💡 This ID is auto-generated for this session
-          </Text>
+          <Text style={styles.cardTitle}>👤 Account</Text>
+
+          {session ? (
+            <>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>User ID:</Text>
+                <Text style={styles.infoValue}>{session.user.userId}</Text>
+              </View>
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>Session expires:</Text>
+                <Text style={styles.infoValue}>{new Date(session.expiresAt).toLocaleString()}</Text>
+              </View>
+              {usage && (
+                <>
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>Translation today:</Text>
+                    <Text style={styles.infoValue}>
+                      {formatQuota(usage.translatedCharacters, n => `${n.toLocaleString()} chars`)}
+                    </Text>
+                  </View>
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>Audio today:</Text>
+                    <Text style={styles.infoValue}>
+                      {formatQuota(usage.audioBytes, n => `${(n / (1024 * 1024)).toFixed(1)} MB`)}
+                    </Text>
+                  </View>
+                </>
+              )}
+
+              <TouchableOpacity style={[styles.testButton, styles.accountButton]} onPress={api.logout}>
+                <Text style={styles.testButtonText}>🚪 Log Out</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <TextInput
+                style={styles.input}
+                value={username}
+                onChangeText={setUsername}
+                placeholder="Username"
+                placeholderTextColor={COLORS.textLight}
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!authenticating}
+              />
+              <TextInput
+                style={styles.input}
+                value={password}
+                onChangeText={setPassword}
+                placeholder="Password (8+ characters)"
+                placeholderTextColor={COLORS.textLight}
+                secureTextEntry
+                editable={!authenticating}
+                onSubmitEditing={() => authenticate(false)}
+              />
+
+              {authError && <Text style={styles.authError}>{authError}</Text>}
+
+              <TouchableOpacity
+                style={[styles.saveButton, authenticating && styles.buttonDisabled]}
+                onPress={() => authenticate(false)}
+                disabled={authenticating}
+              >
+                {authenticating ? (
+                  <ActivityIndicator color={COLORS.textWhite} size="small" />
+                ) : (
+                  <Text style={styles.saveButtonText}>Log In</Text>
+                )}
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.testButton, styles.accountButton, authenticating && styles.buttonDisabled]}
+                onPress={() => authenticate(true)}
+                disabled={authenticating}
+              >
+                <Text style={styles.testButtonText}>Create Account</Text>
+              </TouchableOpacity>
+
+              <Text style={styles.infoNote}>
+                💡 Chat, Rooms and History need a logged-in user
+              </Text>
+            </>
+          )}
         </View>
 
         {/* Language Settings Card */}
@@ -159,32 +285,32 @@ const SettingsScreen = () => {
 
           {healthStatus && (
             <View style={styles.healthDetails}>
-              {healthStatus.success ? (
+              {healthStatus.services ? (
                 <>
                   <View style={styles.serviceRow}>
                     <Text style={styles.serviceLabel}>Status:</Text>
-                    <Text style={[styles.serviceStatus, styles.online]}>
-                      ✅ {healthStatus.status}
-                    </Text>
-                  </View>
-                  <View style={styles.serviceRow}>
-                    <Text style={styles.serviceLabel}>API Gateway:</Text>
-                    <Text style={[styles.serviceStatus, styles.online]}>
-                      ✅ {healthStatus.services?.apiGateway}
-                    </Text>
-                  </View>
-                  <View style={styles.serviceRow}>
-                    <Text style={styles.serviceLabel}>Translation Service:</Text>
-                    <Text style={styles.serviceStatus}>
-                      📡 {healthStatus.services?.translationService}
-                    </Text>
-                  </View>
-                  <View style={styles.serviceRow}>
-                    <Text style={styles.serviceLabel}>Audio Service:</Text>
-                    <Text style={styles.serviceStatus}>
-                      📡 {healthStatus.services?.audioService}
+                    <Text style={[styles.serviceStatus, healthStatus.success ? styles.online : styles.offline]}>
+                      {healthStatus.success ? '✅' : '❌'} {healthStatus.status}
                     </Text>
                   </View>
+                  {HEALTH_SERVICES.map(({ key, label }) => {
+                    const service = healthStatus.services[key] || {};
+                    return (
+                      <View key={key}>
+                        <View style={styles.serviceRow}>
+                          <Text style={styles.serviceLabel}>{label}:</Text>
+                          <Text style={[styles.serviceStatus, service.healthy ? styles.online : styles.offline]}>
+                            {service.healthy ? '✅' : '❌'} {service.status}
+                            {service.latencyMs !== undefined ? ` · ${service.latencyMs} ms` : ''}
+                            {service.totalReplicas > 1 ? ` · ${service.healthyReplicas}/${service.totalReplicas} replicas` : ''}
+                          </Text>
+                        </View>
+                        {service.error && (
+                          <Text style={styles.serviceError}>{service.error}</Text>
+                        )}
+                      </View>
+                    );
+                  })}
                   <Text style={styles.timestamp}>
                     Last checked: {new Date(healthStatus.timestamp).toLocaleTimeString()}
                   </Text>
@@ -336,6 +462,23 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     marginTop: 8,
   },
+  input: {
+    backgroundColor: COLORS.background,
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: COLORS.text,
+    marginBottom: 10,
+  },
+  accountButton: {
+    marginTop: 8,
+  },
+  authError: {
+    fontSize: 13,
+    color: COLORS.error,
+    marginBottom: 4,
+  },
   languageSettings: {
     marginBottom: 12,
   },
@@ -377,6 +520,15 @@ const styles = StyleSheet.create({
     color: COLORS.success,
     fontWeight: '600',
   },
+  offline: {
+    color: COLORS.error,
+    fontWeight: '600',
+  },
+  serviceError: {
+    fontSize: 11,
+    color: COLORS.textLight,
+    marginBottom: 4,
+  },
   timestamp: {
     fontSize: 11,
     color: COLORS.textLight,
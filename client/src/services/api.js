@@ -10,25 +10,41 @@
  * React Native App → REST → API Gateway → gRPC → Microservices
  */
 
-import { API_BASE_URL } from '../constants/config';
+import { Platform } from 'react-native';
+import { API_BASE_URL, WS_BASE_URL } from '../constants/config';
+import { getSession, setSession } from './session';
 
 /**
  * Generic fetch wrapper with error handling
+ * FormData bodies keep the multipart Content-Type that fetch generates.
+ * The session's access token is sent as a Bearer token; a 401 means it
+ * expired or was rejected, so the session is cleared (log in again).
  */
 const fetchWithErrorHandling = async (url, options = {}) => {
+  const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
+  const token = getSession()?.token;
   try {
     const response = await fetch(url, {
       ...options,
       headers: {
-        'Content-Type': 'application/json',
+        ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
     });
     
     const data = await response.json();
     
+    if (response.status === 401 && token && getSession()?.token === token) {
+      setSession(null);
+    }
+    
     if (!response.ok) {
-      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.code = data.code; // e.g. UNSUPPORTED_LANGUAGE, TEXT_TOO_LONG
+      error.data = data;
+      throw error;
     }
     
     return data;
@@ -47,9 +63,60 @@ export const api = {
   /**
    * Health Check - Verify all services are running
    * GET /api/health
+   * A 503 still carries the per-service status, so it is returned, not thrown.
    */
   healthCheck: async () => {
-    return fetchWithErrorHandling(`${API_BASE_URL}/api/health`);
+    try {
+      return await fetchWithErrorHandling(`${API_BASE_URL}/api/health`);
+    } catch (error) {
+      if (error.status === 503 && error.data?.services) {
+        return error.data;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Create an Account and Log In
+   * POST /api/auth/register
+   * Starts a session with the returned access token.
+   */
+  register: async (username, password) => {
+    const data = await fetchWithErrorHandling(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    setSession({ token: data.token, expiresAt: data.expiresAt, user: data.user });
+    return data;
+  },
+
+  /**
+   * Log In
+   * POST /api/auth/login
+   * Starts a session with the returned access token.
+   */
+  login: async (username, password) => {
+    const data = await fetchWithErrorHandling(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    setSession({ token: data.token, expiresAt: data.expiresAt, user: data.user });
+    return data;
+  },
+
+  /**
+   * Log Out (tokens are stateless: the app just forgets it)
+   */
+  logout: () => {
+    setSession(null);
+  },
+
+  /**
+   * Today's Quotas and Rate Limits for the Logged-In User
+   * GET /api/usage
+   */
+  getUsage: async () => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/usage`);
   },
 
   /**
@@ -61,16 +128,24 @@ export const api = {
   },
 
   /**
-   * Set User's Preferred Language
+   * Set the Logged-In User's Preferred Language
    * POST /api/users/language
    */
-  setUserLanguage: async (userId, language) => {
+  setUserLanguage: async (language) => {
     return fetchWithErrorHandling(`${API_BASE_URL}/api/users/language`, {
       method: 'POST',
-      body: JSON.stringify({ userId, language }),
+      body: JSON.stringify({ language }),
     });
   },
 
+  /**
+   * Get User's Preferred Language
+   * GET /api/users/:userId/language
+   */
+  getUserLanguage: async (userId) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/users/${encodeURIComponent(userId)}/language`);
+  },
+
   /**
    * Send Text Message for Translation
    * POST /api/messages/text
@@ -79,10 +154,10 @@ export const api = {
    * - REST (JSON) from client to API Gateway
    * - gRPC (Protobuf) from API Gateway to Translation Service
    */
-  sendTextMessage: async (userId, text, sourceLanguage, targetLanguage) => {
+  sendTextMessage: async (text, sourceLanguage, targetLanguage) => {
     return fetchWithErrorHandling(`${API_BASE_URL}/api/messages/text`, {
       method: 'POST',
-      body: JSON.stringify({ userId, text, sourceLanguage, targetLanguage }),
+      body: JSON.stringify({ text, sourceLanguage, targetLanguage }),
     });
   },
 
@@ -94,11 +169,10 @@ export const api = {
    * - REST requires base64 encoding (+33% overhead)
    * - gRPC sends native binary (more efficient)
    */
-  sendAudioMessage: async (userId, audioBase64, sourceLanguage, targetLanguage) => {
+  sendAudioMessage: async (audioBase64, sourceLanguage, targetLanguage) => {
     return fetchWithErrorHandling(`${API_BASE_URL}/api/messages/audio`, {
       method: 'POST',
       body: JSON.stringify({
-        userId,
         audioData: audioBase64,
         audioFormat: 'wav',
         sourceLanguage,
@@ -108,14 +182,97 @@ export const api = {
   },
 
   /**
-   * Get Chat History
+   * Upload a Recorded Audio File
+   * POST /api/messages/audio (multipart/form-data)
+   * 
+   * Sends the recording as binary multipart data - no base64 overhead.
+   * recording: { uri, fileName, mimeType, format } from audioRecorder
+   */
+  uploadAudioMessage: async (recording, sourceLanguage, targetLanguage) => {
+    const formData = new FormData();
+
+    if (Platform.OS === 'web') {
+      // Browsers need the actual Blob behind the blob: URI
+      const blob = await (await fetch(recording.uri)).blob();
+      formData.append('audio', blob, recording.fileName);
+    } else {
+      formData.append('audio', {
+        uri: recording.uri,
+        name: recording.fileName,
+        type: recording.mimeType,
+      });
+    }
+
+    formData.append('audioFormat', recording.format);
+    formData.append('sourceLanguage', sourceLanguage);
+    formData.append('targetLanguage', targetLanguage);
+
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/messages/audio`, {
+      method: 'POST',
+      body: formData,
+    });
+  },
+
+  /**
+   * Get the Logged-In User's Chat History
    * GET /api/messages/history
    */
-  getChatHistory: async (userId, limit = 50) => {
-    const url = userId 
-      ? `${API_BASE_URL}/api/messages/history?userId=${userId}&limit=${limit}`
-      : `${API_BASE_URL}/api/messages/history?limit=${limit}`;
-    return fetchWithErrorHandling(url);
+  getChatHistory: async (limit = 50) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/messages/history?limit=${limit}`);
+  },
+
+  /**
+   * Create a Chat Room (creator becomes the first member)
+   * POST /api/rooms
+   */
+  createRoom: async (name) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/rooms`, {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  /**
+   * List the Rooms the Logged-In User Belongs To
+   * GET /api/rooms
+   */
+  getRooms: async () => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/rooms`);
+  },
+
+  /**
+   * Join a Chat Room
+   * POST /api/rooms/:roomId/join
+   * 
+   * inviteCode comes from the room's creator
+   */
+  joinRoom: async (roomId, inviteCode) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/rooms/${roomId}/join`, {
+      method: 'POST',
+      body: JSON.stringify({ inviteCode }),
+    });
+  },
+
+  /**
+   * Post a Message to a Room
+   * POST /api/rooms/:roomId/messages
+   * 
+   * The gateway translates it once per member language with a single
+   * TranslateBatch gRPC call.
+   */
+  sendRoomMessage: async (roomId, text, sourceLanguage) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/rooms/${roomId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ text, sourceLanguage }),
+    });
+  },
+
+  /**
+   * Get Room History in the User's Preferred Language
+   * GET /api/rooms/:roomId/messages
+   */
+  getRoomMessages: async (roomId, limit = 50) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/rooms/${roomId}/messages?limit=${limit}`);
   },
 
   /**
@@ -124,8 +281,32 @@ export const api = {
    * 
    * IMPORTANT FOR EXAM: Shows why gRPC is faster than REST
    */
-  getPerformanceMetrics: async () => {
-    return fetchWithErrorHandling(`${API_BASE_URL}/api/performance/metrics`);
+  getPerformanceMetrics: async (window = 'all') => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/performance/metrics?window=${window}`);
+  },
+
+  /**
+   * Reset Performance Metrics
+   * POST /api/performance/metrics/reset
+   */
+  resetPerformanceMetrics: async () => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/performance/metrics/reset`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Benchmark the Gateway → Service Hop over Both Transports
+   * POST /api/performance/benchmark
+   * 
+   * Same calls over gRPC and the service's HTTP/JSON twin
+   * operation: 'text' | 'audio'
+   */
+  runTransportBenchmark: async (operation = 'text', iterations = 20) => {
+    return fetchWithErrorHandling(`${API_BASE_URL}/api/performance/benchmark`, {
+      method: 'POST',
+      body: JSON.stringify({ operation, iterations }),
+    });
   },
 
   /**
@@ -142,11 +323,24 @@ export const api = {
   },
 };
 
+/**
+ * Full URL for a processed audio download
+ * GET /api/messages/:id/audio (raw bytes, supports Range)
+ * 
+ * Players cannot send headers, so the access token goes in the query string.
+ */
+export const getAudioUrl = (audioPath) => {
+  if (!audioPath) return null;
+  const url = audioPath.startsWith('http') ? audioPath : `${API_BASE_URL}${audioPath}`;
+  const token = getSession()?.token;
+  return token ? `${url}?access_token=${encodeURIComponent(token)}` : url;
+};
+
 /**
  * Generate dummy audio data for testing
  * Creates a fake WAV-like binary pattern encoded as base64
  * 
- * In production, this would be real recorded audio
+ * Used as a fallback when the device cannot record (e.g. no microphone)
  */
 export const generateDummyAudio = () => {
   const size = 10240; // 10KB of dummy audio
@@ -188,4 +382,68 @@ const btoa = (str) => {
   return output;
 };
 
+/**
+ * Subscribe to the real-time message stream
+ * WS /api/messages/stream
+ * 
+ * The gateway first sends a snapshot of the logged-in user's recent
+ * messages, then pushes each new text/audio message of theirs as it is
+ * stored, and the messages of their rooms to onRoomMessage. Reconnects
+ * automatically with backoff until the returned unsubscribe function is
+ * called; without a session there is nothing to subscribe to.
+ */
+export const subscribeToMessages = ({
+  limit = 50,
+  onSnapshot,
+  onMessage,
+  onRoomMessage,
+  onStatusChange,
+} = {}) => {
+  let socket = null;
+  let closed = false;
+  let retryDelay = 1000;
+  let retryTimer = null;
+
+  const token = getSession()?.token;
+  if (!token) return () => {};
+
+  const url = `${WS_BASE_URL}/api/messages/stream?limit=${limit}&access_token=${encodeURIComponent(token)}`;
+
+  const connect = () => {
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      retryDelay = 1000;
+      onStatusChange?.('connected');
+    };
+
+    socket.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      if (frame.type === 'snapshot') onSnapshot?.(frame.messages || []);
+      if (frame.type === 'message') onMessage?.(frame.message);
+      if (frame.type === 'room-message') onRoomMessage?.(frame.roomId, frame.message);
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      onStatusChange?.('disconnected');
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    socket?.close();
+  };
+};
+
 export default api;
@@ -0,0 +1,94 @@
+/**
+ * Audio Recorder Service
+ * ======================
+ * PDC Lab Exam - Distributed Chat System
+ * 
+ * Records audio from the device microphone using expo-av.
+ * Works on iOS, Android and web (expo-av uses MediaRecorder in the browser).
+ * 
+ * Usage:
+ *   await startRecording();
+ *   const recording = await stopRecording();
+ *   // → { uri, fileName, mimeType, format, durationMs }
+ */
+
+import { Platform } from 'react-native';
+import { Audio } from 'expo-av';
+
+let activeRecording = null;
+
+/**
+ * Whether this platform can record at all
+ * Browsers without MediaRecorder (or without a secure context) cannot.
+ */
+export const isRecordingSupported = () => {
+  if (Platform.OS !== 'web') return true;
+  return typeof window !== 'undefined'
+    && typeof window.MediaRecorder !== 'undefined'
+    && !!navigator.mediaDevices?.getUserMedia;
+};
+
+/**
+ * Ask for microphone permission and start recording
+ */
+export const startRecording = async () => {
+  if (activeRecording) {
+    throw new Error('A recording is already in progress');
+  }
+
+  const permission = await Audio.requestPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Microphone permission was not granted');
+  }
+
+  await Audio.setAudioModeAsync({
+    allowsRecordingIOS: true,
+    playsInSilentModeIOS: true,
+  });
+
+  const { recording } = await Audio.Recording.createAsync(
+    Audio.RecordingOptionsPresets.HIGH_QUALITY
+  );
+  activeRecording = recording;
+};
+
+/**
+ * Stop the current recording and describe the recorded file
+ */
+export const stopRecording = async () => {
+  if (!activeRecording) {
+    throw new Error('No recording in progress');
+  }
+
+  const recording = activeRecording;
+  activeRecording = null;
+
+  const status = await recording.stopAndUnloadAsync();
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+
+  const uri = recording.getURI();
+  // HIGH_QUALITY preset: AAC in .m4a on native, WebM/Opus in the browser
+  const format = Platform.OS === 'web' ? 'webm' : 'm4a';
+
+  return {
+    uri,
+    format,
+    fileName: `recording.${format}`,
+    mimeType: Platform.OS === 'web' ? 'audio/webm' : 'audio/mp4',
+    durationMs: status.durationMillis || 0,
+  };
+};
+
+/**
+ * Discard the current recording, if any
+ */
+export const cancelRecording = async () => {
+  if (!activeRecording) return;
+  const recording = activeRecording;
+  activeRecording = null;
+  try {
+    await recording.stopAndUnloadAsync();
+  } catch (error) {
+    // Already stopped
+  }
+};
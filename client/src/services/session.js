@@ -0,0 +1,41 @@
+/**
+ * Session
+ * =======
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * The logged-in user and their access token, shared by every screen.
+ * Set by the login flow in SettingsScreen, read by api.js for the
+ * Authorization header. Kept in memory: the app asks for a login again
+ * after it is restarted.
+ */
+
+import { useState, useEffect } from 'react';
+
+// { token, expiresAt, user: { userId } } or null
+let session = null;
+const listeners = new Set();
+
+export const getSession = () => session;
+
+/**
+ * Replace the session (null logs out) and notify every screen
+ */
+export const setSession = (next) => {
+  session = next;
+  listeners.forEach(listener => listener(session));
+};
+
+/**
+ * React hook: the current session, re-rendering on login and logout
+ */
+export const useSession = () => {
+  const [current, setCurrent] = useState(session);
+
+  useEffect(() => {
+    listeners.add(setCurrent);
+    setCurrent(session);
+    return () => listeners.delete(setCurrent);
+  }, []);
+
+  return current;
+};
@@ -0,0 +1,252 @@
+/**
+ * Service Registry - gRPC Server
+ * ==============================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Keeps track of the running Translation and Audio Service instances so the
+ * API Gateway can find them at runtime instead of from hardcoded addresses.
+ * Communication: gRPC with Protocol Buffers (binary serialization)
+ *
+ * - Services call Register on startup, Heartbeat every few seconds and
+ *   Deregister on shutdown
+ * - An instance without a heartbeat for REGISTRY_TTL_MS is dropped
+ * - The gateway polls ListInstances and updates its load balancers
+ *
+ * The list is kept in memory: after a registry restart, instances register
+ * again on their next heartbeat. Until one TTL has passed, ListInstances says
+ * warming_up so clients do not drop instances that have not re-registered yet.
+ */
+
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const path = require('path');
+const { createRegistry, createMetricsServer } = require('../shared/prometheus');
+const { createRpcMetrics } = require('../shared/rpc-metrics');
+const { traceHandlers } = require('../shared/tracing');
+const { createLogger } = require('../shared/logger');
+const { createHealthService } = require('../shared/health');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+const PORT = process.env.REGISTRY_PORT || 50050;
+const METRICS_PORT = process.env.REGISTRY_METRICS_PORT || 9050; // Prometheus /metrics
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.REGISTRY_HEARTBEAT_MS) || 5000;
+const TTL_MS = parseInt(process.env.REGISTRY_TTL_MS) || 3 * HEARTBEAT_INTERVAL_MS;
+const PROTO_PATH = path.join(__dirname, '../proto/registry.proto');
+const HEALTH_PROTO_PATH = path.join(__dirname, '../proto/health.proto');
+
+// LOG_LEVEL, LOG_FORMAT and LOG_REDACT (see shared/logger.js)
+const logger = createLogger({ service: 'registry-service' });
+
+// ============================================================================
+// LOAD PROTO DEFINITION
+// ============================================================================
+const protoOptions = {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true
+};
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, protoOptions);
+
+const registryProto = grpc.loadPackageDefinition(packageDefinition).registry;
+
+// Standard gRPC health checking (grpc.health.v1)
+const healthProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(HEALTH_PROTO_PATH, protoOptions)
+).grpc.health.v1;
+
+// ============================================================================
+// INSTANCE STORE
+// ============================================================================
+
+// instance_id → Instance message
+const instances = new Map();
+
+// After a restart the list is empty until every instance's next heartbeat
+const startedAt = Date.now();
+
+/**
+ * Drop instances whose last heartbeat is older than the TTL
+ */
+function expireInstances() {
+  const now = Date.now();
+  for (const [instanceId, instance] of instances) {
+    if (now - instance.last_heartbeat > TTL_MS) {
+      instances.delete(instanceId);
+      logger.warn('Instance expired', {
+        instanceId,
+        lastHeartbeat: new Date(instance.last_heartbeat).toISOString()
+      });
+    }
+  }
+}
+
+// ============================================================================
+// gRPC SERVICE IMPLEMENTATIONS
+// ============================================================================
+
+/**
+ * Register RPC
+ * Adds an instance, or refreshes it if the same address registers again
+ */
+function handleRegister(call, callback) {
+  const { service, grpc_address, http_address } = call.request.instance || {};
+
+  if (!service || !grpc_address || !http_address) {
+    call.log.warn('Register rejected', { service, grpcAddress: grpc_address });
+    return callback({
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'instance.service, instance.grpc_address and instance.http_address are required'
+    });
+  }
+
+  const instanceId = `${service}@${grpc_address}`;
+  const now = Date.now();
+  const existing = instances.get(instanceId);
+
+  instances.set(instanceId, {
+    instance_id: instanceId,
+    service,
+    grpc_address,
+    http_address,
+    registered_at: existing ? existing.registered_at : now,
+    last_heartbeat: now
+  });
+
+  call.log.info(existing ? 'Instance re-registered' : 'Instance registered', {
+    instanceId,
+    httpAddress: http_address,
+    instances: instances.size
+  });
+
+  callback(null, {
+    success: true,
+    instance_id: instanceId,
+    heartbeat_interval_ms: HEARTBEAT_INTERVAL_MS,
+    ttl_ms: TTL_MS
+  });
+}
+
+/**
+ * Heartbeat RPC
+ * Unknown instances get registered: false and are expected to register again
+ */
+function handleHeartbeat(call, callback) {
+  const instance = instances.get(call.request.instance_id);
+
+  if (!instance) {
+    call.log.debug('Heartbeat from unknown instance', { instanceId: call.request.instance_id });
+    return callback(null, { registered: false });
+  }
+
+  instance.last_heartbeat = Date.now();
+  callback(null, { registered: true });
+}
+
+/**
+ * Deregister RPC
+ */
+function handleDeregister(call, callback) {
+  const removed = instances.delete(call.request.instance_id);
+
+  call.log.info('Instance deregistered', {
+    instanceId: call.request.instance_id,
+    known: removed,
+    instances: instances.size
+  });
+
+  callback(null, { success: removed });
+}
+
+/**
+ * ListInstances RPC
+ * Polled by the API Gateway, so it logs at debug level only
+ */
+function handleListInstances(call, callback) {
+  expireInstances();
+
+  const service = call.request.service;
+  const matching = [...instances.values()].filter(instance => !service || instance.service === service);
+
+  call.log.debug('ListInstances', { service: service || '(all)', instances: matching.length });
+  callback(null, { instances: matching, warming_up: Date.now() - startedAt < TTL_MS });
+}
+
+// ============================================================================
+// SERVER SETUP
+// ============================================================================
+
+// Prometheus metrics for every RPC, served on METRICS_PORT
+const metricsRegistry = createRegistry();
+metricsRegistry.registerProcessMetrics();
+const rpcMetrics = createRpcMetrics(metricsRegistry);
+
+metricsRegistry.gauge({
+  name: 'registry_instances',
+  help: 'Registered instances per service.',
+  labelNames: ['service'],
+  collect: (gauge) => {
+    gauge.reset();
+    for (const instance of instances.values()) {
+      gauge.inc({ service: instance.service });
+    }
+  }
+});
+
+// (traceHandlers reads x-request-id / traceparent into call.trace, echoes them
+// and gives each call a call.log with the request and trace IDs)
+const serviceHandlers = traceHandlers({
+  Register: handleRegister,
+  Heartbeat: handleHeartbeat,
+  Deregister: handleDeregister,
+  ListInstances: handleListInstances
+}, { Metadata: grpc.Metadata, logger });
+
+// SERVING once the gRPC port is bound
+const health = createHealthService(['registry.Registry']);
+
+function startServer() {
+  const server = new grpc.Server();
+
+  // Register service handlers
+  server.addService(registryProto.Registry.service, rpcMetrics.instrument(serviceHandlers, {
+    serviceName: 'registry.Registry',
+    packageDefinition,
+    transport: 'grpc'
+  }));
+  server.addService(healthProto.Health.service, health.handlers);
+
+  // Bind and start server
+  server.bindAsync(
+    `0.0.0.0:${PORT}`,
+    grpc.ServerCredentials.createInsecure(),
+    (error, port) => {
+      if (error) {
+        logger.error('Failed to start Service Registry', { error });
+        process.exit(1);
+      }
+
+      health.setServing(true);
+      logger.info('Service Registry (gRPC) started', {
+        port,
+        protocol: 'gRPC with Protocol Buffers',
+        heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+        ttlMs: TTL_MS
+      });
+    }
+  );
+
+  // Expire silent instances even when nobody is listing them
+  setInterval(expireInstances, HEARTBEAT_INTERVAL_MS).unref();
+
+  // Prometheus scrape endpoint
+  createMetricsServer(metricsRegistry).listen(METRICS_PORT, () => {
+    logger.info('Metrics listening', { url: `http://localhost:${METRICS_PORT}/metrics` });
+  });
+}
+
+// Start the server
+startServer();
@@ -0,0 +1,70 @@
+/**
+ * Health Checking
+ * ===============
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Server side of the standard gRPC health protocol (grpc.health.v1.Health in
+ * proto/health.proto), so the gateway, load balancers and tools such as
+ * grpc_health_probe can ask a service whether it is serving.
+ *
+ *   const health = createHealthService(['translation.TranslationService']);
+ *   server.addService(healthProto.Health.service, health.handlers);
+ *   health.setServing(true); // once the server is bound
+ *
+ * The empty service name "" stands for the whole server.
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+// gRPC NOT_FOUND, returned by Check for a service that is not registered
+const STATUS_NOT_FOUND = 5;
+
+/**
+ * Create the health service; every service starts NOT_SERVING
+ */
+function createHealthService(serviceNames) {
+  const statuses = new Map(['', ...serviceNames].map(name => [name, 'NOT_SERVING']));
+  const watchers = new Map(); // service name → Set of Watch calls
+
+  const setStatus = (service, status) => {
+    if (statuses.get(service) === status) return;
+    statuses.set(service, status);
+    for (const call of watchers.get(service) || []) {
+      call.write({ status });
+    }
+  };
+
+  return {
+    handlers: {
+      Check(call, callback) {
+        const status = statuses.get(call.request.service);
+        if (!status) {
+          return callback({ code: STATUS_NOT_FOUND, details: `Unknown service "${call.request.service}"` });
+        }
+        callback(null, { status });
+      },
+
+      Watch(call) {
+        const service = call.request.service;
+        if (!watchers.has(service)) watchers.set(service, new Set());
+        watchers.get(service).add(call);
+        call.on('cancelled', () => watchers.get(service).delete(call));
+
+        call.write({ status: statuses.get(service) || 'SERVICE_UNKNOWN' });
+      }
+    },
+
+    setStatus,
+
+    /**
+     * Mark the whole server and every registered service (not) serving
+     */
+    setServing(serving) {
+      for (const service of statuses.keys()) {
+        setStatus(service, serving ? 'SERVING' : 'NOT_SERVING');
+      }
+    }
+  };
+}
+
+module.exports = { createHealthService };
@@ -0,0 +1,175 @@
+/**
+ * HTTP/JSON Twin of a gRPC Service
+ * ================================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Serves the same handlers a service registers with grpc.Server over plain
+ * HTTP/1.1 + JSON, so the gateway can compare both transports like with like.
+ *
+ *   POST /<Method>    body: request message as JSON      → response message as JSON
+ *   POST /<Method>    body: { "messages": [...] }         (client-streaming methods)
+ *   GET  /            lists the available methods
+ *
+ * Field names are the proto field names; bytes fields are base64 strings.
+ * gRPC errors passed to the callback become { success: false, error, code }
+ * with a matching HTTP status. Request headers are the call's metadata and
+ * call.sendMetadata() sets response headers, as with grpc-js.
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const { createProtoJson } = require('./proto-json');
+
+// gRPC status code → HTTP status (codes from grpc/doc/statuscodes.md)
+const HTTP_STATUS_FOR_GRPC_CODE = {
+  1: 499, // CANCELLED
+  3: 400, // INVALID_ARGUMENT
+  4: 504, // DEADLINE_EXCEEDED
+  5: 404, // NOT_FOUND
+  7: 403, // PERMISSION_DENIED
+  8: 429, // RESOURCE_EXHAUSTED
+  9: 400, // FAILED_PRECONDITION
+  12: 501, // UNIMPLEMENTED
+  14: 503, // UNAVAILABLE
+  16: 401 // UNAUTHENTICATED
+};
+
+// Base64 makes bytes fields ~33% larger than the 50MB audio limit
+const MAX_BODY_SIZE = 70 * 1024 * 1024;
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(json)
+  });
+  res.end(json);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req, callback) {
+  const parts = [];
+  let size = 0;
+  let failed = false;
+
+  req.on('data', (data) => {
+    if (failed) return;
+    size += data.length;
+    if (size > MAX_BODY_SIZE) {
+      failed = true;
+      return callback(Object.assign(new Error(`Body exceeds ${MAX_BODY_SIZE} bytes`), { status: 413 }));
+    }
+    parts.push(data);
+  });
+
+  req.on('end', () => {
+    if (failed) return;
+    const text = Buffer.concat(parts).toString('utf8');
+    try {
+      callback(null, text ? JSON.parse(text) : {});
+    } catch (error) {
+      callback(Object.assign(new Error(`Invalid JSON: ${error.message}`), { status: 400 }));
+    }
+  });
+}
+
+/**
+ * grpc-js call fields backed by the HTTP request and response:
+ * metadata.get(key) reads a request header, sendMetadata() sets response headers
+ */
+function callContext(req, res) {
+  return {
+    metadata: {
+      get: (key) => (req.headers[key] === undefined ? [] : [req.headers[key]])
+    },
+    sendMetadata(metadata) {
+      for (const [key, value] of Object.entries(metadata.getMap())) {
+        res.setHeader(key, value);
+      }
+    }
+  };
+}
+
+/**
+ * Run a client-streaming handler with a call object that replays the messages
+ */
+function invokeStreaming(handler, context, messages, callback) {
+  const call = Object.assign(new EventEmitter(), context);
+  handler(call, callback);
+
+  // Emit after the handler has registered its listeners
+  setImmediate(() => {
+    messages.forEach(message => call.emit('data', message));
+    call.emit('end');
+  });
+}
+
+/**
+ * Create an HTTP server exposing a gRPC service's handlers as JSON endpoints
+ *
+ * serviceName: fully-qualified service, e.g. 'translation.TranslationService'
+ * handlers:    the same { Method: (call, callback) } map given to addService
+ */
+function createHttpTwin({ serviceName, packageDefinition, handlers }) {
+  const protoJson = createProtoJson(packageDefinition);
+  const methods = protoJson.methodTypes(serviceName);
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const methodName = pathname.slice(1);
+
+    if (req.method === 'GET' && pathname === '/') {
+      return sendJson(res, 200, { service: serviceName, methods: Object.keys(methods) });
+    }
+
+    const method = methods[methodName];
+    if (!method || !handlers[methodName]) {
+      return sendJson(res, 404, { success: false, error: `Unknown method ${methodName}` });
+    }
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { success: false, error: 'Use POST' });
+    }
+
+    readJsonBody(req, (bodyError, body) => {
+      if (bodyError) {
+        return sendJson(res, bodyError.status, { success: false, error: bodyError.message });
+      }
+
+      const callback = (error, response) => {
+        if (error) {
+          return sendJson(res, HTTP_STATUS_FOR_GRPC_CODE[error.code] || 500, {
+            success: false,
+            error: error.details || error.message,
+            code: error.code
+          });
+        }
+        sendJson(res, 200, protoJson.toJson(method.responseType, response));
+      };
+
+      try {
+        if (method.requestStream) {
+          const messages = Array.isArray(body.messages) ? body.messages : [];
+          invokeStreaming(
+            handlers[methodName],
+            callContext(req, res),
+            messages.map(message => protoJson.fromJson(method.requestType, message)),
+            callback
+          );
+        } else {
+          handlers[methodName]({
+            ...callContext(req, res),
+            request: protoJson.fromJson(method.requestType, body)
+          }, callback);
+        }
+      } catch (error) {
+        sendJson(res, 500, { success: false, error: error.message });
+      }
+    });
+  });
+}
+
+module.exports = { createHttpTwin };
@@ -0,0 +1,130 @@
+/**
+ * Structured Logger
+ * =================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * One logger for the gateway and both services: levels, a per-service name,
+ * extra fields (request ID, timings, sizes) and redaction of chat content.
+ *
+ *   const logger = createLogger({ service: 'api-gateway' });
+ *   const log = logger.child({ requestId });
+ *   log.info('Translation complete', { backendTime: 12, transport: 'grpc' });
+ *
+ * Environment:
+ *   LOG_LEVEL   debug | info | warn | error | silent   (default info)
+ *   LOG_FORMAT  pretty | json                          (default pretty)
+ *   LOG_REDACT  true | false                           (default true)
+ *
+ * With redaction on, message text fields are replaced by their length and
+ * user IDs by a short hash, so the same user can still be followed in logs.
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ['pretty', 'json'];
+
+// Chat content: logged as "[redacted N chars]"
+const CONTENT_FIELDS = new Set([
+  'text', 'texts', 'originalText', 'translatedText', 'original_text', 'translated_text'
+]);
+
+// Personal identifiers: logged as a stable hash
+const IDENTITY_FIELDS = new Set([
+  'userId', 'user_id', 'senderId', 'createdBy', 'members'
+]);
+
+const hashIdentity = (value) =>
+  `user-${crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 8)}`;
+
+function redactValue(key, value) {
+  if (Array.isArray(value)) return value.map(item => redactValue(key, item));
+  if (value === undefined || value === null || value === '') return value;
+  if (CONTENT_FIELDS.has(key)) return `[redacted ${String(value).length} chars]`;
+  if (IDENTITY_FIELDS.has(key)) return hashIdentity(value);
+  return value;
+}
+
+/**
+ * Errors are not JSON-serializable: keep their message (and gRPC code)
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return value.code === undefined ? value.message : `${value.message} (code ${value.code})`;
+  }
+  return value;
+}
+
+function formatPretty(entry) {
+  const { time, level, service, msg, ...fields } = entry;
+  // Quote strings only when needed, so simple key=value pairs stay readable
+  const pairs = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === 'string' && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value)}`);
+  return `${time} ${level.toUpperCase().padEnd(5)} [${service}] ${msg}${pairs.length ? ' ' + pairs.join(' ') : ''}`;
+}
+
+/**
+ * Read and validate the LOG_* environment variables
+ */
+function loggerOptionsFromEnv(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  const format = (env.LOG_FORMAT || 'pretty').toLowerCase();
+  const redact = (env.LOG_REDACT || 'true').toLowerCase();
+
+  if (!(level in LEVELS)) {
+    throw new Error(`Invalid LOG_LEVEL "${env.LOG_LEVEL}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid LOG_FORMAT "${env.LOG_FORMAT}" (expected ${FORMATS.join(' or ')})`);
+  }
+  if (redact !== 'true' && redact !== 'false') {
+    throw new Error(`Invalid LOG_REDACT "${env.LOG_REDACT}" (expected true or false)`);
+  }
+  return { level, format, redact: redact === 'true' };
+}
+
+/**
+ * Create a logger for one service (options default to the LOG_* variables)
+ */
+function createLogger({ service, fields = {}, ...options }) {
+  // Children pass all three options, so the environment is read once per service
+  const { level, format, redact } = options.level && options.format && options.redact !== undefined
+    ? options
+    : { ...loggerOptionsFromEnv(), ...options };
+  const threshold = LEVELS[level];
+
+  const write = (levelName, msg, extra) => {
+    if (LEVELS[levelName] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: levelName, service, msg };
+    for (const [key, value] of Object.entries({ ...fields, ...extra })) {
+      if (value === undefined) continue;
+      entry[key] = serializeValue(redact ? redactValue(key, value) : value);
+    }
+
+    const line = (format === 'json' ? JSON.stringify(entry) : formatPretty(entry)) + '\n';
+    (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  };
+
+  return {
+    level,
+    format,
+    redact,
+
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+
+    /**
+     * Logger that adds fields (e.g. requestId) to every entry
+     */
+    child(childFields) {
+      return createLogger({ service, fields: { ...fields, ...childFields }, level, format, redact });
+    }
+  };
+}
+
+module.exports = { createLogger, loggerOptionsFromEnv };
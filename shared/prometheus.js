@@ -0,0 +1,228 @@
+/**
+ * Prometheus Metrics
+ * ==================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Minimal metrics registry rendering the Prometheus text format (0.0.4):
+ * counters, gauges and histograms with labels, plus a few process metrics.
+ *
+ * Usage:
+ *   const registry = createRegistry();
+ *   const requests = registry.counter({ name: 'x_total', help: '...', labelNames: ['route'] });
+ *   requests.inc({ route: '/api/x' });
+ *   res.set('Content-Type', CONTENT_TYPE).send(registry.render());
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+const http = require('http');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds: 5ms .. 10s
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Bytes: 64B .. 64MB (powers of 4)
+const SIZE_BUCKETS = [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304, 16777216, 67108864];
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Pick exactly the declared label names (missing ones become "")
+ */
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  }
+  return picked;
+}
+
+/**
+ * Create a metrics registry
+ */
+function createRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric.api;
+  };
+
+  // Shared storage for counters and gauges: one value per label set
+  const createValueMetric = (type, { name, help, labelNames = [], collect }) => {
+    const values = new Map();
+
+    const add = (labels, delta) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = values.get(key) || { labels: picked, value: 0 };
+      entry.value += delta;
+      values.set(key, entry);
+    };
+
+    const api = {
+      inc(labels, value = 1) {
+        add(labels, value);
+      },
+      // For counters, only use set() from collect() to mirror a total kept elsewhere
+      set(labels, value) {
+        const picked = pickLabels(labelNames, labels);
+        values.set(JSON.stringify(picked), { labels: picked, value });
+      },
+      reset() {
+        values.clear();
+      }
+    };
+
+    if (type === 'gauge') {
+      api.dec = (labels, value = 1) => add(labels, -value);
+    }
+
+    return register({
+      name,
+      api,
+      render() {
+        // collect() refreshes values that are read on demand (e.g. memory usage)
+        if (collect) collect(api);
+        const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`];
+        for (const { labels, value } of values.values()) {
+          lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+      }
+    });
+  };
+
+  return {
+    counter(options) {
+      return createValueMetric('counter', options);
+    },
+
+    gauge(options) {
+      return createValueMetric('gauge', options);
+    },
+
+    histogram({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) {
+      const series = new Map();
+      const bounds = [...buckets].sort((a, b) => a - b);
+
+      const api = {
+        observe(labels, value) {
+          const picked = pickLabels(labelNames, labels);
+          const key = JSON.stringify(picked);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = { labels: picked, counts: new Array(bounds.length).fill(0), sum: 0, count: 0 };
+            series.set(key, entry);
+          }
+          for (let i = 0; i < bounds.length; i++) {
+            if (value <= bounds[i]) entry.counts[i]++;
+          }
+          entry.sum += value;
+          entry.count++;
+        },
+
+        /**
+         * Start timing; call the returned function with any extra labels to observe seconds
+         */
+        startTimer(labels = {}) {
+          const start = process.hrtime.bigint();
+          return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            api.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+          };
+        },
+
+        reset() {
+          series.clear();
+        }
+      };
+
+      return register({
+        name,
+        api,
+        render() {
+          const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} histogram`];
+          for (const { labels, counts, sum, count } of series.values()) {
+            bounds.forEach((bound, i) => {
+              lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+          }
+          return lines.join('\n');
+        }
+      });
+    },
+
+    /**
+     * Standard process metrics (start time, memory)
+     */
+    registerProcessMetrics() {
+      const startTime = Math.floor(Date.now() / 1000 - process.uptime());
+      this.gauge({
+        name: 'process_start_time_seconds',
+        help: 'Start time of the process since unix epoch in seconds.',
+        collect: (gauge) => gauge.set({}, startTime)
+      });
+      this.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes.',
+        collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+      });
+      this.gauge({
+        name: 'nodejs_heap_used_bytes',
+        help: 'V8 heap used in bytes.',
+        collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed)
+      });
+    },
+
+    /**
+     * Text exposition of every registered metric
+     */
+    render() {
+      return metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Small HTTP listener serving GET /metrics (for services without Express)
+ */
+function createMetricsServer(registry) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found. Metrics are served at /metrics\n');
+    }
+    const body = registry.render();
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  });
+}
+
+module.exports = {
+  createRegistry,
+  createMetricsServer,
+  CONTENT_TYPE,
+  LATENCY_BUCKETS,
+  SIZE_BUCKETS
+};
@@ -0,0 +1,114 @@
+/**
+ * Proto JSON Mapping
+ * ==================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Converts messages between the objects grpc-js hands to handlers and the
+ * JSON sent over the HTTP twins of each service, using the loaded proto
+ * descriptors (same snake_case field names as keepCase: true).
+ *
+ * - bytes fields travel as base64 strings in JSON and as Buffers in code
+ * - missing fields get proto3 defaults, like proto-loader's defaults: true
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+// Proto3 scalar defaults (64-bit integers are strings, as with longs: String)
+const SCALAR_DEFAULTS = {
+  TYPE_STRING: '',
+  TYPE_BOOL: false,
+  TYPE_INT64: '0',
+  TYPE_UINT64: '0',
+  TYPE_SINT64: '0',
+  TYPE_FIXED64: '0',
+  TYPE_SFIXED64: '0'
+};
+
+function defaultValue(field) {
+  if (field.label === 'LABEL_REPEATED') return [];
+  if (field.type === 'TYPE_BYTES') return Buffer.alloc(0);
+  if (field.type === 'TYPE_MESSAGE') return null;
+  return field.type in SCALAR_DEFAULTS ? SCALAR_DEFAULTS[field.type] : 0;
+}
+
+/**
+ * Create JSON converters for a proto-loader package definition
+ */
+function createProtoJson(packageDefinition) {
+  // Field type names may be relative to the package ("TextRequest")
+  const resolveType = (typeName, packageName) => {
+    const name = typeName.replace(/^\./, '');
+    return packageDefinition[name] ? name : `${packageName}.${name}`;
+  };
+
+  const convert = (typeName, value, convertBytes, fillDefaults) => {
+    const definition = packageDefinition[typeName];
+    if (!definition || !definition.type || value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const packageName = typeName.split('.').slice(0, -1).join('.');
+    const result = { ...value };
+
+    for (const field of definition.type.field) {
+      if (result[field.name] === undefined) {
+        if (fillDefaults) result[field.name] = defaultValue(field);
+        continue;
+      }
+
+      let convertOne = (item) => item;
+      if (field.type === 'TYPE_BYTES') {
+        convertOne = convertBytes;
+      } else if (field.type === 'TYPE_MESSAGE') {
+        const nestedType = resolveType(field.typeName, packageName);
+        convertOne = (item) => convert(nestedType, item, convertBytes, fillDefaults);
+      }
+
+      result[field.name] = field.label === 'LABEL_REPEATED' && Array.isArray(result[field.name])
+        ? result[field.name].map(convertOne)
+        : convertOne(result[field.name]);
+    }
+
+    return result;
+  };
+
+  const bytesToBase64 = (bytes) =>
+    Buffer.isBuffer(bytes) ? bytes.toString('base64') : bytes;
+  const base64ToBytes = (bytes) =>
+    typeof bytes === 'string' ? Buffer.from(bytes, 'base64') : bytes;
+
+  return {
+    /**
+     * Message object → JSON-safe object (Buffers become base64)
+     */
+    toJson(typeName, message) {
+      return convert(typeName, message, bytesToBase64, false);
+    },
+
+    /**
+     * Parsed JSON → message object (base64 becomes Buffers, defaults filled in)
+     */
+    fromJson(typeName, json) {
+      return convert(typeName, json || {}, base64ToBytes, true);
+    },
+
+    /**
+     * Fully-qualified request/response type names for each method of a service
+     */
+    methodTypes(serviceName) {
+      const packageName = serviceName.split('.').slice(0, -1).join('.');
+      const methods = {};
+      for (const [name, method] of Object.entries(packageDefinition[serviceName])) {
+        methods[name] = {
+          requestType: resolveType(method.requestType.type.name, packageName),
+          responseType: resolveType(method.responseType.type.name, packageName),
+          requestStream: method.requestStream,
+          responseStream: method.responseStream
+        };
+      }
+      return methods;
+    }
+  };
+}
+
+module.exports = { createProtoJson };
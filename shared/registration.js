@@ -0,0 +1,99 @@
+/**
+ * Service Registration
+ * ====================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Keeps one service instance registered with the registry service
+ * (registry.Registry in proto/registry.proto):
+ *
+ *   Register on start → Heartbeat every heartbeat_interval_ms → Deregister on stop
+ *
+ * If the registry is down, registration is retried in the background; if it
+ * forgets the instance (restart or expired TTL), the instance registers again.
+ *
+ *   const registration = startRegistration({ client, instance, logger });
+ *   process.on('SIGTERM', () => registration.stop(() => process.exit(0)));
+ *
+ * client: a registry.Registry gRPC client (created by the service: no npm
+ * dependencies here)
+ */
+
+const RETRY_INTERVAL_MS = 2000;
+const CALL_TIMEOUT_MS = 2000;
+
+/**
+ * Register an instance ({ service, grpc_address, http_address }) and keep it alive
+ */
+function startRegistration({ client, instance, logger }) {
+  let instanceId = null;
+  let timer = null;
+  let stopped = false;
+  let reportedDown = false;
+
+  const options = () => ({ deadline: Date.now() + CALL_TIMEOUT_MS });
+  const schedule = (action, delayMs) => {
+    if (!stopped) timer = setTimeout(action, delayMs);
+  };
+
+  // Log the first failure of an outage only, not every retry
+  const registryDown = (error) => {
+    if (!reportedDown) logger.warn('Service registry unreachable, retrying', { error });
+    reportedDown = true;
+  };
+
+  const register = () => {
+    client.Register({ instance }, options(), (error, response) => {
+      if (stopped) return;
+      if (error) {
+        registryDown(error);
+        return schedule(register, RETRY_INTERVAL_MS);
+      }
+
+      reportedDown = false;
+      instanceId = response.instance_id;
+      logger.info('Registered with service registry', {
+        instanceId,
+        heartbeatIntervalMs: response.heartbeat_interval_ms,
+        ttlMs: response.ttl_ms
+      });
+
+      const heartbeat = () => {
+        client.Heartbeat({ instance_id: instanceId }, options(), (heartbeatError, result) => {
+          if (stopped) return;
+          if (heartbeatError) {
+            registryDown(heartbeatError);
+            return schedule(heartbeat, response.heartbeat_interval_ms);
+          }
+          if (!result.registered) {
+            logger.info('Service registry forgot this instance, registering again', { instanceId });
+            return register();
+          }
+          reportedDown = false;
+          schedule(heartbeat, response.heartbeat_interval_ms);
+        });
+      };
+      schedule(heartbeat, response.heartbeat_interval_ms);
+    });
+  };
+
+  register();
+
+  return {
+    /**
+     * Stop heartbeats and deregister; callback runs when done (or on failure)
+     */
+    stop(callback = () => {}) {
+      stopped = true;
+      clearTimeout(timer);
+      if (!instanceId) return callback();
+
+      client.Deregister({ instance_id: instanceId }, options(), (error) => {
+        if (error) logger.warn('Deregister failed', { instanceId, error });
+        else logger.info('Deregistered from service registry', { instanceId });
+        callback();
+      });
+    }
+  };
+}
+
+module.exports = { startRegistration };
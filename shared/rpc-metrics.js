@@ -0,0 +1,132 @@
+/**
+ * RPC Server Metrics
+ * ==================
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Wraps a service's handlers (the map given to grpc.Server#addService and
+ * the HTTP twin) so every call is counted and timed in Prometheus metrics:
+ *
+ *   rpc_server_requests_total        calls started
+ *   rpc_server_errors_total          calls that failed, by status code
+ *   rpc_server_handling_seconds      latency histogram
+ *   rpc_server_in_flight             calls currently being handled
+ *   rpc_server_request_bytes         request size histogram (encoded Protobuf)
+ *   rpc_server_response_bytes        response size histogram (encoded Protobuf)
+ *
+ * Labels: service, method, transport (grpc | http).
+ * A response with success: false counts as an error with code APPLICATION_ERROR.
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+const { SIZE_BUCKETS } = require('./prometheus');
+
+// gRPC status code names (grpc/doc/statuscodes.md)
+const STATUS_NAMES = [
+  'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND',
+  'ALREADY_EXISTS', 'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION',
+  'ABORTED', 'OUT_OF_RANGE', 'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS',
+  'UNAUTHENTICATED'
+];
+
+/**
+ * Register the RPC metrics on a registry and return an instrument() helper
+ */
+function createRpcMetrics(registry) {
+  const labelNames = ['service', 'method', 'transport'];
+
+  const requests = registry.counter({
+    name: 'rpc_server_requests_total',
+    help: 'Total RPCs started on the server.',
+    labelNames
+  });
+  const errors = registry.counter({
+    name: 'rpc_server_errors_total',
+    help: 'Total RPCs that failed, by status code.',
+    labelNames: [...labelNames, 'code']
+  });
+  const latency = registry.histogram({
+    name: 'rpc_server_handling_seconds',
+    help: 'Time from receiving an RPC to sending its response, in seconds.',
+    labelNames
+  });
+  const inFlight = registry.gauge({
+    name: 'rpc_server_in_flight',
+    help: 'RPCs currently being handled.',
+    labelNames
+  });
+  const requestBytes = registry.histogram({
+    name: 'rpc_server_request_bytes',
+    help: 'Request size per RPC in bytes (encoded Protobuf, all messages of a stream).',
+    labelNames,
+    buckets: SIZE_BUCKETS
+  });
+  const responseBytes = registry.histogram({
+    name: 'rpc_server_response_bytes',
+    help: 'Response size per RPC in bytes (encoded Protobuf).',
+    labelNames,
+    buckets: SIZE_BUCKETS
+  });
+
+  /**
+   * Wrap one handler
+   */
+  const instrumentHandler = (handler, method, labels) => (call, callback) => {
+    const endTimer = latency.startTimer(labels);
+    requests.inc(labels);
+    inFlight.inc(labels);
+
+    let received = 0;
+
+    const done = (error, response) => {
+      endTimer();
+      inFlight.dec(labels);
+      requestBytes.observe(labels, received);
+
+      if (error) {
+        errors.inc({ ...labels, code: STATUS_NAMES[error.code] || 'UNKNOWN' });
+      } else {
+        if (response && response.success === false) {
+          errors.inc({ ...labels, code: 'APPLICATION_ERROR' });
+        }
+        responseBytes.observe(labels, method.responseSerialize(response).length);
+      }
+
+      callback(error, response);
+    };
+
+    if (method.requestStream) {
+      handler(call, done);
+      // Listen after the handler so its own listeners are attached first
+      call.on('data', (message) => {
+        received += method.requestSerialize(message).length;
+      });
+    } else {
+      received = method.requestSerialize(call.request).length;
+      handler(call, done);
+    }
+  };
+
+  return {
+    /**
+     * Return a copy of handlers with metrics around every method
+     *
+     * serviceName: fully-qualified service, e.g. 'translation.TranslationService'
+     * transport:   'grpc' or 'http'
+     */
+    instrument(handlers, { serviceName, packageDefinition, transport }) {
+      const service = packageDefinition[serviceName];
+      const instrumented = {};
+      for (const [name, handler] of Object.entries(handlers)) {
+        instrumented[name] = instrumentHandler(handler, service[name], {
+          service: serviceName,
+          method: name,
+          transport
+        });
+      }
+      return instrumented;
+    }
+  };
+}
+
+module.exports = { createRpcMetrics };
@@ -0,0 +1,107 @@
+/**
+ * Request Tracing
+ * ===============
+ * PDC Lab Exam - Distributed Chat System
+ *
+ * Request IDs and W3C Trace Context (https://www.w3.org/TR/trace-context/)
+ * so log lines of one request can be matched across the gateway and services.
+ *
+ *   x-request-id   opaque ID chosen by the client or assigned by the gateway
+ *   traceparent    00-<trace-id>-<parent-span-id>-<flags>
+ *
+ * The gateway sends both as gRPC metadata (HTTP headers for the HTTP/JSON
+ * twins). Each hop keeps the trace ID, takes a new span ID and echoes both
+ * values back in its response metadata / headers.
+ *
+ * No npm dependencies: this directory is shared by every service.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_KEY = 'x-request-id';
+const TRACEPARENT_KEY = 'traceparent';
+
+// Client-supplied IDs end up in logs and headers: keep them short and printable
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const allZeros = (hex) => /^0+$/.test(hex);
+
+/**
+ * Parse a traceparent header; null if missing or invalid
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentSpanId, flags] = match;
+  if (version === 'ff' || allZeros(traceId) || allZeros(parentSpanId)) return null;
+  return { traceId, parentSpanId, flags };
+}
+
+/**
+ * Trace context for this hop from incoming values (either may be missing)
+ *
+ * Returns { requestId, traceId, spanId, parentSpanId, traceparent } where
+ * traceparent is the value to send downstream (this hop's span as parent).
+ */
+function createTraceContext({ requestId, traceparent } = {}) {
+  const parent = parseTraceparent(traceparent);
+  const traceId = parent ? parent.traceId : randomHex(16);
+  const spanId = randomHex(8);
+  const flags = parent ? parent.flags : '01';
+
+  return {
+    requestId: REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID(),
+    traceId,
+    spanId,
+    parentSpanId: parent ? parent.parentSpanId : null,
+    traceparent: `00-${traceId}-${spanId}-${flags}`
+  };
+}
+
+/**
+ * Wrap service handlers so each call gets call.trace from its metadata
+ * and echoes x-request-id / traceparent in its response metadata
+ *
+ * Metadata: the grpc.Metadata class (kept as a parameter: no npm dependencies here)
+ * logger:   optional shared/logger; call.log then carries the trace fields
+ */
+function traceHandlers(handlers, { Metadata, logger }) {
+  const first = (metadata, key) => (metadata ? metadata.get(key)[0] : undefined);
+
+  const traced = {};
+  for (const [name, handler] of Object.entries(handlers)) {
+    traced[name] = (call, callback) => {
+      call.trace = createTraceContext({
+        requestId: first(call.metadata, REQUEST_ID_KEY),
+        traceparent: first(call.metadata, TRACEPARENT_KEY)
+      });
+
+      const echo = new Metadata();
+      echo.set(REQUEST_ID_KEY, call.trace.requestId);
+      echo.set(TRACEPARENT_KEY, call.trace.traceparent);
+      call.sendMetadata(echo);
+
+      if (logger) {
+        call.log = logger.child({
+          requestId: call.trace.requestId,
+          traceId: call.trace.traceId,
+          spanId: call.trace.spanId
+        });
+      }
+
+      handler(call, callback);
+    };
+  }
+  return traced;
+}
+
+module.exports = {
+  REQUEST_ID_KEY,
+  TRACEPARENT_KEY,
+  parseTraceparent,
+  createTraceContext,
+  traceHandlers
+};
@@ -11,16 +11,37 @@ echo "=========================================="
 # Get the directory where this script is located
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 
+# Services register with the registry; the gateway discovers them from it
+export REGISTRY_URL="localhost:50050"
+
+# Every service needs its dependencies (README, "Step 1: Install Dependencies")
+for SERVICE in registry-service translation-service audio-service api-gateway; do
+  if [ ! -d "$SCRIPT_DIR/$SERVICE/node_modules" ]; then
+    echo "Dependencies missing in $SERVICE: run \"cd $SERVICE && npm install\" first"
+    exit 1
+  fi
+done
+
 # Kill any existing services
 echo "Stopping any existing services..."
+pkill -f "registry-service/server.js" 2>/dev/null
 pkill -f "translation-service/server.js" 2>/dev/null
 pkill -f "audio-service/server.js" 2>/dev/null
 pkill -f "api-gateway/server.js" 2>/dev/null
 sleep 2
 
+# Start Service Registry
+echo ""
+echo "[1/4] Starting Service Registry (Port 50050)..."
+cd "$SCRIPT_DIR/registry-service"
+node server.js &
+REGISTRY_PID=$!
+echo "  PID: $REGISTRY_PID"
+sleep 2
+
 # Start Translation Service
 echo ""
-echo "[1/3] Starting Translation Service (Port 50051)..."
+echo "[2/4] Starting Translation Service (Port 50051)..."
 cd "$SCRIPT_DIR/translation-service"
 node server.js &
 TRANS_PID=$!
@@ -29,7 +50,7 @@ sleep 2
 
 # Start Audio Service
 echo ""
-echo "[2/3] Starting Audio Service (Port 50052)..."
+echo "[3/4] Starting Audio Service (Port 50052)..."
 cd "$SCRIPT_DIR/audio-service"
 node server.js &
 AUDIO_PID=$!
@@ -38,7 +59,7 @@ sleep 2
 
 # Start API Gateway
 echo ""
-echo "[3/3] Starting API Gateway (Port 3000)..."
+echo "[4/4] Starting API Gateway (Port 3000)..."
 cd "$SCRIPT_DIR/api-gateway"
 node server.js &
 GATEWAY_PID=$!
@@ -50,12 +71,17 @@ echo "=========================================="
 echo "  ALL SERVICES STARTED"
 echo "=========================================="
 echo ""
+echo "  Service Registry:    http://localhost:50050 (gRPC)"
 echo "  Translation Service: http://localhost:50051 (gRPC)"
 echo "  Audio Service:       http://localhost:50052 (gRPC)"
 echo "  API Gateway:         http://localhost:3000  (REST)"
 echo ""
 echo "  To test: curl http://localhost:3000/api/health"
 echo ""
+echo "  Add a Translation replica at runtime (another terminal):"
+echo "    cd translation-service && REGISTRY_URL=$REGISTRY_URL TRANSLATION_PORT=50061 \\"
+echo "      TRANSLATION_HTTP_PORT=8061 TRANSLATION_METRICS_PORT=9061 node server.js"
+echo ""
 echo "  Press Ctrl+C to stop all services"
 echo "=========================================="
 
@@ -13,26 +13,54 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
+const { createHttpTwin } = require('../shared/http-twin');
+const { createRegistry, createMetricsServer } = require('../shared/prometheus');
+const { createRpcMetrics } = require('../shared/rpc-metrics');
+const { traceHandlers } = require('../shared/tracing');
+const { createLogger } = require('../shared/logger');
+const { createHealthService } = require('../shared/health');
+const { startRegistration } = require('../shared/registration');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 const PORT = process.env.TRANSLATION_PORT || 50051;
+const HTTP_PORT = process.env.TRANSLATION_HTTP_PORT || 8051; // HTTP/JSON twin, for REST vs gRPC comparisons
+const METRICS_PORT = process.env.TRANSLATION_METRICS_PORT || 9051; // Prometheus /metrics
 const PROTO_PATH = path.join(__dirname, '../proto/translation.proto');
+const HEALTH_PROTO_PATH = path.join(__dirname, '../proto/health.proto');
+const REGISTRY_PROTO_PATH = path.join(__dirname, '../proto/registry.proto');
+const REGISTRY_URL = process.env.REGISTRY_URL; // optional: register with the service registry
+const SERVICE_HOST = process.env.SERVICE_HOST || 'localhost'; // host the gateway should dial
+
+// LOG_LEVEL, LOG_FORMAT and LOG_REDACT (see shared/logger.js)
+const logger = createLogger({ service: 'translation-service' });
 
 // ============================================================================
 // LOAD PROTO DEFINITION
 // ============================================================================
-const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+const protoOptions = {
   keepCase: true,
   longs: String,
   enums: String,
   defaults: true,
-  oneofs: true
-});
+  oneofs: true,
+  includeDirs: [path.join(__dirname, '../proto')] // google/api/annotations.proto
+};
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, protoOptions);
 
 const translationProto = grpc.loadPackageDefinition(packageDefinition).translation;
 
+// Standard gRPC health checking (grpc.health.v1)
+const healthProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(HEALTH_PROTO_PATH, protoOptions)
+).grpc.health.v1;
+
+// Service registry (registry-service), used when REGISTRY_URL is set
+const registryProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(REGISTRY_PROTO_PATH, protoOptions)
+).registry;
+
 // ============================================================================
 // HARDCODED TRANSLATION MAPPINGS (No external APIs as per exam requirements)
 // ============================================================================
@@ -215,6 +243,22 @@ function translateText(text, sourceLang, targetLang) {
   };
 }
 
+/**
+ * Why a TextRequest cannot be translated, or null if it can
+ * (the gateway checks the same before forwarding; this guards other callers)
+ */
+function checkTextRequest(request) {
+  if (!request.text) return 'text is required';
+  
+  const codes = SUPPORTED_LANGUAGES.map(l => l.code);
+  for (const field of ['source_language', 'target_language']) {
+    if (!codes.includes(request[field])) {
+      return `${field} "${request[field]}" is not supported (supported: ${codes.join(', ')})`;
+    }
+  }
+  return null;
+}
+
 // ============================================================================
 // gRPC SERVICE IMPLEMENTATIONS
 // ============================================================================
@@ -227,14 +271,19 @@ function handleTranslateText(call, callback) {
   const startTime = Date.now();
   const request = call.request;
   
-  console.log('\n' + '='.repeat(60));
-  console.log('[TRANSLATION SERVICE] Received TranslateText Request');
-  console.log('='.repeat(60));
-  console.log(`  User ID: ${request.user_id}`);
-  console.log(`  Text: "${request.text}"`);
-  console.log(`  Source Language: ${request.source_language}`);
-  console.log(`  Target Language: ${request.target_language}`);
-  console.log(`  Timestamp: ${new Date(parseInt(request.timestamp)).toISOString()}`);
+  call.log.debug('TranslateText received', {
+    userId: request.user_id,
+    text: request.text,
+    sourceLanguage: request.source_language,
+    targetLanguage: request.target_language,
+    sentAt: new Date(parseInt(request.timestamp)).toISOString()
+  });
+  
+  const invalid = checkTextRequest(request);
+  if (invalid) {
+    call.log.warn('TranslateText rejected', { reason: invalid });
+    return callback({ code: grpc.status.INVALID_ARGUMENT, message: invalid });
+  }
   
   try {
     const { translated, processingTime } = translateText(
@@ -253,13 +302,16 @@ function handleTranslateText(call, callback) {
       processing_time_ms: Date.now() - startTime
     };
     
-    console.log(`\n  [RESULT] Translated: "${translated}"`);
-    console.log(`  [PERF] Processing Time: ${response.processing_time_ms}ms`);
-    console.log('='.repeat(60) + '\n');
+    call.log.info('TranslateText complete', {
+      sourceLanguage: request.source_language,
+      targetLanguage: request.target_language,
+      translatedText: translated,
+      processingTimeMs: response.processing_time_ms
+    });
     
     callback(null, response);
   } catch (error) {
-    console.error(`  [ERROR] Translation failed: ${error.message}`);
+    call.log.error('TranslateText failed', { error });
     callback(null, {
       original_text: request.text,
       translated_text: '',
@@ -280,12 +332,23 @@ function handleTranslateBatch(call, callback) {
   const startTime = Date.now();
   const requests = call.request.requests;
   
-  console.log('\n' + '='.repeat(60));
-  console.log('[TRANSLATION SERVICE] Received Batch Translation Request');
-  console.log(`  Number of texts: ${requests.length}`);
-  console.log('='.repeat(60));
+  call.log.debug('TranslateBatch received', { count: requests.length });
   
+  // Invalid items fail on their own; the rest of the batch is translated
   const responses = requests.map(req => {
+    const invalid = checkTextRequest(req);
+    if (invalid) {
+      return {
+        original_text: req.text,
+        translated_text: '',
+        source_language: req.source_language,
+        target_language: req.target_language,
+        success: false,
+        error_message: invalid,
+        processing_time_ms: 0
+      };
+    }
+    
     const { translated, processingTime } = translateText(
       req.text,
       req.source_language,
@@ -304,8 +367,7 @@ function handleTranslateBatch(call, callback) {
   });
   
   const totalTime = Date.now() - startTime;
-  console.log(`  [PERF] Total Batch Processing Time: ${totalTime}ms`);
-  console.log('='.repeat(60) + '\n');
+  call.log.info('TranslateBatch complete', { count: requests.length, processingTimeMs: totalTime });
   
   callback(null, {
     responses,
@@ -317,7 +379,7 @@ function handleTranslateBatch(call, callback) {
  * GetSupportedLanguages - Returns list of supported languages
  */
 function handleGetSupportedLanguages(call, callback) {
-  console.log('[TRANSLATION SERVICE] GetSupportedLanguages called');
+  call.log.debug('GetSupportedLanguages called');
   callback(null, {
     languages: SUPPORTED_LANGUAGES
   });
@@ -327,15 +389,33 @@ function handleGetSupportedLanguages(call, callback) {
 // SERVER SETUP
 // ============================================================================
 
+// Prometheus metrics for every RPC, served on METRICS_PORT
+const metricsRegistry = createRegistry();
+metricsRegistry.registerProcessMetrics();
+const rpcMetrics = createRpcMetrics(metricsRegistry);
+
+// The same handlers serve gRPC and the HTTP/JSON twin
+// (traceHandlers reads x-request-id / traceparent into call.trace, echoes them
+// and gives each call a call.log with the request and trace IDs)
+const serviceHandlers = traceHandlers({
+  TranslateText: handleTranslateText,
+  TranslateBatch: handleTranslateBatch,
+  GetSupportedLanguages: handleGetSupportedLanguages
+}, { Metadata: grpc.Metadata, logger });
+
+// SERVING once the gRPC port is bound (checked by the gateway's /api/health)
+const health = createHealthService(['translation.TranslationService']);
+
 function startServer() {
   const server = new grpc.Server();
   
   // Register service handlers
-  server.addService(translationProto.TranslationService.service, {
-    TranslateText: handleTranslateText,
-    TranslateBatch: handleTranslateBatch,
-    GetSupportedLanguages: handleGetSupportedLanguages
-  });
+  server.addService(translationProto.TranslationService.service, rpcMetrics.instrument(serviceHandlers, {
+    serviceName: 'translation.TranslationService',
+    packageDefinition,
+    transport: 'grpc'
+  }));
+  server.addService(healthProto.Health.service, health.handlers);
   
   // Bind and start server
   server.bindAsync(
@@ -343,20 +423,62 @@ function startServer() {
     grpc.ServerCredentials.createInsecure(),
     (error, port) => {
       if (error) {
-        console.error('Failed to start Translation Service:', error);
+        logger.error('Failed to start Translation Service', { error });
         process.exit(1);
       }
       
-      console.log('\n' + '═'.repeat(60));
-      console.log('   TRANSLATION SERVICE (gRPC) STARTED');
-      console.log('═'.repeat(60));
-      console.log(`   Port: ${port}`);
-      console.log(`   Protocol: gRPC with Protocol Buffers`);
-      console.log(`   Supported Languages: ${SUPPORTED_LANGUAGES.map(l => l.code).join(', ')}`);
-      console.log('═'.repeat(60));
-      console.log('\n   Waiting for requests from API Gateway...\n');
+      health.setServing(true);
+      registerInstance(port);
+      logger.info('Translation Service (gRPC) started', {
+        port,
+        protocol: 'gRPC with Protocol Buffers',
+        languages: SUPPORTED_LANGUAGES.map(l => l.code).join(',')
+      });
     }
   );
+  
+  // HTTP/JSON twin of the same handlers (REST side of the comparison)
+  createHttpTwin({
+    serviceName: 'translation.TranslationService',
+    packageDefinition,
+    handlers: rpcMetrics.instrument(serviceHandlers, {
+      serviceName: 'translation.TranslationService',
+      packageDefinition,
+      transport: 'http'
+    })
+  }).listen(HTTP_PORT, () => {
+    logger.info('HTTP/JSON twin listening', { url: `http://localhost:${HTTP_PORT}` });
+  });
+  
+  // Prometheus scrape endpoint
+  createMetricsServer(metricsRegistry).listen(METRICS_PORT, () => {
+    logger.info('Metrics listening', { url: `http://localhost:${METRICS_PORT}/metrics` });
+  });
+}
+
+/**
+ * Register with the service registry (if configured) and deregister on shutdown
+ */
+function registerInstance(port) {
+  if (!REGISTRY_URL) return;
+  
+  const registration = startRegistration({
+    client: new registryProto.Registry(REGISTRY_URL, grpc.credentials.createInsecure()),
+    instance: {
+      service: 'translation',
+      grpc_address: `${SERVICE_HOST}:${port}`,
+      http_address: `http://${SERVICE_HOST}:${HTTP_PORT}`
+    },
+    logger
+  });
+  
+  const shutdown = (signal) => {
+    logger.info('Shutting down', { signal });
+    health.setServing(false);
+    registration.stop(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
 
 // Start the server